@@ -4,16 +4,12 @@
  */
 
 import pg from 'pg';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import dotenv from 'dotenv';
+import { getMigrationStatus } from './migrator.js';
 
 dotenv.config();
 
 const { Pool, Client } = pg;
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
 
 // Database configuration
 const dbConfig = {
@@ -100,6 +96,28 @@ pool.on('error', (err) => {
   console.error('❌ Database connection error:', err);
 });
 
+// Every statement is logged with DB_LOG_QUERIES=true; otherwise only slow ones
+const LOG_QUERIES = process.env.DB_LOG_QUERIES === 'true';
+const SLOW_QUERY_MS = parseInt(process.env.DB_SLOW_QUERY_MS) || 1000;
+
+/**
+ * Run a query on the pool or a transaction client, with timing and logging
+ */
+async function timedQuery(executor, text, params) {
+  const start = Date.now();
+  try {
+    const res = await executor.query(text, params);
+    const duration = Date.now() - start;
+    if (LOG_QUERIES || duration >= SLOW_QUERY_MS) {
+      console.log(duration >= SLOW_QUERY_MS ? 'Slow query' : 'Executed query', { text, duration, rows: res.rowCount });
+    }
+    return res;
+  } catch (error) {
+    console.error('Query error', { text, error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Execute a query
  * @param {string} text - SQL query
@@ -107,21 +125,34 @@ pool.on('error', (err) => {
  * @returns {Promise} Query result
  */
 export async function query(text, params) {
-  const start = Date.now();
+  return timedQuery(pool, text, params);
+}
+
+/**
+ * Run a function inside a transaction
+ * Commits when it resolves, rolls back when it throws.
+ * @param {function} fn - async ({ query }) => result; run every statement through the given query
+ * @returns {Promise} What fn returned
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
   try {
-    const res = await pool.query(text, params);
-    const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: res.rowCount });
-    return res;
+    await client.query('BEGIN');
+    const result = await fn({ query: (text, params) => timedQuery(client, text, params) });
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    console.error('Query error', { text, error: error.message });
+    await client.query('ROLLBACK').catch(() => {});
     throw error;
+  } finally {
+    client.release();
   }
 }
 
 /**
- * Initialize database schema
- * Runs schema.sql to create tables and indexes
+ * Initialize database
+ * Connects and checks that every migration in db/migrations has been applied.
+ * Refuses to start against a database with pending migrations (run `npm run migrate`).
  */
 export async function initDatabase() {
   try {
@@ -137,56 +168,20 @@ export async function initDatabase() {
       throw connError;
     }
 
-    const schemaPath = join(__dirname, 'schema.sql');
-    const schema = readFileSync(schemaPath, 'utf8');
-
-    // Remove comments and split into statements
-    const statements = schema
-      .split('\n')
-      .filter(line => {
-        const trimmed = line.trim();
-        return trimmed.length > 0 && !trimmed.startsWith('--');
-      })
-      .join('\n')
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
-
-    console.log(`📋 Executing ${statements.length} schema statements...`);
-
-    let successCount = 0;
-    let skippedCount = 0;
-    let errorCount = 0;
-
-    for (const statement of statements) {
-      if (statement) {
-        try {
-          await pool.query(statement);
-          successCount++;
-        } catch (err) {
-          // Ignore "already exists" errors (tables/extensions/indexes)
-          if (
-            err.message.includes('already exists') ||
-            err.message.includes('duplicate key value') ||
-            err.code === '42P07' || // duplicate_table
-            err.code === '42710'    // duplicate_object
-          ) {
-            skippedCount++;
-          } else {
-            errorCount++;
-            console.warn(`⚠️  Schema statement error: ${err.message}`);
-            console.warn(`   Statement: ${statement.substring(0, 100)}...`);
-          }
-        }
-      }
-    }
+    const { applied, pending, unknown } = await getMigrationStatus(pool);
 
-    console.log(`✅ Database schema initialized: ${successCount} executed, ${skippedCount} skipped (already exists), ${errorCount} errors`);
+    if (unknown.length > 0) {
+      console.warn(`⚠️  Database has migrations this version does not know: ${unknown.map(row => `${row.version}_${row.name}`).join(', ')}`);
+    }
 
-    if (errorCount > 0) {
-      console.warn('⚠️  Some schema statements had errors. Please check the logs above.');
+    if (pending.length > 0) {
+      throw new Error(
+        `Database has ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}. Run \`npm run migrate\` first.`
+      );
     }
 
+    console.log(`✅ Database schema up to date (${applied.length} migrations applied)`);
+
     return true;
   } catch (error) {
     console.error('❌ Database initialization error:', error);
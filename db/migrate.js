@@ -0,0 +1,87 @@
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   node db/migrate.js up              # Apply all pending migrations
+ *   node db/migrate.js up 3            # Apply pending migrations up to version 3
+ *   node db/migrate.js down            # Roll back the last migration
+ *   node db/migrate.js down 2          # Roll back the last 2 migrations
+ *   node db/migrate.js status          # Show applied and pending migrations
+ *   node db/migrate.js create add_x    # Create an empty up/down pair
+ */
+
+import 'dotenv/config';
+import { ensureDatabaseExists, getPool, closeDatabase } from './index.js';
+import { migrateUp, migrateDown, getMigrationStatus, createMigration } from './migrator.js';
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (command === 'create') {
+    const migration = createMigration(arg);
+    console.log(`📝 Created ${migration.upPath}`);
+    console.log(`📝 Created ${migration.downPath}`);
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    showHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  const number = arg != null ? parseInt(arg, 10) : null;
+  if (arg != null && (!Number.isInteger(number) || number < 1)) {
+    console.error(`❌ Expected a positive number, got "${arg}"`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (command === 'up') {
+      await ensureDatabaseExists();
+      const applied = await migrateUp(getPool(), { to: number });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+      const rolledBack = await migrateDown(getPool(), { steps: number ?? 1 });
+      console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else {
+      await showStatus();
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+async function showStatus() {
+  const { applied, pending, unknown } = await getMigrationStatus(getPool());
+
+  console.log('\nMigrations:');
+  for (const migration of applied) {
+    console.log(`  ✅ ${migration.version}_${migration.name}  (applied ${new Date(migration.applied_at).toISOString()})`);
+  }
+  for (const migration of pending) {
+    console.log(`  ⏳ ${migration.version}_${migration.name}  (pending)`);
+  }
+  for (const row of unknown) {
+    console.log(`  ❓ ${row.version}_${row.name}  (applied, but no file in db/migrations)`);
+  }
+  console.log(`\n${applied.length} applied, ${pending.length} pending`);
+}
+
+function showHelp() {
+  console.log(`
+Usage: node db/migrate.js <command>
+
+Commands:
+  up [version]     Apply pending migrations (optionally only up to version)
+  down [steps]     Roll back the last migration, or the last [steps] migrations
+  status           Show applied and pending migrations
+  create <name>    Create an empty up/down migration pair
+`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,12 @@
+-- Drop everything created by the baseline (all data is lost)
+
+DROP TABLE IF EXISTS system_logs CASCADE;
+DROP TABLE IF EXISTS gpt_content CASCADE;
+DROP TABLE IF EXISTS api_keys CASCADE;
+DROP TABLE IF EXISTS schedule_runs CASCADE;
+DROP TABLE IF EXISTS schedule_exceptions CASCADE;
+DROP TABLE IF EXISTS scheduled_games CASCADE;
+DROP TABLE IF EXISTS player_results CASCADE;
+DROP TABLE IF EXISTS game_sessions CASCADE;
+DROP TABLE IF EXISTS players CASCADE;
+DROP TABLE IF EXISTS leagues CASCADE;
@@ -1,5 +1,7 @@
 -- Trivia Bots Admin Dashboard Database Schema
--- PostgreSQL Database Schema
+-- Baseline: the schema as it stood before versioned migrations.
+-- Every statement is idempotent so it can be applied to databases that were
+-- created by the old schema.sql startup step.
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -36,7 +38,7 @@ CREATE TABLE IF NOT EXISTS game_sessions (
     session_id VARCHAR(255) UNIQUE NOT NULL,
     game_url VARCHAR(500) NOT NULL,
     league_id UUID REFERENCES leagues(id) ON DELETE SET NULL,
-    status VARCHAR(50) NOT NULL, -- idle, running, completed, failed
+    status VARCHAR(50) NOT NULL, -- idle, running, completed, failed, stopped
     start_time TIMESTAMP,
     end_time TIMESTAMP,
     duration_seconds INTEGER,
@@ -71,7 +73,14 @@ CREATE TABLE IF NOT EXISTS scheduled_games (
     schedule_type VARCHAR(50) NOT NULL, -- weekly, one-time, recurring
     day_of_week INTEGER, -- 0=Sunday, 1=Monday, etc.
     time TIME, -- HH:MM:SS
+    run_at TIMESTAMPTZ, -- one-time: when the game runs
+    cron_expression VARCHAR(100), -- recurring: 5-field cron, in timezone
+    start_date DATE, -- recurring: first day runs may start (inclusive)
+    end_date DATE, -- recurring: last day runs may start (inclusive)
     timezone VARCHAR(50) DEFAULT 'America/New_York',
+    player_count INTEGER DEFAULT 25,
+    max_concurrent INTEGER DEFAULT 10,
+    grace_minutes INTEGER DEFAULT 10, -- how late a missed run may still be launched
     enabled BOOLEAN DEFAULT true,
     last_run TIMESTAMP,
     next_run TIMESTAMP,
@@ -79,6 +88,67 @@ CREATE TABLE IF NOT EXISTS scheduled_games (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Columns added to scheduled_games after the initial release
+ALTER TABLE scheduled_games ADD COLUMN IF NOT EXISTS player_count INTEGER DEFAULT 25;
+ALTER TABLE scheduled_games ADD COLUMN IF NOT EXISTS max_concurrent INTEGER DEFAULT 10;
+ALTER TABLE scheduled_games ADD COLUMN IF NOT EXISTS run_at TIMESTAMPTZ;
+ALTER TABLE scheduled_games ADD COLUMN IF NOT EXISTS cron_expression VARCHAR(100);
+ALTER TABLE scheduled_games ADD COLUMN IF NOT EXISTS start_date DATE;
+ALTER TABLE scheduled_games ADD COLUMN IF NOT EXISTS end_date DATE;
+ALTER TABLE scheduled_games ADD COLUMN IF NOT EXISTS grace_minutes INTEGER DEFAULT 10;
+
+-- Link sessions started by the scheduler back to their schedule
+-- (added here because game_sessions is created before scheduled_games)
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS scheduled_game_id UUID REFERENCES scheduled_games(id) ON DELETE SET NULL;
+
+-- Blackout dates and one-off overrides for scheduled games
+CREATE TABLE IF NOT EXISTS schedule_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scheduled_game_id UUID REFERENCES scheduled_games(id) ON DELETE CASCADE,
+    exception_date DATE NOT NULL, -- local date of the regular run, in the schedule's timezone
+    exception_type VARCHAR(20) NOT NULL, -- blackout, override
+    override_time TIME, -- override: run at this local time instead
+    override_game_url VARCHAR(500),
+    override_player_count INTEGER,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheduled_game_id, exception_date)
+);
+
+-- Scheduled runs, including runs the scheduler missed
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scheduled_game_id UUID REFERENCES scheduled_games(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMPTZ NOT NULL, -- regular run time of the occurrence
+    status VARCHAR(20) NOT NULL, -- running, completed, failed, stopped, missed
+    reason TEXT,
+    session_id UUID REFERENCES game_sessions(id) ON DELETE SET NULL,
+    claimed_by VARCHAR(255), -- scheduler instance (host-pid) that ran it
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheduled_game_id, scheduled_for) -- one claim per occurrence across scheduler instances
+);
+
+ALTER TABLE schedule_runs ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES game_sessions(id) ON DELETE SET NULL;
+ALTER TABLE schedule_runs ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(255);
+
+-- API keys for the admin API (only a SHA-256 hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL, -- first characters of the key, to identify it
+    role VARCHAR(20) NOT NULL, -- viewer, operator, admin, service
+    scopes TEXT[], -- service keys only: read, sessions:write, results:write, players:sync
+    created_by VARCHAR(255),
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- GPT-generated content table (storylines, recaps, etc.)
 CREATE TABLE IF NOT EXISTS gpt_content (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -92,7 +162,7 @@ CREATE TABLE IF NOT EXISTS gpt_content (
 -- System logs table (for monitoring)
 CREATE TABLE IF NOT EXISTS system_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    level VARCHAR(20) NOT NULL, -- info, warning, error
+    level VARCHAR(20) NOT NULL, -- warn, error (winston levels), audit
     message TEXT NOT NULL,
     context JSONB, -- Additional context data
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -107,8 +177,13 @@ CREATE INDEX IF NOT EXISTS idx_player_results_session ON player_results(session_
 CREATE INDEX IF NOT EXISTS idx_player_results_player ON player_results(player_id);
 CREATE INDEX IF NOT EXISTS idx_scheduled_games_next_run ON scheduled_games(next_run);
 CREATE INDEX IF NOT EXISTS idx_scheduled_games_enabled ON scheduled_games(enabled);
+CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_date ON schedule_exceptions(exception_date);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_status ON schedule_runs(status);
+CREATE INDEX IF NOT EXISTS idx_game_sessions_scheduled_game ON game_sessions(scheduled_game_id);
 CREATE INDEX IF NOT EXISTS idx_gpt_content_session ON gpt_content(session_id);
 CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level);
 CREATE INDEX IF NOT EXISTS idx_system_logs_created ON system_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_system_logs_audit_entity ON system_logs ((context->>'entity'), (context->>'entity_id')) WHERE level = 'audit';
+CREATE INDEX IF NOT EXISTS idx_system_logs_session ON system_logs ((context->>'sessionId'));
 
 
@@ -0,0 +1,6 @@
+-- 0002_pagination_indexes: revert
+
+DROP INDEX IF EXISTS idx_gpt_content_created;
+DROP INDEX IF EXISTS idx_player_results_created;
+DROP INDEX IF EXISTS idx_game_sessions_created;
+DROP INDEX IF EXISTS idx_players_nickname;
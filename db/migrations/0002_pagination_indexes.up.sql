@@ -0,0 +1,7 @@
+-- 0002_pagination_indexes: apply
+-- Indexes for the default sort (plus id tie-breaker) of paginated list endpoints
+
+CREATE INDEX IF NOT EXISTS idx_players_nickname ON players(nickname, id);
+CREATE INDEX IF NOT EXISTS idx_game_sessions_created ON game_sessions(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_player_results_created ON player_results(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_gpt_content_created ON gpt_content(created_at, id);
@@ -0,0 +1,3 @@
+-- 0003_player_imports: revert
+
+DROP TABLE IF EXISTS player_imports;
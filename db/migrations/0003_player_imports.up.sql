@@ -0,0 +1,16 @@
+-- 0003_player_imports: apply
+-- Uploaded roster spreadsheets waiting for (or past) confirmation
+
+CREATE TABLE IF NOT EXISTS player_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    filename VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, applied, discarded
+    summary JSONB NOT NULL, -- { rows, new, changed, unchanged, missing }
+    diff JSONB NOT NULL, -- { new, changed, unchanged, missing } as shown in the preview
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    applied_by VARCHAR(255),
+    applied_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_imports_status ON player_imports(status, created_at);
@@ -0,0 +1,5 @@
+-- 0004_player_sync_reconciliation: revert
+
+DROP INDEX IF EXISTS idx_players_missing;
+ALTER TABLE player_imports DROP COLUMN IF EXISTS missing_policy;
+ALTER TABLE players DROP COLUMN IF EXISTS missing_since;
@@ -0,0 +1,11 @@
+-- 0004_player_sync_reconciliation: apply
+-- Track players that disappeared from the roster spreadsheet
+
+-- Set when a sync no longer finds the player in the sheet (flag or deactivate policy),
+-- cleared when the player shows up again
+ALTER TABLE players ADD COLUMN IF NOT EXISTS missing_since TIMESTAMP;
+
+-- What a confirmed upload does with missing players: deactivate, flag or ignore
+ALTER TABLE player_imports ADD COLUMN IF NOT EXISTS missing_policy VARCHAR(20) NOT NULL DEFAULT 'ignore';
+
+CREATE INDEX IF NOT EXISTS idx_players_missing ON players(missing_since) WHERE missing_since IS NOT NULL;
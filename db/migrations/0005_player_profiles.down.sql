@@ -0,0 +1,13 @@
+-- 0005_player_profiles: revert
+
+ALTER TABLE players
+    DROP COLUMN IF EXISTS sponsors,
+    DROP COLUMN IF EXISTS rivalries,
+    DROP COLUMN IF EXISTS backstory,
+    DROP COLUMN IF EXISTS early_leave_chance,
+    DROP COLUMN IF EXISTS no_show_chance,
+    DROP COLUMN IF EXISTS late_join_chance,
+    DROP COLUMN IF EXISTS streak_behavior,
+    DROP COLUMN IF EXISTS consistency,
+    DROP COLUMN IF EXISTS knowledge_areas,
+    DROP COLUMN IF EXISTS reaction_time;
@@ -0,0 +1,25 @@
+-- 0005_player_profiles: apply
+-- Store each player's full bot behavior profile (see src/players/playerSchema.js)
+-- instead of regenerating it on every spreadsheet load
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS reaction_time JSONB NOT NULL DEFAULT '{"min": 2000, "max": 10000, "average": 5000}'; -- ms
+ALTER TABLE players ADD COLUMN IF NOT EXISTS knowledge_areas JSONB NOT NULL DEFAULT '{"general": 0.70, "sports": 0.75, "hockey": 0.80, "football": 0.75}'; -- area -> 0-1
+ALTER TABLE players ADD COLUMN IF NOT EXISTS consistency DECIMAL(3,2) NOT NULL DEFAULT 0.80;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS streak_behavior BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS late_join_chance DECIMAL(4,3) NOT NULL DEFAULT 0.100;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS no_show_chance DECIMAL(4,3) NOT NULL DEFAULT 0.030;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS early_leave_chance DECIMAL(4,3) NOT NULL DEFAULT 0.020;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS backstory TEXT NOT NULL DEFAULT '';
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rivalries JSONB NOT NULL DEFAULT '[]'; -- nicknames
+ALTER TABLE players ADD COLUMN IF NOT EXISTS sponsors JSONB NOT NULL DEFAULT '[]';
+
+-- Give existing players the same spread of timings the spreadsheet loader generated,
+-- once, so each keeps behaving the same from now on
+UPDATE players SET
+    reaction_time = jsonb_build_object(
+        'min', 1500 + floor(random() * 1000)::int,
+        'max', 5000 + floor(random() * 2000)::int,
+        'average', 3000 + floor(random() * 1500)::int
+    ),
+    late_join_chance = round((random() * 0.1)::numeric, 3),
+    no_show_chance = round((random() * 0.05)::numeric, 3);
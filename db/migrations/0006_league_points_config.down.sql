@@ -0,0 +1,3 @@
+-- 0006_league_points_config: revert
+
+ALTER TABLE leagues DROP COLUMN IF EXISTS points_config;
@@ -0,0 +1,4 @@
+-- 0006_league_points_config: apply
+-- Points rules for league standings (see services/standingsService.js); NULL uses the defaults
+
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS points_config JSONB;
@@ -0,0 +1,8 @@
+-- 0007_seasons: revert
+
+DROP TRIGGER IF EXISTS game_sessions_assign_season ON game_sessions;
+DROP FUNCTION IF EXISTS assign_session_season();
+DROP FUNCTION IF EXISTS season_for(UUID, TIMESTAMP);
+DROP INDEX IF EXISTS idx_game_sessions_season;
+ALTER TABLE game_sessions DROP COLUMN IF EXISTS season_id;
+DROP TABLE IF EXISTS seasons;
@@ -0,0 +1,40 @@
+-- 0007_seasons: apply
+-- Seasons split a league's sessions into separate timelines (e.g. NFL 2026, NFL 2027)
+
+CREATE TABLE IF NOT EXISTS seasons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    league_id UUID NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL, -- first game day (inclusive)
+    end_date DATE NOT NULL, -- last game day (inclusive)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(league_id, name),
+    CHECK (start_date <= end_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasons_league ON seasons(league_id, start_date);
+
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS season_id UUID REFERENCES seasons(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_game_sessions_season ON game_sessions(season_id);
+
+-- The league's season a game played at the given time belongs to (NULL between seasons)
+CREATE OR REPLACE FUNCTION season_for(p_league_id UUID, p_played_at TIMESTAMP) RETURNS UUID AS $$
+    SELECT id FROM seasons
+    WHERE league_id = p_league_id AND p_played_at::date BETWEEN start_date AND end_date
+    ORDER BY start_date DESC
+    LIMIT 1
+$$ LANGUAGE sql STABLE;
+
+-- Every write path (bot runners, the sessions API, the scheduler) gets its season assigned here
+CREATE OR REPLACE FUNCTION assign_session_season() RETURNS trigger AS $$
+BEGIN
+    NEW.season_id := season_for(NEW.league_id, COALESCE(NEW.start_time, NEW.created_at));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS game_sessions_assign_season ON game_sessions;
+CREATE TRIGGER game_sessions_assign_season
+    BEFORE INSERT OR UPDATE OF league_id, start_time ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION assign_session_season();
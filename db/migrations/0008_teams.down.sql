@@ -0,0 +1,6 @@
+-- 0008_teams: revert (players keep the de-duplicated team names)
+
+DROP INDEX IF EXISTS idx_players_team;
+ALTER TABLE players DROP COLUMN IF EXISTS team_id;
+DROP TABLE IF EXISTS teams;
+DROP FUNCTION IF EXISTS team_key(TEXT);
@@ -0,0 +1,44 @@
+-- 0008_teams: apply
+-- Teams get their own table; players link to one by team_id
+
+-- Matching key for team names: case, punctuation and spacing differences between sheets are ignored
+-- (keep in sync with teamKey() in services/teamService.js)
+CREATE OR REPLACE FUNCTION team_key(name TEXT) RETURNS TEXT AS $$
+    SELECT btrim(regexp_replace(lower(name), '[^[:alnum:]]+', ' ', 'g'))
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    name_key VARCHAR(255) NOT NULL UNIQUE, -- team_key(name)
+    league_id UUID REFERENCES leagues(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_teams_league ON teams(league_id);
+CREATE INDEX IF NOT EXISTS idx_teams_name ON teams(name, id);
+
+-- One team per spelling group, named after the spelling most players use,
+-- in the league most of those players are in
+INSERT INTO teams (name, name_key, league_id)
+SELECT DISTINCT ON (name_key) name, name_key, league_id
+FROM (
+    SELECT team AS name, team_key(team) AS name_key, league_id, COUNT(*) AS players
+    FROM players
+    WHERE team_key(team) <> ''
+    GROUP BY team, league_id
+) spellings
+ORDER BY name_key, players DESC, name ASC
+ON CONFLICT (name_key) DO NOTHING;
+
+-- players.team stays as the team's name for existing queries and filters
+ALTER TABLE players ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_players_team ON players(team_id);
+
+UPDATE players p
+SET team_id = t.id, team = t.name
+FROM teams t
+WHERE t.name_key = team_key(p.team);
+
+UPDATE players SET team = NULL WHERE team IS NOT NULL AND team_id IS NULL;
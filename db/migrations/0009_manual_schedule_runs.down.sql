@@ -0,0 +1,4 @@
+-- 0009_manual_schedule_runs: revert
+
+DELETE FROM schedule_runs WHERE run_type = 'manual';
+ALTER TABLE schedule_runs DROP COLUMN IF EXISTS run_type;
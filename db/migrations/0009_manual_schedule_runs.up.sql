@@ -0,0 +1,5 @@
+-- 0009_manual_schedule_runs: apply
+-- Runs started by hand (run-now) are recorded in schedule_runs too; scheduled_for is when they were triggered
+
+ALTER TABLE schedule_runs ADD COLUMN IF NOT EXISTS run_type VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+    CHECK (run_type IN ('scheduled', 'manual'));
@@ -0,0 +1,6 @@
+-- 0010_result_teams: revert
+
+DROP TRIGGER IF EXISTS player_results_assign_team ON player_results;
+DROP FUNCTION IF EXISTS assign_result_team();
+DROP INDEX IF EXISTS idx_player_results_team;
+ALTER TABLE player_results DROP COLUMN IF EXISTS team_id;
@@ -0,0 +1,25 @@
+-- 0010_result_teams: apply
+-- Results keep the team the player was on when the result was recorded, so
+-- team reports are not rewritten when a player changes teams
+
+ALTER TABLE player_results ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_player_results_team ON player_results(team_id);
+
+-- Earlier results only have the player's current team to go by
+UPDATE player_results r
+SET team_id = p.team_id
+FROM players p
+WHERE p.id = r.player_id AND r.team_id IS NULL;
+
+-- Every write path (bot runners, the sessions and player results APIs) gets its team assigned here
+CREATE OR REPLACE FUNCTION assign_result_team() RETURNS trigger AS $$
+BEGIN
+    NEW.team_id := (SELECT team_id FROM players WHERE id = NEW.player_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS player_results_assign_team ON player_results;
+CREATE TRIGGER player_results_assign_team
+    BEFORE INSERT OR UPDATE OF player_id ON player_results
+    FOR EACH ROW EXECUTE FUNCTION assign_result_team();
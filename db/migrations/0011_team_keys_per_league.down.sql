@@ -0,0 +1,17 @@
+-- 0011_team_keys_per_league: revert (same-named teams are merged into the oldest one)
+
+CREATE TEMPORARY TABLE kept_teams ON COMMIT DROP AS
+SELECT t.id, kept.id AS kept_id, kept.name AS kept_name
+FROM teams t
+JOIN (SELECT DISTINCT ON (name_key) id, name, name_key FROM teams ORDER BY name_key, created_at, id) kept
+  ON kept.name_key = t.name_key
+WHERE t.id <> kept.id;
+
+UPDATE player_results r SET team_id = k.kept_id FROM kept_teams k WHERE r.team_id = k.id;
+UPDATE players p SET team_id = k.kept_id, team = k.kept_name FROM kept_teams k WHERE p.team_id = k.id;
+DELETE FROM teams t USING kept_teams k WHERE t.id = k.id;
+
+DROP INDEX IF EXISTS idx_teams_name_key;
+DROP INDEX IF EXISTS idx_teams_unlinked_name_key;
+ALTER TABLE teams DROP CONSTRAINT IF EXISTS teams_league_name_key;
+ALTER TABLE teams ADD CONSTRAINT teams_name_key_key UNIQUE (name_key);
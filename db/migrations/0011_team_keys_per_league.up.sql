@@ -0,0 +1,34 @@
+-- 0011_team_keys_per_league: apply
+-- Team names are unique within a league (and among teams without one) instead
+-- of across all leagues, so each league can have its own "Red"
+
+ALTER TABLE teams DROP CONSTRAINT IF EXISTS teams_name_key_key;
+ALTER TABLE teams ADD CONSTRAINT teams_league_name_key UNIQUE (league_id, name_key);
+
+-- The unique constraint treats NULLs as distinct, so teams without a league need their own
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_unlinked_name_key ON teams(name_key) WHERE league_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_teams_name_key ON teams(name_key);
+
+-- Players linked to a team of another league get the same-named team of their own league
+INSERT INTO teams (name, name_key, league_id)
+SELECT DISTINCT ON (p.league_id, t.name_key) t.name, t.name_key, p.league_id
+FROM players p
+JOIN teams t ON t.id = p.team_id
+WHERE p.league_id IS DISTINCT FROM t.league_id
+ORDER BY p.league_id, t.name_key
+ON CONFLICT DO NOTHING;
+
+-- Results follow their player (before the players are relinked, while their old team is still known)
+UPDATE player_results r
+SET team_id = own.id
+FROM players p, teams t, teams own
+WHERE p.id = r.player_id AND t.id = r.team_id AND t.id = p.team_id
+  AND p.league_id IS DISTINCT FROM t.league_id
+  AND own.name_key = t.name_key AND own.league_id IS NOT DISTINCT FROM p.league_id;
+
+UPDATE players p
+SET team_id = own.id, team = own.name
+FROM teams t, teams own
+WHERE t.id = p.team_id
+  AND p.league_id IS DISTINCT FROM t.league_id
+  AND own.name_key = t.name_key AND own.league_id IS NOT DISTINCT FROM p.league_id;
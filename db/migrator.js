@@ -0,0 +1,214 @@
+/**
+ * Schema Migrations
+ * Applies numbered SQL migrations from db/migrations and records them in schema_migrations
+ *
+ * Each migration is a pair of files sharing a version and name:
+ *   0002_add_player_traits.up.sql
+ *   0002_add_player_traits.down.sql
+ * A migration runs in a transaction together with its schema_migrations row,
+ * so it is either fully applied or not at all.
+ */
+
+import { readdirSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Serializes migration runs across processes (arbitrary constant key)
+const MIGRATION_LOCK_ID = 724501;
+
+/**
+ * List migrations on disk, oldest first
+ * @param {string} dir - Migrations directory
+ * @returns {array} [{ version, name, upPath, downPath }]
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_REGEX);
+    if (!match) {
+      continue;
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+    }
+
+    migration[direction === 'up' ? 'upPath' : 'downPath'] = join(dir, file);
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.upPath || !migration.downPath) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Compare migrations on disk with those applied to the database
+ * @param {array} migrations - From listMigrations()
+ * @param {array} applied - schema_migrations rows ({ version, name, applied_at })
+ * @returns {object} { applied, pending, unknown } - unknown: applied but missing on disk
+ */
+export function compareMigrations(migrations, applied) {
+  const appliedVersions = new Set(applied.map(row => Number(row.version)));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    applied: migrations
+      .filter(migration => appliedVersions.has(migration.version))
+      .map(migration => ({
+        ...migration,
+        applied_at: applied.find(row => Number(row.version) === migration.version).applied_at,
+      })),
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !knownVersions.has(Number(row.version))),
+  };
+}
+
+/**
+ * Create the schema_migrations table if needed
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function loadAppliedMigrations(client) {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Get the migration state of the database
+ * @param {object} pool - pg Pool
+ * @param {string} dir - Migrations directory
+ * @returns {Promise<object>} { applied, pending, unknown }
+ */
+export async function getMigrationStatus(pool, dir = MIGRATIONS_DIR) {
+  const applied = await loadAppliedMigrations(pool);
+  return compareMigrations(listMigrations(dir), applied);
+}
+
+/**
+ * Run a callback on a dedicated client holding the migration lock
+ */
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runMigration(client, migration, direction) {
+  const sql = readFileSync(direction === 'up' ? migration.upPath : migration.downPath, 'utf8');
+
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations
+ * @param {object} pool - pg Pool
+ * @param {object} options
+ * @param {number} options.to - Stop after this version (default: apply all)
+ * @param {string} options.dir - Migrations directory
+ * @returns {Promise<array>} Migrations applied
+ */
+export async function migrateUp(pool, { to = null, dir = MIGRATIONS_DIR } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const { pending } = compareMigrations(listMigrations(dir), await loadAppliedMigrations(client));
+    const toApply = to != null ? pending.filter(migration => migration.version <= to) : pending;
+
+    for (const migration of toApply) {
+      await runMigration(client, migration, 'up');
+      console.log(`⬆️  Applied ${migration.version}_${migration.name}`);
+    }
+
+    return toApply;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {object} pool - pg Pool
+ * @param {object} options
+ * @param {number} options.steps - How many migrations to roll back (default: 1)
+ * @param {string} options.dir - Migrations directory
+ * @returns {Promise<array>} Migrations rolled back
+ */
+export async function migrateDown(pool, { steps = 1, dir = MIGRATIONS_DIR } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const { applied, unknown } = compareMigrations(listMigrations(dir), await loadAppliedMigrations(client));
+
+    if (unknown.length > 0) {
+      throw new Error(`Database has migrations this checkout does not know: ${unknown.map(row => `${row.version}_${row.name}`).join(', ')}`);
+    }
+
+    const toRollBack = applied.slice(-steps).reverse();
+    for (const migration of toRollBack) {
+      await runMigration(client, migration, 'down');
+      console.log(`⬇️  Rolled back ${migration.version}_${migration.name}`);
+    }
+
+    return toRollBack;
+  });
+}
+
+/**
+ * Create an empty up/down migration pair with the next version number
+ * @param {string} name - Migration name (letters, digits and underscores)
+ * @param {string} dir - Migrations directory
+ * @returns {object} { version, name, upPath, downPath }
+ */
+export function createMigration(name, dir = MIGRATIONS_DIR) {
+  if (!/^[a-z0-9_]+$/.test(name || '')) {
+    throw new Error('Migration name must use lowercase letters, digits and underscores');
+  }
+
+  const migrations = listMigrations(dir);
+  const version = (migrations.at(-1)?.version || 0) + 1;
+  const prefix = `${String(version).padStart(4, '0')}_${name}`;
+  const upPath = join(dir, `${prefix}.up.sql`);
+  const downPath = join(dir, `${prefix}.down.sql`);
+
+  writeFileSync(upPath, `-- ${prefix}: apply\n\n`, { flag: 'wx' });
+  writeFileSync(downPath, `-- ${prefix}: revert\n\n`, { flag: 'wx' });
+
+  return { version, name, upPath, downPath };
+}
@@ -0,0 +1,137 @@
+/**
+ * Authentication and role-based access
+ *
+ * Requests authenticate with an API key, sent as `Authorization: Bearer <key>`
+ * or `X-API-Key: <key>`. The live session stream (GET /api/sessions/:id/live)
+ * may also pass `?access_token=<key>` because EventSource cannot set headers;
+ * nowhere else, so keys stay out of URLs, proxy logs and browser history.
+ *
+ * Keys carry a role - viewer < operator < admin - or are service tokens
+ * (role 'service') limited to a list of scopes. ADMIN_API_KEY in the
+ * environment is always accepted as an admin key, to bootstrap the first keys.
+ */
+
+import crypto from 'crypto';
+import { ROLES, findActiveApiKey, touchApiKey, hashApiKey } from '../services/apiKeyService.js';
+import logger from '../utils/logger.js';
+
+// The only route that takes ?access_token
+const QUERY_TOKEN_PATH = /^\/api\/sessions\/[^/]+\/live\/?$/;
+
+// How often last_used_at is written for a key
+const TOUCH_INTERVAL = 60 * 1000;
+const lastTouched = new Map();
+
+/**
+ * Read the API key from a request
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function getRequestKey(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (req.method === 'GET' && req.query?.access_token && QUERY_TOKEN_PATH.test(`${req.baseUrl ?? ''}${req.path ?? ''}`)) {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+/**
+ * Check a key against ADMIN_API_KEY without leaking timing
+ */
+function isBootstrapKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hashApiKey(key), 'hex'), Buffer.from(hashApiKey(adminKey), 'hex'));
+}
+
+/**
+ * Authenticate the request, setting req.auth = { id, name, role, scopes }
+ * Responds 401 when the key is missing, unknown, revoked or expired.
+ */
+export async function authenticate(req, res, next) {
+  if (process.env.AUTH_DISABLED === 'true') {
+    req.auth = { id: null, name: 'auth-disabled', role: 'admin', scopes: [] };
+    return next();
+  }
+
+  const key = getRequestKey(req);
+  if (!key) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (isBootstrapKey(key)) {
+    req.auth = { id: null, name: 'ADMIN_API_KEY', role: 'admin', scopes: [] };
+    return next();
+  }
+
+  const apiKey = await findActiveApiKey(key);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+
+  req.auth = {
+    id: apiKey.id,
+    name: apiKey.name,
+    role: apiKey.role,
+    scopes: apiKey.scopes || [],
+  };
+
+  const now = Date.now();
+  if (!lastTouched.has(apiKey.id) || now - lastTouched.get(apiKey.id) > TOUCH_INTERVAL) {
+    lastTouched.set(apiKey.id, now);
+    touchApiKey(apiKey.id);
+  }
+
+  next();
+}
+
+/**
+ * Check if an authenticated principal may access a route
+ * @param {object} auth - req.auth
+ * @param {string} role - Minimum role (viewer, operator, admin)
+ * @param {array} scopes - Service token scopes that also grant access
+ * @returns {boolean}
+ */
+export function isAllowed(auth, role, scopes = []) {
+  if (!auth) {
+    return false;
+  }
+  if (auth.role === 'service') {
+    return scopes.some(scope => auth.scopes.includes(scope));
+  }
+  return ROLES.indexOf(auth.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Require a minimum role for a route
+ * Service tokens are let through if they hold any of the listed scopes.
+ * @param {string} role - viewer, operator or admin
+ * @param {...string} scopes - Service token scopes that also grant access
+ * @returns {function} Express middleware
+ */
+export function requireRole(role, ...scopes) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const middleware = (req, res, next) => {
+    if (isAllowed(req.auth, role, scopes)) {
+      return next();
+    }
+
+    logger.warn(`Forbidden: ${req.auth?.name || 'anonymous'} (${req.auth?.role}) ${req.method} ${req.originalUrl}`);
+    res.status(403).json({ error: `Requires ${role} role${scopes.length ? ` or ${scopes.join('/')} scope` : ''}` });
+  };
+
+  // Read by the OpenAPI document (utils/openApi.js)
+  middleware.requiredRole = { role, scopes };
+  return middleware;
+}
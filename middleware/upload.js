@@ -0,0 +1,47 @@
+/**
+ * File uploads
+ * Accepts one multipart/form-data file, kept in memory as req.file.buffer
+ */
+
+import path from 'path';
+import multer from 'multer';
+
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+const MAX_SPREADSHEET_BYTES = 10 * 1024 * 1024;
+
+const spreadsheets = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return callback(Object.assign(
+        new Error(`File must be one of: ${SPREADSHEET_EXTENSIONS.join(', ')}`),
+        { status: 400 }
+      ));
+    }
+    callback(null, true);
+  },
+});
+
+/**
+ * Accept a spreadsheet upload in one form field
+ * Upload problems respond 400 (413 when the file is too large).
+ * @param {string} field - Form field name
+ * @returns {function} Express middleware
+ */
+export function spreadsheetUpload(field = 'file') {
+  const upload = spreadsheets.single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      if (error instanceof multer.MulterError) {
+        error.status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      }
+      next(error);
+    });
+  };
+}
@@ -0,0 +1,284 @@
+/**
+ * Request validation
+ *
+ * Routes declare schemas for their params, query and body:
+ *
+ *   router.put('/:id', validate({
+ *     params: { id: uuid },
+ *     body: {
+ *       type: 'object',
+ *       required: ['nickname'],
+ *       properties: { nickname: { type: 'string', minLength: 1 } },
+ *     },
+ *   }), handler);
+ *
+ * Schemas are a subset of JSON Schema (as used by OpenAPI 3.0): type, format,
+ * enum, nullable, oneOf, minimum/maximum, minLength/maxLength, pattern, items,
+ * minItems/maxItems, properties and required. params and query are maps of
+ * name -> schema; path params are always required, query params only with
+ * `required: true`. Query and path values arrive as strings and are checked
+ * as the declared type (e.g. '25' is a valid integer) but not converted.
+ * Upload routes may also declare `files: { file: { required: true } }`,
+ * checked against req.file after the upload middleware has run.
+ *
+ * Failures respond 400 with every problem found:
+ *   { error: 'Validation failed', details: [{ location, field, message }] }
+ */
+
+const FORMATS = {
+  uuid: {
+    test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    message: 'must be a UUID',
+  },
+  date: {
+    test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime())
+      && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+    message: 'must be a date (YYYY-MM-DD)',
+  },
+  'date-time': {
+    test: value => /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime()),
+    message: 'must be an ISO 8601 date-time',
+  },
+  time: {
+    test: value => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value),
+    message: 'must be a time (HH:MM or HH:MM:SS)',
+  },
+  uri: {
+    test: (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    },
+    message: 'must be an http(s) URL',
+  },
+  email: {
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must be an email address',
+  },
+};
+
+/**
+ * Read a query/path string as the declared type
+ * @returns {*} The converted value, or the original string if it does not convert
+ */
+function fromString(value, schema) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (schema.type === 'integer' && /^-?\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (schema.type === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function typeError(schema) {
+  switch (schema.type) {
+    case 'integer': return 'must be an integer';
+    case 'array': return 'must be an array';
+    case 'object': return 'must be an object';
+    default: return `must be a ${schema.type}`;
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema
+ * @param {string} field - Field path for messages (e.g. 'players[0].nickname')
+ * @returns {array} [{ field, message }]
+ */
+export function checkValue(value, schema, field) {
+  if (value === null) {
+    return schema.nullable ? [] : [{ field, message: 'must not be null' }];
+  }
+
+  if (schema.oneOf) {
+    const failures = schema.oneOf.map(option => checkValue(value, { nullable: schema.nullable, ...option }, field));
+    return failures.some(errors => errors.length === 0) ? [] : failures[0];
+  }
+
+  const errors = [];
+  const { type } = schema;
+
+  const typeOk = {
+    string: typeof value === 'string',
+    integer: Number.isInteger(value),
+    number: typeof value === 'number' && Number.isFinite(value),
+    boolean: typeof value === 'boolean',
+    array: Array.isArray(value),
+    object: typeof value === 'object' && !Array.isArray(value),
+  }[type] ?? true;
+
+  if (!typeOk) {
+    return [{ field, message: typeError(schema) }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  if (type === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push({ field, message: FORMATS[schema.format].message });
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ field, message: schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...checkValue(item, schema.items, `${field}[${index}]`));
+      });
+    }
+  }
+
+  if (type === 'object') {
+    errors.push(...checkObject(value, schema, field));
+  }
+
+  return errors;
+}
+
+/**
+ * Check an object's required fields and declared properties
+ */
+function checkObject(value, schema, prefix = '') {
+  const errors = [];
+  const path = name => (prefix ? `${prefix}.${name}` : name);
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push({ field: path(name), message: 'is required' });
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    if (value[name] !== undefined) {
+      errors.push(...checkValue(value[name], propertySchema, path(name)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check path or query parameters
+ * @param {object} values - req.params or req.query
+ * @param {object} schemas - name -> schema
+ * @param {boolean} requireAll - Path params are always required
+ */
+function checkParameters(values, schemas, requireAll) {
+  const errors = [];
+
+  for (const [name, schema] of Object.entries(schemas)) {
+    const value = values?.[name];
+    if (value === undefined || value === '') {
+      if (requireAll || schema.required) {
+        errors.push({ field: name, message: 'is required' });
+      }
+      continue;
+    }
+    if (Array.isArray(value) && schema.type !== 'array') {
+      errors.push({ field: name, message: 'must be given once' });
+      continue;
+    }
+    errors.push(...checkValue(fromString(value, schema), schema, name));
+  }
+
+  return errors;
+}
+
+/**
+ * Check a request against route schemas
+ * @param {object} req - Express request (params, query, body)
+ * @param {object} schemas - { params, query, body, files }
+ * @returns {array} [{ location, field, message }]
+ */
+export function validateRequest(req, schemas) {
+  const details = [];
+  const add = (location, errors) => {
+    errors.forEach(error => details.push({ location, ...error }));
+  };
+
+  if (schemas.params) {
+    add('params', checkParameters(req.params, schemas.params, true));
+  }
+
+  if (schemas.query) {
+    add('query', checkParameters(req.query, schemas.query, false));
+  }
+
+  if (schemas.files) {
+    for (const [name, schema] of Object.entries(schemas.files)) {
+      if (schema.required && req.file?.fieldname !== name) {
+        add('files', [{ field: name, message: 'is required' }]);
+      }
+    }
+  }
+
+  if (schemas.body) {
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) {
+      add('body', [{ field: '', message: 'must be a JSON object' }]);
+    } else {
+      add('body', checkObject(body, schemas.body));
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Validate params, query and body before the route handler runs
+ * The schemas are kept on the middleware for the OpenAPI document.
+ * @param {object} schemas - { params, query, body, files, summary }
+ * @returns {function} Express middleware
+ */
+export function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const details = validateRequest(req, schemas);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+// Common schemas
+export const uuid = { type: 'string', format: 'uuid' };
+export const limitParam = (defaultValue, maximum = 1000) => ({ type: 'integer', minimum: 1, maximum, default: defaultValue });
+export const offsetParam = { type: 'integer', minimum: 0, default: 0 };
@@ -0,0 +1,89 @@
+/**
+ * Audit API Routes
+ * Query the audit trail of admin mutations
+ */
+
+import express from 'express';
+import { query } from '../db/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, limitParam, offsetParam } from '../middleware/validate.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * Get audit entries, newest first
+ * Query: ?entity=player&entity_id=uuid&actor=name-or-key-id&action=deactivate
+ *        &from=2026-01-01&to=2026-02-01&limit=100&offset=0
+ */
+router.get('/', requireRole('admin'), validate({
+  summary: 'Query the audit trail',
+  query: {
+    entity: { type: 'string' },
+    entity_id: { type: 'string' },
+    actor: { type: 'string', description: 'API key name or id' },
+    action: { type: 'string' },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    limit: limitParam(100),
+    offset: offsetParam,
+  },
+}), async (req, res, next) => {
+  try {
+    const { entity, entity_id, actor, action, from, to, limit = 100, offset = 0 } = req.query;
+
+    let sql = `
+      SELECT id, message, context, created_at
+      FROM system_logs
+      WHERE level = 'audit'
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (entity) {
+      sql += ` AND context->>'entity' = $${paramIndex++}`;
+      params.push(entity);
+    }
+
+    if (entity_id) {
+      sql += ` AND context->>'entity_id' = $${paramIndex++}`;
+      params.push(entity_id);
+    }
+
+    if (actor) {
+      sql += ` AND (context->'actor'->>'name' = $${paramIndex} OR context->'actor'->>'id' = $${paramIndex})`;
+      paramIndex++;
+      params.push(actor);
+    }
+
+    if (action) {
+      sql += ` AND context->>'action' = $${paramIndex++}`;
+      params.push(action);
+    }
+
+    if (from) {
+      sql += ` AND created_at >= $${paramIndex++}`;
+      params.push(from);
+    }
+
+    if (to) {
+      sql += ` AND created_at < $${paramIndex++}`;
+      params.push(to);
+    }
+
+    sql += ` ORDER BY created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    const result = await query(sql, params);
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      created_at: row.created_at,
+      message: row.message,
+      ...row.context,
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+/**
+ * Auth API Routes
+ * Current identity and API key management
+ */
+
+import express from 'express';
+import { ROLES, SCOPES, createApiKey, listApiKeys, revokeApiKey } from '../services/apiKeyService.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/auth/me
+ * Get the identity and role of the calling key
+ */
+router.get('/me', validate({
+  summary: 'Get the calling key\'s identity and role',
+}), (req, res) => {
+  res.json(req.auth);
+});
+
+/**
+ * GET /api/auth/keys
+ * List API keys (the keys themselves are never returned)
+ */
+router.get('/keys', requireRole('admin'), validate({
+  summary: 'List API keys',
+}), async (req, res, next) => {
+  try {
+    res.json(await listApiKeys());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/keys
+ * Create an API key
+ * The key is only returned in this response; store it securely.
+ */
+router.post('/keys', requireRole('admin'), validate({
+  summary: 'Create an API key',
+  body: {
+    type: 'object',
+    required: ['name', 'role'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255 },
+      role: { type: 'string', enum: [...ROLES, 'service'] },
+      scopes: { type: 'array', items: { type: 'string', enum: SCOPES }, description: 'Service keys only' },
+      expires_at: { type: 'string', format: 'date-time', nullable: true },
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const { name, role, scopes, expires_at } = req.body;
+
+    if (role === 'service') {
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({ error: 'service keys require a non-empty scopes array' });
+      }
+    } else if (scopes !== undefined) {
+      return res.status(400).json({ error: 'scopes only apply to service keys' });
+    }
+
+    const apiKey = await createApiKey({
+      name,
+      role,
+      scopes: role === 'service' ? scopes : null,
+      expires_at: expires_at || null,
+      created_by: req.auth.name,
+    });
+
+    res.status(201).json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', requireRole('admin'), validate({
+  summary: 'Revoke an API key',
+  params: { id: uuid },
+}), async (req, res, next) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked', ...apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,18 +6,34 @@
 import express from 'express';
 import { analyzeGame, analyzeWeekly, generateSponsorScript } from '../services/gptService.js';
 import { query } from '../db/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+import { recordAudit } from '../services/auditService.js';
+import { paginationQuery, parsePagination, paginate } from '../utils/pagination.js';
 
 const router = express.Router();
 
+const CONTENT_TYPES = ['game_analysis', 'weekly_analysis', 'sponsor_script'];
+
+const CONTENT_SORTS = {
+  created_at: 'created_at',
+  content_type: 'content_type',
+};
+const contentPagination = { sortFields: CONTENT_SORTS, defaultSort: 'created_at', defaultOrder: 'desc' };
+
 /**
  * POST /api/gpt/analyze-game/:sessionId
  * Generate game-to-game analysis for a specific session
  */
-router.post('/analyze-game/:sessionId', async (req, res, next) => {
+router.post('/analyze-game/:sessionId', requireRole('operator'), validate({
+  summary: 'Generate a game analysis',
+  params: { sessionId: uuid },
+}), async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const analysis = await analyzeGame(sessionId);
-    
+    await recordAudit(req, { action: 'create', entity: 'gpt_content', entityId: sessionId, details: { content_type: 'game_analysis' } });
+
     res.json({
       session_id: sessionId,
       analysis,
@@ -38,21 +54,39 @@ router.post('/analyze-game/:sessionId', async (req, res, next) => {
 /**
  * POST /api/gpt/analyze-weekly
  * Generate week-to-week analysis comparing multiple sessions
- * Body: { session_ids: [uuid, ...], league_id?: uuid }
+ * Body: { session_ids?: [uuid, ...], league_id?: uuid, season_id?: uuid }
+ * Without session_ids, every session of the season is compared.
  */
-router.post('/analyze-weekly', async (req, res, next) => {
+router.post('/analyze-weekly', requireRole('operator'), validate({
+  summary: 'Generate a week-to-week analysis',
+  body: {
+    type: 'object',
+    properties: {
+      session_ids: { type: 'array', items: uuid, minItems: 1 },
+      league_id: { ...uuid, nullable: true },
+      season_id: { ...uuid, nullable: true, description: 'Only sessions of this season' },
+    },
+  },
+}), async (req, res, next) => {
   try {
-    const { session_ids, league_id } = req.body;
+    const { session_ids, league_id, season_id } = req.body;
 
-    if (!session_ids || !Array.isArray(session_ids) || session_ids.length === 0) {
-      return res.status(400).json({ error: 'session_ids array is required' });
+    if (!session_ids && !season_id) {
+      return res.status(400).json({ error: 'session_ids or season_id is required' });
     }
 
-    const analysis = await analyzeWeekly(session_ids, league_id);
-    
+    const analysis = await analyzeWeekly(session_ids, league_id, season_id);
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'gpt_content',
+      entityId: session_ids ? session_ids[session_ids.length - 1] : season_id,
+      details: { content_type: 'weekly_analysis', session_ids: session_ids || null, league_id: league_id || null, season_id: season_id || null },
+    });
+
     res.json({
-      session_ids,
+      session_ids: session_ids || null,
       league_id: league_id || null,
+      season_id: season_id || null,
       analysis,
       type: 'weekly_analysis',
       generated_at: new Date().toISOString()
@@ -73,13 +107,28 @@ router.post('/analyze-weekly', async (req, res, next) => {
  * Generate sponsor script for a session
  * Body: { sponsor_name?: string }
  */
-router.post('/sponsor-script/:sessionId', async (req, res, next) => {
+router.post('/sponsor-script/:sessionId', requireRole('operator'), validate({
+  summary: 'Generate a sponsor script',
+  params: { sessionId: uuid },
+  body: {
+    type: 'object',
+    properties: {
+      sponsor_name: { type: 'string', minLength: 1, default: 'Sponsor' },
+    },
+  },
+}), async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { sponsor_name = 'Sponsor' } = req.body;
 
     const script = await generateSponsorScript(sessionId, sponsor_name);
-    
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'gpt_content',
+      entityId: sessionId,
+      details: { content_type: 'sponsor_script', sponsor_name },
+    });
+
     res.json({
       session_id: sessionId,
       sponsor_name,
@@ -100,12 +149,21 @@ router.post('/sponsor-script/:sessionId', async (req, res, next) => {
 
 /**
  * GET /api/gpt/content/:sessionId
- * Get all GPT-generated content for a session
+ * Get GPT-generated content for a session, newest first
+ * Query: ?content_type=game_analysis&page=1&pageSize=50
  */
-router.get('/content/:sessionId', async (req, res, next) => {
+router.get('/content/:sessionId', requireRole('viewer', 'read'), validate({
+  summary: 'Get GPT content for a session',
+  params: { sessionId: uuid },
+  query: {
+    content_type: { type: 'string', enum: CONTENT_TYPES },
+    ...paginationQuery(Object.keys(CONTENT_SORTS), { sort: 'created_at', order: 'desc' }),
+  },
+}), async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { content_type } = req.query;
+    const pagination = parsePagination(req.query, contentPagination);
 
     let sql = 'SELECT * FROM gpt_content WHERE session_id = $1';
     const params = [sessionId];
@@ -115,10 +173,7 @@ router.get('/content/:sessionId', async (req, res, next) => {
       params.push(content_type);
     }
 
-    sql += ' ORDER BY created_at DESC';
-
-    const result = await query(sql, params);
-    res.json(result.rows);
+    res.json(await paginate(sql, params, pagination));
   } catch (error) {
     next(error);
   }
@@ -127,11 +182,18 @@ router.get('/content/:sessionId', async (req, res, next) => {
 /**
  * GET /api/gpt/recent
  * Get recent GPT content
- * Query: ?limit=10&content_type=game_analysis
+ * Query: ?content_type=game_analysis&page=1&pageSize=20
  */
-router.get('/recent', async (req, res, next) => {
+router.get('/recent', requireRole('viewer', 'read'), validate({
+  summary: 'Get recent GPT content',
+  query: {
+    content_type: { type: 'string', enum: CONTENT_TYPES },
+    ...paginationQuery(Object.keys(CONTENT_SORTS), { sort: 'created_at', order: 'desc', pageSize: 20 }),
+  },
+}), async (req, res, next) => {
   try {
-    const { limit = 20, content_type } = req.query;
+    const { content_type } = req.query;
+    const pagination = parsePagination(req.query, { ...contentPagination, defaultPageSize: 20 });
 
     let sql = `
       SELECT gc.*, gs.session_id, gs.game_url, l.name as league_name
@@ -148,11 +210,7 @@ router.get('/recent', async (req, res, next) => {
       params.push(content_type);
     }
 
-    sql += ` ORDER BY gc.created_at DESC LIMIT $${paramIndex++}`;
-    params.push(parseInt(limit));
-
-    const result = await query(sql, params);
-    res.json(result.rows);
+    res.json(await paginate(sql, params, pagination));
   } catch (error) {
     next(error);
   }
@@ -5,23 +5,73 @@
 
 import express from 'express';
 import { query } from '../db/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+import { recordAudit } from '../services/auditService.js';
+import { paginationQuery, parsePagination, paginate } from '../utils/pagination.js';
+import { TIE_BREAKERS, getLeagueStandings } from '../services/standingsService.js';
+import { getTeamStandings } from '../services/teamReportService.js';
 
 const router = express.Router();
 
+const points = { type: 'number', minimum: 0 };
+
+// leagues.points_config (see services/standingsService.js); null uses the default rules
+const pointsConfig = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    rank_points: { type: 'array', items: points, maxItems: 100, description: 'Points for 1st, 2nd, ...' },
+    participation_points: points,
+    accuracy_bonuses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['min_accuracy', 'points'],
+        properties: {
+          min_accuracy: { type: 'number', minimum: 0, maximum: 100 },
+          points,
+        },
+      },
+    },
+    attendance_bonus: {
+      type: 'object',
+      nullable: true,
+      required: ['min_games', 'points'],
+      properties: {
+        min_games: { type: 'integer', minimum: 1 },
+        points,
+      },
+    },
+    tie_breakers: { type: 'array', items: { type: 'string', enum: Object.keys(TIE_BREAKERS) } },
+  },
+};
+
+const LEAGUE_SORTS = {
+  name: 'name',
+  created_at: 'created_at',
+  player_count: 'player_count',
+};
+
 /**
  * GET /api/leagues
- * Get all leagues
+ * Get leagues, one page at a time
+ * Query: ?page=1&pageSize=50&sort=name&order=asc
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'List leagues with active player counts',
+  query: paginationQuery(Object.keys(LEAGUE_SORTS), { sort: 'name', order: 'asc' }),
+}), async (req, res, next) => {
   try {
-    const result = await query(
-      `SELECT l.*, COUNT(DISTINCT p.id) as player_count
-       FROM leagues l
-       LEFT JOIN players p ON l.id = p.league_id AND p.active = true
-       GROUP BY l.id
-       ORDER BY l.name ASC`
-    );
-    res.json(result.rows);
+    const pagination = parsePagination(req.query, { sortFields: LEAGUE_SORTS, defaultSort: 'name' });
+
+    const sql = `
+      SELECT l.*, COUNT(DISTINCT p.id) as player_count
+      FROM leagues l
+      LEFT JOIN players p ON l.id = p.league_id AND p.active = true
+      GROUP BY l.id
+    `;
+    res.json(await paginate(sql, [], pagination));
   } catch (error) {
     next(error);
   }
@@ -31,7 +81,10 @@ router.get('/', async (req, res, next) => {
  * GET /api/leagues/:id
  * Get a single league with players
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireRole('viewer', 'read'), validate({
+  summary: 'Get a league with its active players',
+  params: { id: uuid },
+}), async (req, res, next) => {
   try {
     const leagueResult = await query('SELECT * FROM leagues WHERE id = $1', [req.params.id]);
     
@@ -56,22 +109,91 @@ router.get('/:id', async (req, res, next) => {
 });
 
 /**
- * POST /api/leagues
- * Create a new league
+ * GET /api/leagues/:id/standings
+ * League table from completed player_results, scored with the league's points_config
+ * Query: ?season_id=uuid&as_of=2026-03-05 (only games played up to then)
  */
-router.post('/', async (req, res, next) => {
+router.get('/:id/standings', requireRole('viewer', 'read'), validate({
+  summary: 'Get league standings',
+  params: { id: uuid },
+  query: {
+    season_id: { ...uuid, description: 'Only count sessions in this season of the league' },
+    as_of: { type: 'string', format: 'date-time', description: 'Count games played up to this time (a date includes the whole day, UTC)' },
+  },
+}), async (req, res, next) => {
   try {
-    const { name, description } = req.body;
+    const standings = await getLeagueStandings(req.params.id, {
+      seasonId: req.query.season_id || null,
+      asOf: req.query.as_of || null,
+    });
+
+    if (!standings) {
+      return res.status(404).json({ error: 'League not found' });
+    }
 
-    if (!name) {
-      return res.status(400).json({ error: 'name is required' });
+    res.json(standings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/leagues/:id/teams/standings
+ * Team table from completed player_results: wins (best-ranked team per session), average rank and accuracy
+ * Query: ?season_id=uuid&from=2026-01-01&to=2026-03-31
+ */
+router.get('/:id/teams/standings', requireRole('viewer', 'read'), validate({
+  summary: 'Get team standings for a league',
+  params: { id: uuid },
+  query: {
+    season_id: { ...uuid, description: 'Only count sessions in this season of the league' },
+    from: { type: 'string', format: 'date-time', description: 'Count games played from this time (a date starts at midnight, UTC)' },
+    to: { type: 'string', format: 'date-time', description: 'Count games played up to this time (a date includes the whole day, UTC)' },
+  },
+}), async (req, res, next) => {
+  try {
+    const standings = await getTeamStandings(req.params.id, {
+      seasonId: req.query.season_id || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+    });
+
+    if (!standings) {
+      return res.status(404).json({ error: 'League not found' });
     }
 
+    res.json(standings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/leagues
+ * Create a new league
+ */
+router.post('/', requireRole('admin'), validate({
+  summary: 'Create a league',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255 },
+      description: { type: 'string', nullable: true },
+      points_config: pointsConfig,
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const { name, description, points_config } = req.body;
+
     const result = await query(
-      'INSERT INTO leagues (name, description) VALUES ($1, $2) RETURNING *',
-      [name, description || null]
+      'INSERT INTO leagues (name, description, points_config) VALUES ($1, $2, $3) RETURNING *',
+      [name, description || null, points_config ? JSON.stringify(points_config) : null]
     );
 
+    await recordAudit(req, { action: 'create', entity: 'league', entityId: result.rows[0].id, after: result.rows[0] });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     if (error.code === '23505') {
@@ -85,23 +207,49 @@ router.post('/', async (req, res, next) => {
  * PUT /api/leagues/:id
  * Update a league
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireRole('admin'), validate({
+  summary: 'Update a league',
+  params: { id: uuid },
+  // null leaves name and description unchanged; points_config: null restores the default rules
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255, nullable: true },
+      description: { type: 'string', nullable: true },
+      points_config: pointsConfig,
+    },
+  },
+}), async (req, res, next) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, points_config } = req.body;
 
+    const existing = await query('SELECT * FROM leagues WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    // points_config is only touched when sent
     const result = await query(
       `UPDATE leagues SET
         name = COALESCE($1, name),
         description = COALESCE($2, description),
+        points_config = CASE WHEN $5 THEN $3::jsonb ELSE points_config END,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3
+      WHERE id = $4
       RETURNING *`,
-      [name, description, req.params.id]
+      [
+        name, description, points_config ? JSON.stringify(points_config) : null, req.params.id,
+        points_config !== undefined,
+      ]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'League not found' });
-    }
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'league',
+      entityId: req.params.id,
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
 
     res.json(result.rows[0]);
   } catch (error) {
@@ -113,16 +261,25 @@ router.put('/:id', async (req, res, next) => {
  * DELETE /api/leagues/:id
  * Delete a league
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireRole('admin'), validate({
+  summary: 'Delete a league',
+  params: { id: uuid },
+}), async (req, res, next) => {
   try {
-    const result = await query('DELETE FROM leagues WHERE id = $1 RETURNING id', [req.params.id]);
+    const result = await query('DELETE FROM leagues WHERE id = $1 RETURNING *', [req.params.id]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'League not found' });
     }
 
+    await recordAudit(req, { action: 'delete', entity: 'league', entityId: req.params.id, before: result.rows[0] });
+
     res.json({ message: 'League deleted', id: result.rows[0].id });
   } catch (error) {
+    // The league's teams lose their league and would clash with a team without one
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A team of this league has the same name as a team without a league' });
+    }
     next(error);
   }
 });
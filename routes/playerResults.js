@@ -6,20 +6,51 @@
 import express from 'express';
 import { query } from '../db/index.js';
 import { resolveSessionId } from '../utils/sessionId.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { recordAudit } from '../services/auditService.js';
+import { paginationQuery, parsePagination, paginate } from '../utils/pagination.js';
 
 const router = express.Router();
 
+const count = { type: 'integer', minimum: 0 };
+
+const RESULT_SORTS = {
+  final_rank: 'final_rank',
+  final_score: 'final_score',
+  accuracy: 'accuracy',
+  correct_answers: 'correct_answers',
+  nickname: 'nickname',
+  created_at: 'created_at',
+};
+
 /**
  * POST /api/player-results
  * Insert into player_results only (no session table writes).
  * Body: session_id, nickname or player_id, questions_answered, correct_answers, final_score, final_rank, status
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireRole('operator', 'results:write'), validate({
+  summary: 'Record a player result',
+  body: {
+    type: 'object',
+    required: ['session_id'],
+    properties: {
+      session_id: { type: 'string', minLength: 1 },
+      // The player is looked up by player_id (UUID), then participant_id, then nickname
+      player_id: { type: 'string' },
+      participant_id: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+      nickname: { type: 'string' },
+      questions_answered: count,
+      correct_answers: count,
+      final_score: { type: 'integer', nullable: true },
+      final_rank: { type: 'integer', minimum: 1, nullable: true },
+      status: { type: 'string', enum: ['completed', 'failed', 'error'] },
+      error_message: { type: 'string', nullable: true },
+    },
+  },
+}), async (req, res, next) => {
   try {
     const { session_id, player_id, participant_id, nickname, questions_answered, correct_answers, final_score, final_rank, status, error_message } = req.body;
-    if (!session_id) {
-      return res.status(400).json({ error: 'session_id is required' });
-    }
 
     const sessionDbId = await resolveSessionId(session_id);
     if (!sessionDbId) {
@@ -48,8 +79,8 @@ router.post('/', async (req, res, next) => {
       ? (correct_answers / questions_answered) * 100
       : null;
 
-    await query(
-      'DELETE FROM player_results WHERE session_id = $1 AND player_id = $2',
+    const replaced = await query(
+      'DELETE FROM player_results WHERE session_id = $1 AND player_id = $2 RETURNING *',
       [sessionDbId, playerDbId]
     );
 
@@ -61,6 +92,17 @@ router.post('/', async (req, res, next) => {
       RETURNING *`,
       [sessionDbId, playerDbId, questions_answered || 0, correct_answers || 0, accuracy, final_score ?? null, final_rank ?? null, status || 'completed', error_message ?? null]
     );
+
+    // The row is replaced, so diff against the previous result for this player
+    const previous = replaced.rows[0] ? { ...replaced.rows[0], id: result.rows[0].id } : null;
+    await recordAudit(req, {
+      action: previous ? 'update' : 'create',
+      entity: 'player_result',
+      entityId: result.rows[0].id,
+      before: previous,
+      after: result.rows[0],
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     next(error);
@@ -69,41 +111,45 @@ router.post('/', async (req, res, next) => {
 
 /**
  * GET /api/player-results
- * - ?session_id=xxx - results for a session
- * - ?limit=50 - recent results (for homepage)
+ * Get results one page at a time
+ * - ?session_id=xxx - results for a session (best rank first by default)
+ * - without session_id - recent results across sessions (newest first by default)
+ * Query: ?page=1&pageSize=50&sort=final_score&order=desc
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'List results for a session, or the most recent results',
+  query: {
+    session_id: { type: 'string', description: 'Session UUID or session_id' },
+    ...paginationQuery(Object.keys(RESULT_SORTS)),
+  },
+}), async (req, res, next) => {
   try {
-    const { session_id, limit = 50 } = req.query;
+    const { session_id } = req.query;
+
+    let sql = `
+      SELECT pr.*, p.nickname, p.name, p.team, gs.session_id, gs.game_url
+      FROM player_results pr
+      JOIN players p ON pr.player_id = p.id
+      JOIN game_sessions gs ON pr.session_id = gs.id
+    `;
+    const params = [];
 
     if (session_id) {
       const sessionDbId = await resolveSessionId(session_id);
       if (!sessionDbId) {
         return res.status(404).json({ error: 'Session not found' });
       }
-      const result = await query(
-        `SELECT pr.*, p.nickname, p.name, p.team, gs.session_id
-         FROM player_results pr
-         JOIN players p ON pr.player_id = p.id
-         JOIN game_sessions gs ON pr.session_id = gs.id
-         WHERE pr.session_id = $1
-         ORDER BY pr.final_rank ASC NULLS LAST, pr.final_score DESC NULLS LAST`,
-        [sessionDbId]
-      );
-      return res.json(result.rows);
+      sql += ' WHERE pr.session_id = $1';
+      params.push(sessionDbId);
     }
 
-    const limitInt = Math.min(parseInt(limit) || 50, 100);
-    const result = await query(
-      `SELECT pr.*, p.nickname, p.name, p.team, gs.session_id, gs.game_url
-       FROM player_results pr
-       JOIN players p ON pr.player_id = p.id
-       JOIN game_sessions gs ON pr.session_id = gs.id
-       ORDER BY pr.id DESC
-       LIMIT $1`,
-      [limitInt]
-    );
-    res.json(result.rows);
+    const pagination = parsePagination(req.query, {
+      sortFields: RESULT_SORTS,
+      defaultSort: session_id ? 'final_rank' : 'created_at',
+      defaultOrder: session_id ? 'asc' : 'desc',
+    });
+
+    res.json(await paginate(sql, params, pagination));
   } catch (error) {
     next(error);
   }
@@ -4,23 +4,86 @@
  */
 
 import express from 'express';
-import { query } from '../db/index.js';
-import { excelLoader } from '../src/players/excelLoader.js';
+import { query, withTransaction } from '../db/index.js';
+import { ExcelLoader } from '../src/players/excelLoader.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from '../src/config/default.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+import { spreadsheetUpload } from '../middleware/upload.js';
+import { recordAudit, recordAudits } from '../services/auditService.js';
+import { DEFAULT_ROLLING_WINDOW, getPlayerHistory } from '../services/playerHistoryService.js';
+import { resolveTeam } from '../services/teamService.js';
+import { profileFromDatabaseRow, profileToDatabaseColumns, validateProfile } from '../src/players/playerSchema.js';
+import {
+  MAX_SYNC_ROWS, MISSING_POLICIES, parsePlayerFile, previewSync, applySync, syncReport,
+  createImport, getImport, confirmImport, discardImport,
+} from '../services/playerSyncService.js';
+import { paginationQuery, parsePagination, paginate } from '../utils/pagination.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const PERSONALITIES = ['fast', 'cautious', 'random', 'normal'];
+
+const fraction = { type: 'number', minimum: 0, maximum: 1, nullable: true };
+const names = { type: 'array', items: { type: 'string', minLength: 1, maxLength: 255 }, nullable: true };
+
+const missingPolicy = {
+  type: 'string',
+  enum: MISSING_POLICIES,
+  description: 'What to do with active players the sheet no longer lists',
+};
+
+/**
+ * Audit each player a sync deactivated or flagged as missing, so the player's own history shows it
+ * @param {object} req - Express request
+ * @param {array} missingChanges - From applySync()
+ * @param {object} details - Extra details for every entry (e.g. import_id)
+ */
+function auditMissingChanges(req, missingChanges, details = {}) {
+  return recordAudits(req, missingChanges.map(change => ({
+    action: change.action,
+    entity: 'player',
+    entityId: change.id,
+    before: change.before,
+    after: change.after,
+    details: { participant_id: change.participant_id, nickname: change.nickname, reason: 'Missing from the synced spreadsheet', ...details },
+  })));
+}
+
+const PLAYER_SORTS = {
+  nickname: 'nickname',
+  name: 'name',
+  team: 'team',
+  accuracy: 'accuracy',
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  missing_since: 'missing_since',
+};
+
 /**
  * GET /api/players
- * Get all players (from database)
+ * Get players (from database), one page at a time
+ * Query: ?league_id=...&active=true&team=...&team_id=...&missing=true&page=1&pageSize=50&sort=nickname&order=asc
+ * team matches any spelling of the team name; missing=true lists players a sync found missing from the spreadsheet
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'List players',
+  query: {
+    league_id: uuid,
+    active: { type: 'boolean' },
+    team: { type: 'string' },
+    team_id: uuid,
+    missing: { type: 'boolean', description: 'Only players missing (true) or not missing (false) from the last sync' },
+    ...paginationQuery(Object.keys(PLAYER_SORTS), { sort: 'nickname', order: 'asc' }),
+  },
+}), async (req, res, next) => {
   try {
-    const { league_id, active, team } = req.query;
+    const { league_id, active, team, team_id, missing } = req.query;
+    const pagination = parsePagination(req.query, { sortFields: PLAYER_SORTS, defaultSort: 'nickname' });
 
     let sql = 'SELECT * FROM players WHERE 1=1';
     const params = [];
@@ -37,14 +100,20 @@ router.get('/', async (req, res, next) => {
     }
 
     if (team) {
-      sql += ` AND team = $${paramIndex++}`;
+      sql += ` AND team_id IN (SELECT id FROM teams WHERE name_key = team_key($${paramIndex++}))`;
       params.push(team);
     }
 
-    sql += ' ORDER BY nickname ASC';
+    if (team_id) {
+      sql += ` AND team_id = $${paramIndex++}`;
+      params.push(team_id);
+    }
+
+    if (missing !== undefined) {
+      sql += missing === 'true' ? ' AND missing_since IS NOT NULL' : ' AND missing_since IS NULL';
+    }
 
-    const result = await query(sql, params);
-    res.json(result.rows);
+    res.json(await paginate(sql, params, pagination));
   } catch (error) {
     next(error);
   }
@@ -54,7 +123,10 @@ router.get('/', async (req, res, next) => {
  * GET /api/players/:id
  * Get a single player by ID
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireRole('viewer', 'read'), validate({
+  summary: 'Get a player',
+  params: { id: uuid },
+}), async (req, res, next) => {
   try {
     const result = await query('SELECT * FROM players WHERE id = $1', [req.params.id]);
 
@@ -68,22 +140,59 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/players/:id/history
+ * A player's results with rolling accuracy, career and per-league stats and a weekly trend
+ * Query: ?league_id=...&window=5
+ */
+router.get('/:id/history', requireRole('viewer', 'read'), validate({
+  summary: 'Get a player\'s career history',
+  params: { id: uuid },
+  query: {
+    league_id: uuid,
+    window: { type: 'integer', minimum: 1, maximum: 50, default: DEFAULT_ROLLING_WINDOW, description: 'Games in the rolling accuracy' },
+  },
+}), async (req, res, next) => {
+  try {
+    const history = await getPlayerHistory(req.params.id, {
+      leagueId: req.query.league_id || null,
+      window: parseInt(req.query.window) || DEFAULT_ROLLING_WINDOW,
+    });
+
+    if (!history) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/players/sync
- * Sync players from Excel file to database
- * Loads from players.xlsx and upserts to database
+ * Sync players from the server's configured Excel file (config.data.playersFile)
+ * To sync a file from your machine, use POST /api/players/sync/upload instead.
+ * Body: { dryRun, missing_policy: deactivate | flag | ignore (default) }
  */
-router.post('/sync', async (req, res, next) => {
+router.post('/sync', requireRole('operator', 'players:sync'), validate({
+  summary: 'Sync players from the server Excel file',
+  body: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean', default: false },
+      missing_policy: { ...missingPolicy, default: 'ignore' },
+    },
+  },
+}), async (req, res, next) => {
   try {
-    const playersFile = req.body.file || config.data.playersFile;
-    const { dryRun = false } = req.body;
+    const { dryRun = false, missing_policy = 'ignore' } = req.body;
+    const started = Date.now();
 
-    console.log(`Loading players from: ${playersFile}`);
+    console.log(`Loading players from: ${config.data.playersFile}`);
 
-    // Load players from Excel (use excelLoader singleton, but allow custom file path)
-    // Note: excelLoader uses a default path, but we can pass file path if needed
-    // For now, we'll use the default path from config
-    const players = excelLoader.loadPlayers({ limit: 1000 }); // Load all players
+    const players = new ExcelLoader(config.data.playersFile).loadPlayers({ limit: MAX_SYNC_ROWS });
+    const loadMs = Date.now() - started;
 
     if (players.length === 0) {
       return res.json({
@@ -94,112 +203,202 @@ router.post('/sync', async (req, res, next) => {
       });
     }
 
+    const diff = await previewSync(players);
+    const diffMs = Date.now() - started - loadMs;
+
     if (dryRun) {
       return res.json({
         message: 'Dry run - no changes made',
         playersFound: players.length,
-        players: players.map(p => ({
-          nickname: p.nickname,
-          participant_id: p.participantId,
-          email: p.email,
-          accuracy: p.accuracy
-        }))
+        missing_policy,
+        ...diff,
+        timing: { loadMs, diffMs, totalMs: Date.now() - started },
       });
     }
 
-    let created = 0;
-    let updated = 0;
-
-    // Upsert each player
-    for (const player of players) {
-      // Check if player exists (by participant_id or email)
-      let existing = null;
-
-      if (player.participantId) {
-        const result = await query(
-          'SELECT id FROM players WHERE participant_id = $1',
-          [player.participantId]
-        );
-        if (result.rows.length > 0) {
-          existing = result.rows[0];
-        }
-      }
+    const { durationMs: applyMs, missingChanges, ...counts } = await applySync(diff, { missingPolicy: missing_policy });
 
-      if (!existing && player.email) {
-        const result = await query(
-          'SELECT id FROM players WHERE email = $1',
-          [player.email]
-        );
-        if (result.rows.length > 0) {
-          existing = result.rows[0];
-        }
-      }
+    await recordAudit(req, {
+      action: 'sync',
+      entity: 'players',
+      details: { playersFound: players.length, missing_policy, ...counts },
+    });
+    await auditMissingChanges(req, missingChanges);
 
-      if (existing) {
-        // Update existing player
-        await query(
-          `UPDATE players SET 
-            nickname = $1, 
-            name = $2, 
-            email = $3, 
-            phone = $4, 
-            accuracy = $5, 
-            personality = $6, 
-            team = $7,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = $8`,
-          [
-            player.nickname,
-            player.name,
-            player.email,
-            player.phone,
-            player.accuracy ? player.accuracy * 100 : null, // Convert 0-1 to 0-100
-            player.personality || 'normal',
-            player.team || null,
-            existing.id
-          ]
-        );
-        updated++;
-      } else {
-        // Insert new player
-        await query(
-          `INSERT INTO players (
-            participant_id, nickname, name, email, phone, 
-            accuracy, personality, team, active
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-          [
-            player.participantId || null,
-            player.nickname,
-            player.name,
-            player.email,
-            player.phone,
-            player.accuracy ? player.accuracy * 100 : null,
-            player.personality || 'normal',
-            player.team || null,
-            true
-          ]
-        );
-        created++;
-      }
+    res.json({
+      message: 'Players synced successfully',
+      ...syncReport(diff, counts, missing_policy),
+      timing: { loadMs, diffMs, applyMs, totalMs: Date.now() - started },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/players/sync/upload
+ * Upload a roster spreadsheet (.xlsx, .xls or .csv, form field "file") and preview the sync
+ * Nothing changes until POST /api/players/sync/imports/:id/confirm.
+ * Form field missing_policy (deactivate, flag, ignore) is applied on confirm.
+ */
+router.post('/sync/upload', requireRole('operator', 'players:sync'), spreadsheetUpload('file'), validate({
+  summary: 'Upload a roster spreadsheet and preview the sync',
+  files: {
+    file: { required: true, description: '.xlsx, .xls or .csv roster' },
+  },
+  body: {
+    type: 'object',
+    properties: {
+      missing_policy: { ...missingPolicy, default: 'ignore' },
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const { buffer, originalname } = req.file;
+    const { missing_policy = 'ignore' } = req.body;
+    const started = Date.now();
+
+    const players = parsePlayerFile(buffer, originalname);
+    const loadMs = Date.now() - started;
+    const diff = await previewSync(players);
+    const diffMs = Date.now() - started - loadMs;
+
+    const playerImport = await createImport({
+      filename: originalname,
+      diff,
+      missingPolicy: missing_policy,
+      actor: req.auth?.name,
+    });
+    res.status(201).json({ ...playerImport, timing: { loadMs, diffMs, totalMs: Date.now() - started } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/players/sync/imports/:id
+ * Get an uploaded import with its preview diff
+ */
+router.get('/sync/imports/:id', requireRole('viewer', 'read'), validate({
+  summary: 'Get an uploaded import and its preview',
+  params: { id: uuid },
+}), async (req, res, next) => {
+  try {
+    const playerImport = await getImport(req.params.id);
+    if (!playerImport) {
+      return res.status(404).json({ error: 'Import not found' });
     }
+    res.json(playerImport);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/players/sync/imports/:id/confirm
+ * Apply a previewed import (creates new players, updates changed ones, applies the missing policy)
+ * Body: { missing_policy } to override the policy chosen at upload
+ */
+router.post('/sync/imports/:id/confirm', requireRole('operator', 'players:sync'), validate({
+  summary: 'Apply a previewed import',
+  params: { id: uuid },
+  body: {
+    type: 'object',
+    properties: {
+      missing_policy: missingPolicy,
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const { import: playerImport, durationMs: applyMs, missingChanges, ...counts } = await confirmImport(req.params.id, {
+      actor: req.auth?.name,
+      missingPolicy: req.body?.missing_policy,
+    });
+
+    await recordAudit(req, {
+      action: 'sync',
+      entity: 'players',
+      details: {
+        import_id: playerImport.id,
+        filename: playerImport.filename,
+        missing_policy: playerImport.missing_policy,
+        ...counts,
+      },
+    });
+    await auditMissingChanges(req, missingChanges, { import_id: playerImport.id });
 
     res.json({
       message: 'Players synced successfully',
-      playersFound: players.length,
-      created,
-      updated,
-      total: created + updated
+      import_id: playerImport.id,
+      ...syncReport({ summary: playerImport.summary, ...playerImport.diff }, counts, playerImport.missing_policy),
+      timing: { applyMs },
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * DELETE /api/players/sync/imports/:id
+ * Discard a previewed import without applying it
+ */
+router.delete('/sync/imports/:id', requireRole('operator', 'players:sync'), validate({
+  summary: 'Discard a previewed import',
+  params: { id: uuid },
+}), async (req, res, next) => {
+  try {
+    const playerImport = await discardImport(req.params.id);
+    res.json({ message: 'Import discarded', import_id: playerImport.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * PUT /api/players/:id
- * Update a player
+ * Update a player, including the behavior profile bots play with
+ * reaction_time and knowledge_areas are merged into the stored values, and the
+ * resulting profile must pass validateProfile().
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireRole('operator'), validate({
+  summary: 'Update a player',
+  params: { id: uuid },
+  // null leaves a field unchanged
+  body: {
+    type: 'object',
+    properties: {
+      nickname: { type: 'string', minLength: 1, maxLength: 255, nullable: true },
+      name: { type: 'string', maxLength: 255, nullable: true },
+      email: { type: 'string', format: 'email', maxLength: 255, nullable: true },
+      phone: { type: 'string', maxLength: 50, nullable: true },
+      accuracy: { type: 'number', minimum: 0, maximum: 100, nullable: true },
+      personality: { type: 'string', enum: PERSONALITIES, nullable: true },
+      team: { type: 'string', maxLength: 255, nullable: true, description: 'Team name in any spelling; a new name creates the team' },
+      team_id: { ...uuid, nullable: true },
+      league_id: { ...uuid, nullable: true },
+      active: { type: 'boolean', nullable: true },
+      reaction_time: {
+        type: 'object',
+        nullable: true,
+        description: 'Response times in ms',
+        properties: {
+          min: { type: 'integer', minimum: 1 },
+          max: { type: 'integer', minimum: 1 },
+          average: { type: 'integer', minimum: 1 },
+        },
+      },
+      knowledge_areas: { type: 'object', nullable: true, description: 'Category to accuracy (0-1)' },
+      consistency: fraction,
+      streak_behavior: { type: 'boolean', nullable: true },
+      late_join_chance: fraction,
+      no_show_chance: fraction,
+      early_leave_chance: fraction,
+      backstory: { type: 'string', maxLength: 5000, nullable: true },
+      rivalries: names,
+      sponsors: names,
+    },
+  },
+}), async (req, res, next) => {
   try {
     const {
       nickname,
@@ -209,31 +408,108 @@ router.put('/:id', async (req, res, next) => {
       accuracy,
       personality,
       team,
+      team_id,
       league_id,
       active
     } = req.body;
 
-    const result = await query(
-      `UPDATE players SET 
-        nickname = COALESCE($1, nickname),
-        name = COALESCE($2, name),
-        email = COALESCE($3, email),
-        phone = COALESCE($4, phone),
-        accuracy = COALESCE($5, accuracy),
-        personality = COALESCE($6, personality),
-        team = COALESCE($7, team),
-        league_id = COALESCE($8, league_id),
-        active = COALESCE($9, active),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = $10
-      RETURNING *`,
-      [nickname, name, email, phone, accuracy, personality, team, league_id, active, req.params.id]
-    );
-
-    if (result.rows.length === 0) {
+    const existing = await query('SELECT * FROM players WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
       return res.status(404).json({ error: 'Player not found' });
     }
 
+    const current = existing.rows[0];
+
+    // pg returns ids in lower case
+    const leagueId = (league_id || current.league_id)?.toLowerCase() ?? null;
+    const leagueChanged = leagueId !== (current.league_id ?? null);
+
+    let linkedTeam = null;
+    if (team_id) {
+      const found = await query('SELECT * FROM teams WHERE id = $1', [team_id]);
+      if (found.rows.length === 0) {
+        return res.status(400).json({ error: 'Team not found' });
+      }
+      if ((found.rows[0].league_id ?? null) !== leagueId) {
+        return res.status(400).json({ error: "Team is not in the player's league" });
+      }
+      linkedTeam = found.rows[0];
+    }
+
+    const updates = Object.fromEntries(Object.entries(req.body).filter(([, value]) => value != null));
+    const profile = profileFromDatabaseRow({
+      ...current,
+      ...updates,
+      reaction_time: { ...current.reaction_time, ...updates.reaction_time },
+      knowledge_areas: { ...current.knowledge_areas, ...updates.knowledge_areas },
+    });
+    const { valid, errors } = validateProfile(profile);
+    if (!valid) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const behavior = profileToDatabaseColumns(profile);
+
+    // A team named here is created with the update, so a rejected update leaves none behind
+    const result = await withTransaction(async (tx) => {
+      // A player moving league without a new team joins the same-named team of the new league
+      let playerTeam = linkedTeam;
+      if (!playerTeam && team) {
+        playerTeam = await resolveTeam(team, { leagueId, tx });
+      } else if (!playerTeam && leagueChanged && current.team_id) {
+        playerTeam = await resolveTeam(current.team, { leagueId, tx });
+      }
+
+      return tx.query(
+        `UPDATE players SET 
+          nickname = COALESCE($1, nickname),
+          name = COALESCE($2, name),
+          email = COALESCE($3, email),
+          phone = COALESCE($4, phone),
+          accuracy = COALESCE($5, accuracy),
+          personality = COALESCE($6, personality),
+          team = COALESCE($7, team),
+          team_id = COALESCE($21, team_id),
+          league_id = COALESCE($8, league_id),
+          active = COALESCE($9, active),
+          reaction_time = $10,
+          knowledge_areas = $11,
+          consistency = $12,
+          streak_behavior = $13,
+          late_join_chance = $14,
+          no_show_chance = $15,
+          early_leave_chance = $16,
+          backstory = $17,
+          rivalries = $18,
+          sponsors = $19,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $20
+        RETURNING *`,
+        [
+          nickname, name, email, phone, accuracy, personality, playerTeam?.name ?? null, league_id, active,
+          JSON.stringify(behavior.reaction_time),
+          JSON.stringify(behavior.knowledge_areas),
+          behavior.consistency,
+          behavior.streak_behavior,
+          behavior.late_join_chance,
+          behavior.no_show_chance,
+          behavior.early_leave_chance,
+          behavior.backstory,
+          JSON.stringify(behavior.rivalries),
+          JSON.stringify(behavior.sponsors),
+          req.params.id,
+          playerTeam?.id ?? null,
+        ]
+      );
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'player',
+      entityId: req.params.id,
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     next(error);
@@ -244,26 +520,41 @@ router.put('/:id', async (req, res, next) => {
  * DELETE /api/players/:id
  * Delete a player (soft delete - set active = false)
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireRole('admin'), validate({
+  summary: 'Deactivate or delete a player',
+  params: { id: uuid },
+  query: {
+    hardDelete: { type: 'boolean', default: false },
+  },
+}), async (req, res, next) => {
   try {
     const { hardDelete = false } = req.query;
 
     if (hardDelete === 'true') {
       // Hard delete
-      const result = await query('DELETE FROM players WHERE id = $1 RETURNING id', [req.params.id]);
+      const result = await query('DELETE FROM players WHERE id = $1 RETURNING *', [req.params.id]);
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Player not found' });
       }
+      await recordAudit(req, { action: 'delete', entity: 'player', entityId: req.params.id, before: result.rows[0] });
       res.json({ message: 'Player deleted', id: result.rows[0].id });
     } else {
       // Soft delete
+      const existing = await query('SELECT * FROM players WHERE id = $1', [req.params.id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
       const result = await query(
-        'UPDATE players SET active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+        'UPDATE players SET active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
         [req.params.id]
       );
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Player not found' });
-      }
+      await recordAudit(req, {
+        action: 'deactivate',
+        entity: 'player',
+        entityId: req.params.id,
+        before: existing.rows[0],
+        after: result.rows[0],
+      });
       res.json({ message: 'Player deactivated', id: result.rows[0].id });
     }
   } catch (error) {
@@ -275,13 +566,15 @@ router.delete('/:id', async (req, res, next) => {
  * GET /api/players/stats/summary
  * Get player statistics summary
  */
-router.get('/stats/summary', async (req, res, next) => {
+router.get('/stats/summary', requireRole('viewer', 'read'), validate({
+  summary: 'Get player statistics',
+}), async (req, res, next) => {
   try {
     const stats = await query(`
       SELECT 
         COUNT(*) as total_players,
         COUNT(*) FILTER (WHERE active = true) as active_players,
-        COUNT(DISTINCT team) as total_teams,
+        COUNT(DISTINCT team_id) as total_teams,
         COUNT(DISTINCT league_id) as total_leagues,
         AVG(accuracy) as avg_accuracy
       FROM players
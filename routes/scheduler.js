@@ -0,0 +1,83 @@
+/**
+ * Scheduler API Routes
+ * Control the game scheduler hosted in this server process
+ */
+
+import express from 'express';
+import {
+  startScheduler,
+  stopScheduler,
+  runScheduleNow,
+  getSchedulerStatus
+} from '../services/schedulerHost.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/scheduler/status
+ * Get armed schedules, their next runs and which games are running
+ */
+router.get('/status', requireRole('viewer', 'read'), validate({
+  summary: 'Get scheduler status',
+}), (req, res, next) => {
+  try {
+    res.json(getSchedulerStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/scheduler/start
+ * Load enabled schedules and start the scheduler
+ */
+router.post('/start', requireRole('operator'), validate({
+  summary: 'Start the scheduler',
+}), async (req, res, next) => {
+  try {
+    await startScheduler();
+    res.json(getSchedulerStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/scheduler/stop
+ * Stop the scheduler and any games it is running
+ */
+router.post('/stop', requireRole('operator'), validate({
+  summary: 'Stop the scheduler',
+}), async (req, res, next) => {
+  try {
+    await stopScheduler();
+    res.json(getSchedulerStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/scheduler/run-now/:leagueId
+ * Run a schedule's game immediately
+ * :leagueId is the schedule id (scheduled_games.id) shown in status
+ * Responds right away; the game runs in the background
+ */
+router.post('/run-now/:leagueId', requireRole('operator'), validate({
+  summary: 'Run a schedule\'s game now',
+  params: { leagueId: uuid },
+}), async (req, res, next) => {
+  try {
+    await runScheduleNow(req.params.leagueId);
+    res.status(202).json({
+      message: 'Game started',
+      ...getSchedulerStatus().leagues.find(league => league.id === req.params.leagueId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
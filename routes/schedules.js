@@ -0,0 +1,669 @@
+/**
+ * Schedules API Routes
+ * Manage league game schedules (scheduled_games table)
+ */
+
+import express from 'express';
+import { query } from '../db/index.js';
+import { isValidTimezone } from '../src/utils/timezone.js';
+import { isValidCron } from '../src/scheduler/cron.js';
+import { gameScheduler, scheduleConfigFromRow } from '../src/scheduler/gameScheduler.js';
+import { refreshSchedules } from '../services/schedulerHost.js';
+import { exceptionFields } from '../services/scheduleService.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid, limitParam } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const SCHEDULE_TYPES = ['weekly', 'one-time', 'recurring'];
+const EXCEPTION_TYPES = ['blackout', 'override'];
+const RUN_STATUSES = ['running', 'completed', 'failed', 'stopped', 'missed'];
+const RUN_TYPES = ['scheduled', 'manual'];
+
+// Field types, checked by validate(); rules across fields are checked by validateSchedule()
+const scheduleProperties = {
+  league_id: { ...uuid, nullable: true },
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  game_url: { type: 'string', format: 'uri', maxLength: 500, nullable: true },
+  schedule_type: { type: 'string', enum: SCHEDULE_TYPES },
+  day_of_week: { type: 'integer', minimum: 0, maximum: 6, nullable: true, description: '0 = Sunday' },
+  time: { type: 'string', format: 'time', nullable: true },
+  run_at: { type: 'string', format: 'date-time', nullable: true },
+  cron_expression: { type: 'string', nullable: true },
+  start_date: { type: 'string', format: 'date', nullable: true },
+  end_date: { type: 'string', format: 'date', nullable: true },
+  timezone: { type: 'string' },
+  player_count: { type: 'integer', minimum: 1 },
+  max_concurrent: { type: 'integer', minimum: 1 },
+  grace_minutes: { type: 'integer', minimum: 0 },
+  enabled: { type: 'boolean' },
+};
+
+// Field types, checked by validate(); rules across fields are checked by validateException()
+const exceptionProperties = {
+  exception_date: { type: 'string', format: 'date' },
+  exception_type: { type: 'string', enum: EXCEPTION_TYPES },
+  override_time: { type: 'string', format: 'time', nullable: true },
+  override_game_url: { type: 'string', format: 'uri', maxLength: 500, nullable: true },
+  override_player_count: { type: 'integer', minimum: 1, nullable: true },
+  reason: { type: 'string', maxLength: 255, nullable: true },
+};
+
+const scheduleParams = { id: uuid };
+
+/**
+ * Normalize a DATE value (string or pg Date) to 'YYYY-MM-DD'
+ */
+function toDateString(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return value;
+}
+
+/**
+ * SET clause for the fields present in an update body; null clears a field
+ * @param {object} fields - Column to value, undefined for fields left out of the body
+ * @returns {object} { assignments, values } with placeholders numbered from $1
+ */
+function buildUpdateSet(fields) {
+  const present = Object.entries(fields).filter(([, value]) => value !== undefined);
+  return {
+    assignments: present.map(([column], index) => `${column} = $${index + 1}`),
+    values: present.map(([, value]) => value),
+  };
+}
+
+/**
+ * Check the schedule rules validate() cannot express, returning an error message or null
+ * Field types and formats are checked by the route's body schema.
+ * @param {object} fields - Schedule fields (merged with existing row on update)
+ */
+function validateSchedule(fields) {
+  if (fields.timezone != null && !isValidTimezone(fields.timezone)) {
+    return `Unknown timezone: ${fields.timezone}`;
+  }
+  if (fields.cron_expression != null && !isValidCron(fields.cron_expression)) {
+    return 'cron_expression must be a 5-field cron expression (minute hour day month weekday)';
+  }
+
+  const startDate = toDateString(fields.start_date);
+  const endDate = toDateString(fields.end_date);
+  if (startDate != null && endDate != null && startDate > endDate) {
+    return 'start_date must not be after end_date';
+  }
+
+  if (fields.schedule_type === 'weekly' && (fields.day_of_week == null || fields.time == null)) {
+    return 'weekly schedules require day_of_week and time';
+  }
+  if (fields.schedule_type === 'one-time' && fields.run_at == null) {
+    return 'one-time schedules require run_at';
+  }
+  if (fields.schedule_type === 'recurring' && fields.cron_expression == null) {
+    return 'recurring schedules require cron_expression';
+  }
+  return null;
+}
+
+/**
+ * Check the exception rules validate() cannot express, returning an error message or null
+ * @param {object} fields - Exception fields (merged with existing row on update)
+ */
+function validateException(fields) {
+  if (fields.exception_type === 'override' &&
+      fields.override_time == null && fields.override_game_url == null && fields.override_player_count == null) {
+    return 'override exceptions require override_time, override_game_url or override_player_count';
+  }
+  return null;
+}
+
+/**
+ * GET /api/schedules
+ * Get all schedules
+ * Query: ?league_id=uuid&enabled=true
+ */
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'List schedules',
+  query: {
+    league_id: uuid,
+    enabled: { type: 'boolean' },
+  },
+}), async (req, res, next) => {
+  try {
+    const { league_id, enabled } = req.query;
+
+    let sql = `
+      SELECT sg.*, l.name as league_name
+      FROM scheduled_games sg
+      LEFT JOIN leagues l ON sg.league_id = l.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (league_id) {
+      sql += ` AND sg.league_id = $${paramIndex++}`;
+      params.push(league_id);
+    }
+
+    if (enabled !== undefined) {
+      sql += ` AND sg.enabled = $${paramIndex++}`;
+      params.push(enabled === 'true');
+    }
+
+    sql += ' ORDER BY sg.name ASC';
+
+    const result = await query(sql, params);
+    res.json(result.rows);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/schedules/missed-runs
+ * Get runs the scheduler missed, newest first
+ * Query: ?schedule_id=uuid&since=2026-01-01&limit=50
+ */
+router.get('/missed-runs', requireRole('viewer', 'read'), validate({
+  summary: 'List runs the scheduler missed',
+  query: {
+    schedule_id: uuid,
+    since: { type: 'string', format: 'date-time' },
+    limit: limitParam(50),
+  },
+}), async (req, res, next) => {
+  try {
+    const { schedule_id, since, limit = 50 } = req.query;
+
+    let sql = `
+      SELECT sr.*, sg.name as schedule_name, sg.league_id, l.name as league_name
+      FROM schedule_runs sr
+      JOIN scheduled_games sg ON sr.scheduled_game_id = sg.id
+      LEFT JOIN leagues l ON sg.league_id = l.id
+      WHERE sr.status = 'missed'
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (schedule_id) {
+      sql += ` AND sr.scheduled_game_id = $${paramIndex++}`;
+      params.push(schedule_id);
+    }
+
+    if (since) {
+      sql += ` AND sr.scheduled_for >= $${paramIndex++}`;
+      params.push(since);
+    }
+
+    sql += ` ORDER BY sr.scheduled_for DESC LIMIT $${paramIndex++}`;
+    params.push(parseInt(limit));
+
+    const result = await query(sql, params);
+    res.json(result.rows);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/schedules/:id
+ * Get a single schedule
+ */
+router.get('/:id', requireRole('viewer', 'read'), validate({
+  summary: 'Get a schedule',
+  params: scheduleParams,
+}), async (req, res, next) => {
+  try {
+    const result = await query(
+      `SELECT sg.*, l.name as league_name
+       FROM scheduled_games sg
+       LEFT JOIN leagues l ON sg.league_id = l.id
+       WHERE sg.id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/schedules/:id/calendar
+ * Get upcoming runs with blackout dates and overrides applied
+ * Query: ?days=30 (max 366)
+ */
+router.get('/:id/calendar', requireRole('viewer', 'read'), validate({
+  summary: 'Get upcoming runs with blackouts and overrides applied',
+  params: scheduleParams,
+  query: {
+    days: { type: 'integer', minimum: 1, default: 30, description: 'Capped at 366' },
+  },
+}), async (req, res, next) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 366);
+
+    const scheduleResult = await query(
+      `SELECT sg.*, l.name as league_name
+       FROM scheduled_games sg
+       LEFT JOIN leagues l ON sg.league_id = l.id
+       WHERE sg.id = $1`,
+      [req.params.id]
+    );
+
+    if (scheduleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const exceptions = await query(
+      'SELECT * FROM schedule_exceptions WHERE scheduled_game_id = $1 AND exception_date >= CURRENT_DATE - 1',
+      [req.params.id]
+    );
+
+    const schedule = scheduleResult.rows[0];
+    const scheduleConfig = scheduleConfigFromRow(schedule, exceptions.rows);
+    const from = new Date();
+    const until = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const occurrences = gameScheduler.getUpcomingOccurrences(scheduleConfig, { from, until, limit: 500 });
+
+    res.json({
+      schedule_id: schedule.id,
+      name: schedule.name,
+      timezone: scheduleConfig.timezone,
+      enabled: schedule.enabled,
+      from: from.toISOString(),
+      until: until.toISOString(),
+      occurrences: occurrences.map(occurrence => ({
+        date: occurrence.date,
+        status: occurrence.status,
+        scheduled_for: occurrence.scheduledFor.toISOString(),
+        run_at: occurrence.runAt ? occurrence.runAt.toISOString() : null,
+        game_url: occurrence.status === 'blackout' ? null : occurrence.gameUrl,
+        player_count: occurrence.status === 'blackout' ? null : occurrence.playerCount,
+        reason: occurrence.reason,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/schedules/:id/runs
+ * Get the run history of a schedule with each run's session results, newest first
+ * Query: ?status=completed&run_type=manual&limit=50
+ */
+router.get('/:id/runs', requireRole('viewer', 'read'), validate({
+  summary: 'Get the run history of a schedule',
+  params: scheduleParams,
+  query: {
+    status: { type: 'string', enum: RUN_STATUSES },
+    run_type: { type: 'string', enum: RUN_TYPES },
+    limit: limitParam(50),
+  },
+}), async (req, res, next) => {
+  try {
+    const { status, run_type, limit = 50 } = req.query;
+
+    const schedule = await query('SELECT id FROM scheduled_games WHERE id = $1', [req.params.id]);
+    if (schedule.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    let sql = `
+      SELECT sr.*,
+        gs.session_id as session_key,
+        gs.status as session_status,
+        gs.league_id,
+        l.name as league_name,
+        gs.start_time,
+        gs.end_time,
+        gs.duration_seconds,
+        gs.total_players,
+        gs.completed_players,
+        gs.failed_players
+      FROM schedule_runs sr
+      LEFT JOIN game_sessions gs ON sr.session_id = gs.id
+      LEFT JOIN leagues l ON gs.league_id = l.id
+      WHERE sr.scheduled_game_id = $1
+    `;
+    const params = [req.params.id];
+    let paramIndex = 2;
+
+    if (status) {
+      sql += ` AND sr.status = $${paramIndex++}`;
+      params.push(status);
+    }
+
+    if (run_type) {
+      sql += ` AND sr.run_type = $${paramIndex++}`;
+      params.push(run_type);
+    }
+
+    sql += ` ORDER BY sr.scheduled_for DESC LIMIT $${paramIndex++}`;
+    params.push(parseInt(limit));
+
+    const result = await query(sql, params);
+    res.json(result.rows);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/schedules/:id/exceptions
+ * Get blackout dates and overrides for a schedule
+ * Query: ?upcoming=true to hide past dates
+ */
+router.get('/:id/exceptions', requireRole('viewer', 'read'), validate({
+  summary: 'List blackout dates and overrides',
+  params: scheduleParams,
+  query: {
+    upcoming: { type: 'boolean', description: 'Hide past dates' },
+  },
+}), async (req, res, next) => {
+  try {
+    let sql = 'SELECT * FROM schedule_exceptions WHERE scheduled_game_id = $1';
+    if (req.query.upcoming === 'true') {
+      sql += ' AND exception_date >= CURRENT_DATE - 1';
+    }
+    sql += ' ORDER BY exception_date ASC';
+
+    const result = await query(sql, [req.params.id]);
+    res.json(result.rows);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/schedules/:id/exceptions
+ * Add a blackout date or override
+ */
+router.post('/:id/exceptions', requireRole('operator'), validate({
+  summary: 'Add a blackout date or override',
+  params: scheduleParams,
+  body: {
+    type: 'object',
+    required: ['exception_date', 'exception_type'],
+    properties: exceptionProperties,
+  },
+}), async (req, res, next) => {
+  try {
+    const {
+      exception_date,
+      exception_type,
+      override_time,
+      override_game_url,
+      override_player_count,
+      reason
+    } = exceptionFields(req.body);
+
+    const validationError = validateException({
+      exception_date, exception_type, override_time, override_game_url, override_player_count
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const schedule = await query('SELECT id FROM scheduled_games WHERE id = $1', [req.params.id]);
+    if (schedule.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const result = await query(
+      `INSERT INTO schedule_exceptions (
+        scheduled_game_id, exception_date, exception_type,
+        override_time, override_game_url, override_player_count, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        req.params.id, exception_date, exception_type,
+        override_time ?? null, override_game_url ?? null, override_player_count ?? null, reason ?? null
+      ]
+    );
+
+    refreshSchedules();
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Schedule already has an exception on ${req.body.exception_date}` });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/schedules/:id/exceptions/:exceptionId
+ * Update a blackout date or override
+ */
+router.put('/:id/exceptions/:exceptionId', requireRole('operator'), validate({
+  summary: 'Update a blackout date or override',
+  params: { id: uuid, exceptionId: uuid },
+  body: {
+    type: 'object',
+    properties: exceptionProperties,
+  },
+}), async (req, res, next) => {
+  try {
+    const existing = await query(
+      'SELECT * FROM schedule_exceptions WHERE id = $1 AND scheduled_game_id = $2',
+      [req.params.exceptionId, req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule exception not found' });
+    }
+
+    // Overrides are cleared when the exception becomes a blackout, as on create
+    const fields = exceptionFields(req.body, existing.rows[0]);
+
+    const validationError = validateException({
+      ...existing.rows[0],
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Only fields sent are updated; null clears an override field or the reason
+    const { assignments, values } = buildUpdateSet(fields);
+
+    const result = await query(
+      `UPDATE schedule_exceptions SET
+        ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(',\n        ')}
+      WHERE id = $${values.length + 1}
+      RETURNING *`,
+      [...values, req.params.exceptionId]
+    );
+
+    refreshSchedules();
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Schedule already has an exception on ${req.body.exception_date}` });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id/exceptions/:exceptionId
+ * Remove a blackout date or override
+ */
+router.delete('/:id/exceptions/:exceptionId', requireRole('operator'), validate({
+  summary: 'Remove a blackout date or override',
+  params: { id: uuid, exceptionId: uuid },
+}), async (req, res, next) => {
+  try {
+    const result = await query(
+      'DELETE FROM schedule_exceptions WHERE id = $1 AND scheduled_game_id = $2 RETURNING id',
+      [req.params.exceptionId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule exception not found' });
+    }
+
+    refreshSchedules();
+    res.json({ message: 'Schedule exception deleted', id: result.rows[0].id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a schedule
+ */
+router.post('/', requireRole('operator'), validate({
+  summary: 'Create a schedule',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: scheduleProperties,
+  },
+}), async (req, res, next) => {
+  try {
+    const {
+      league_id,
+      name,
+      game_url,
+      schedule_type = 'weekly',
+      day_of_week,
+      time,
+      run_at,
+      cron_expression,
+      start_date,
+      end_date,
+      timezone = 'America/New_York',
+      player_count = 25,
+      max_concurrent = 10,
+      grace_minutes = 10,
+      enabled = true
+    } = req.body;
+
+    const validationError = validateSchedule({
+      name, schedule_type, day_of_week, time, run_at, cron_expression, start_date, end_date, timezone, grace_minutes
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await query(
+      `INSERT INTO scheduled_games (
+        league_id, name, game_url, schedule_type, day_of_week, time,
+        run_at, cron_expression, start_date, end_date,
+        timezone, player_count, max_concurrent, grace_minutes, enabled
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *`,
+      [
+        league_id || null, name, game_url || null, schedule_type, day_of_week ?? null, time ?? null,
+        run_at ?? null, cron_expression ?? null, start_date ?? null, end_date ?? null,
+        timezone, player_count, max_concurrent, grace_minutes, enabled
+      ]
+    );
+
+    refreshSchedules();
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Update a schedule
+ */
+router.put('/:id', requireRole('operator'), validate({
+  summary: 'Update a schedule',
+  params: scheduleParams,
+  body: {
+    type: 'object',
+    properties: scheduleProperties,
+  },
+}), async (req, res, next) => {
+  try {
+    const existing = await query('SELECT * FROM scheduled_games WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const {
+      league_id,
+      name,
+      game_url,
+      schedule_type,
+      day_of_week,
+      time,
+      run_at,
+      cron_expression,
+      start_date,
+      end_date,
+      timezone,
+      player_count,
+      max_concurrent,
+      grace_minutes,
+      enabled
+    } = req.body;
+
+    const validationError = validateSchedule({
+      ...existing.rows[0],
+      ...Object.fromEntries(
+        Object.entries({ name, schedule_type, day_of_week, time, run_at, cron_expression, start_date, end_date, timezone, grace_minutes }).filter(([, value]) => value !== undefined)
+      ),
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Only fields sent are updated; null clears a nullable field (e.g. end_date)
+    const { assignments, values } = buildUpdateSet({
+      league_id, name, game_url, schedule_type, day_of_week, time,
+      run_at, cron_expression, start_date, end_date,
+      timezone, player_count, max_concurrent, grace_minutes, enabled,
+    });
+
+    const result = await query(
+      `UPDATE scheduled_games SET
+        ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(',\n        ')}
+      WHERE id = $${values.length + 1}
+      RETURNING *`,
+      [...values, req.params.id]
+    );
+
+    refreshSchedules();
+    res.json(result.rows[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule
+ */
+router.delete('/:id', requireRole('admin'), validate({
+  summary: 'Delete a schedule',
+  params: scheduleParams,
+}), async (req, res, next) => {
+  try {
+    const result = await query('DELETE FROM scheduled_games WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    refreshSchedules();
+    res.json({ message: 'Schedule deleted', id: result.rows[0].id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,181 @@
+/**
+ * Seasons API Routes
+ * Manage league seasons; sessions are assigned to seasons by start time
+ */
+
+import express from 'express';
+import { query } from '../db/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+import { recordAudit } from '../services/auditService.js';
+import { listSeasons, getSeason, createSeason, updateSeason } from '../services/seasonService.js';
+
+const router = express.Router();
+
+const seasonProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  start_date: { type: 'string', format: 'date', description: 'First game day (inclusive)' },
+  end_date: { type: 'string', format: 'date', description: 'Last game day (inclusive)' },
+};
+
+/**
+ * Normalize a DATE value (string or pg Date) to 'YYYY-MM-DD'
+ */
+function toDateString(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return value;
+}
+
+/**
+ * GET /api/seasons
+ * Get seasons with their session counts
+ * Query: ?league_id=uuid
+ */
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'List seasons',
+  query: {
+    league_id: uuid,
+  },
+}), async (req, res, next) => {
+  try {
+    res.json(await listSeasons({ leagueId: req.query.league_id || null }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/seasons/:id
+ * Get a single season
+ */
+router.get('/:id', requireRole('viewer', 'read'), validate({
+  summary: 'Get a season',
+  params: { id: uuid },
+}), async (req, res, next) => {
+  try {
+    const season = await getSeason(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    res.json(season);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/seasons
+ * Create a season; the league's sessions in its dates are assigned to it
+ */
+router.post('/', requireRole('admin'), validate({
+  summary: 'Create a season',
+  body: {
+    type: 'object',
+    required: ['league_id', 'name', 'start_date', 'end_date'],
+    properties: {
+      league_id: uuid,
+      ...seasonProperties,
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const { league_id, name, start_date, end_date } = req.body;
+
+    if (start_date > end_date) {
+      return res.status(400).json({ error: 'start_date must not be after end_date' });
+    }
+
+    const { season, sessionsReassigned } = await createSeason({ league_id, name, start_date, end_date });
+
+    await recordAudit(req, { action: 'create', entity: 'season', entityId: season.id, after: season });
+
+    res.status(201).json({ ...season, sessions_reassigned: sessionsReassigned });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Season with this name already exists in the league' });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/seasons/:id
+ * Update a season's name or dates; the league's sessions are reassigned
+ */
+router.put('/:id', requireRole('admin'), validate({
+  summary: 'Update a season',
+  params: { id: uuid },
+  // null leaves a field unchanged
+  body: {
+    type: 'object',
+    properties: {
+      name: { ...seasonProperties.name, nullable: true },
+      start_date: { ...seasonProperties.start_date, nullable: true },
+      end_date: { ...seasonProperties.end_date, nullable: true },
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const existing = await query('SELECT * FROM seasons WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const current = existing.rows[0];
+    const fields = {
+      name: req.body.name ?? current.name,
+      start_date: req.body.start_date ?? toDateString(current.start_date),
+      end_date: req.body.end_date ?? toDateString(current.end_date),
+    };
+
+    if (fields.start_date > fields.end_date) {
+      return res.status(400).json({ error: 'start_date must not be after end_date' });
+    }
+
+    const { season, sessionsReassigned } = await updateSeason(current, fields);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'season',
+      entityId: req.params.id,
+      before: current,
+      after: season,
+    });
+
+    res.json({ ...season, sessions_reassigned: sessionsReassigned });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Season with this name already exists in the league' });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/seasons/:id
+ * Delete a season; its sessions are kept without a season
+ */
+router.delete('/:id', requireRole('admin'), validate({
+  summary: 'Delete a season',
+  params: { id: uuid },
+}), async (req, res, next) => {
+  try {
+    const result = await query('DELETE FROM seasons WHERE id = $1 RETURNING *', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    await recordAudit(req, { action: 'delete', entity: 'season', entityId: req.params.id, before: result.rows[0] });
+
+    res.json({ message: 'Season deleted', id: result.rows[0].id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
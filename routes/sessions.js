@@ -5,11 +5,34 @@
 
 import express from 'express';
 import { query } from '../db/index.js';
+import { launchSession, stopSession, getRunningSession, listRunningSessions, loadLaunchPlayers } from '../services/sessionRunner.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+import { recordAudit } from '../services/auditService.js';
+import { paginationQuery, parsePagination, paginate } from '../utils/pagination.js';
 
 const router = express.Router();
 
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+const STATUSES = ['idle', 'initializing', 'running', 'completed', 'failed', 'stopped'];
+const sessionParams = {
+  id: { type: 'string', minLength: 1, description: 'Session UUID or session_id (e.g. session-1770421050714)' },
+};
+const count = { type: 'integer', minimum: 0, nullable: true };
+
+const SESSION_SORTS = {
+  created_at: 'created_at',
+  start_time: 'start_time',
+  end_time: 'end_time',
+  status: 'status',
+  duration_seconds: 'duration_seconds',
+  total_players: 'total_players',
+  session_id: 'session_id',
+  league_name: 'league_name',
+  avg_accuracy: 'avg_accuracy',
+};
+
 /** Resolve session param (UUID or session_id string) to database UUID */
 async function resolveSessionId(param) {
   if (UUID_REGEX.test(param)) {
@@ -22,11 +45,25 @@ async function resolveSessionId(param) {
 
 /**
  * GET /api/sessions
- * Get all game sessions
+ * Get game sessions, one page at a time (newest first by default)
+ * Query: ?status=completed&league_id=...&season_id=...&search=...&page=1&pageSize=50&sort=created_at&order=desc
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'List sessions',
+  query: {
+    status: { type: 'string', enum: STATUSES },
+    league_id: uuid,
+    season_id: uuid,
+    scheduled_game_id: uuid,
+    search: { type: 'string', description: 'Matches session_id, league name or game URL' },
+    start_from: { type: 'string', format: 'date-time' },
+    start_to: { type: 'string', format: 'date-time' },
+    ...paginationQuery(Object.keys(SESSION_SORTS), { sort: 'created_at', order: 'desc' }),
+  },
+}), async (req, res, next) => {
   try {
-    const { status, league_id, limit = 50, offset = 0, search, start_from, start_to } = req.query;
+    const { status, league_id, season_id, scheduled_game_id, search, start_from, start_to } = req.query;
+    const pagination = parsePagination(req.query, { sortFields: SESSION_SORTS, defaultSort: 'created_at', defaultOrder: 'desc' });
     
     let sql = `
       SELECT 
@@ -52,6 +89,16 @@ router.get('/', async (req, res, next) => {
       params.push(league_id);
     }
 
+    if (season_id) {
+      sql += ` AND gs.season_id = $${paramIndex++}`;
+      params.push(season_id);
+    }
+
+    if (scheduled_game_id) {
+      sql += ` AND gs.scheduled_game_id = $${paramIndex++}`;
+      params.push(scheduled_game_id);
+    }
+
     if (search && search.trim()) {
       sql += ` AND (gs.session_id ILIKE $${paramIndex} OR l.name ILIKE $${paramIndex} OR gs.game_url ILIKE $${paramIndex})`;
       params.push(`%${search.trim()}%`);
@@ -68,22 +115,33 @@ router.get('/', async (req, res, next) => {
       params.push(start_to);
     }
 
-    sql += ` GROUP BY gs.id, l.name ORDER BY gs.created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
-    params.push(parseInt(limit), parseInt(offset));
+    sql += ' GROUP BY gs.id, l.name';
 
-    const result = await query(sql, params);
-    res.json(result.rows);
+    res.json(await paginate(sql, params, pagination));
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/sessions/running
+ * List sessions currently running in this server process
+ */
+router.get('/running', requireRole('viewer', 'read'), validate({
+  summary: 'List sessions running in this server process',
+}), (req, res) => {
+  res.json(listRunningSessions());
+});
+
 /**
  * GET /api/sessions/:id
  * Get a single session with all player results
  * :id can be UUID or session_id (e.g. session-1770421050714)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireRole('viewer', 'read'), validate({
+  summary: 'Get a session with its player results',
+  params: sessionParams,
+}), async (req, res, next) => {
   try {
     const dbId = await resolveSessionId(req.params.id);
     if (!dbId) {
@@ -125,7 +183,25 @@ router.get('/:id', async (req, res, next) => {
  * POST /api/sessions
  * Create a new game session
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireRole('operator', 'sessions:write'), validate({
+  summary: 'Create a session',
+  body: {
+    type: 'object',
+    required: ['session_id', 'game_url'],
+    properties: {
+      session_id: { type: 'string', minLength: 1, maxLength: 255 },
+      game_url: { type: 'string', format: 'uri', maxLength: 500 },
+      league_id: { ...uuid, nullable: true },
+      status: { type: 'string', enum: STATUSES, default: 'idle' },
+      start_time: { type: 'string', format: 'date-time', nullable: true },
+      end_time: { type: 'string', format: 'date-time', nullable: true },
+      duration: { type: 'number', minimum: 0, nullable: true, description: 'Seconds' },
+      total_players: count,
+      completed_players: count,
+      failed_players: count,
+    },
+  },
+}), async (req, res, next) => {
   try {
     const {
       session_id,
@@ -141,10 +217,6 @@ router.post('/', async (req, res, next) => {
     } = req.body;
 
 
-    if (!session_id || !game_url) {
-      return res.status(400).json({ error: 'session_id and game_url are required' });
-    }
-
     const durationSeconds = duration != null ? Math.round(Number(duration)) : null;
     const totalPlayersInt = total_players != null ? Math.round(Number(total_players)) : null;
     const completedPlayersInt = completed_players != null ? Math.round(Number(completed_players)) : null;
@@ -156,7 +228,7 @@ router.post('/', async (req, res, next) => {
     );
 
     // if (exist.rows.length <= 0) {
-      await query(
+      const inserted = await query(
         `INSERT INTO game_sessions (session_id, game_url, league_id, status, start_time, end_time, duration_seconds, total_players, completed_players, failed_players)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
          RETURNING *`,
@@ -164,6 +236,8 @@ router.post('/', async (req, res, next) => {
       );
     // }
 
+    await recordAudit(req, { action: 'create', entity: 'session', entityId: inserted.rows[0].id, after: inserted.rows[0] });
+
     res.status(201).json(exist.rows[0]);
   } catch (error) {
     // Handle unique constraint violation
@@ -179,13 +253,30 @@ router.post('/', async (req, res, next) => {
  * Update a session (status, results, etc.)
  * :id can be UUID or session_id (e.g. session-1770421050714)
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireRole('operator', 'sessions:write'), validate({
+  summary: 'Update a session',
+  params: sessionParams,
+  // null leaves a field unchanged
+  body: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: STATUSES, nullable: true },
+      end_time: { type: 'string', format: 'date-time', nullable: true },
+      duration: { type: 'integer', minimum: 0, nullable: true, description: 'Seconds' },
+      total_players: count,
+      completed_players: count,
+      failed_players: count,
+    },
+  },
+}), async (req, res, next) => {
   try {
     const dbId = await resolveSessionId(req.params.id);
     if (!dbId) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    const existing = await query('SELECT * FROM game_sessions WHERE id = $1', [dbId]);
+
     const {
       status,
       end_time,
@@ -212,24 +303,248 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    await recordAudit(req, { action: 'update', entity: 'session', entityId: dbId, before: existing.rows[0], after: result.rows[0] });
+
     res.json(result.rows[0]);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * POST /api/sessions/:id/launch
+ * Run bots for a session inside the server process
+ * :id can be UUID or session_id (e.g. session-1770421050714)
+ * Body: game_url, league_id or league (name), player_ids or team/player_count, max_concurrent
+ */
+router.post('/:id/launch', requireRole('operator'), validate({
+  summary: 'Run bots for a session in the server process',
+  params: sessionParams,
+  body: {
+    type: 'object',
+    properties: {
+      game_url: { type: 'string', format: 'uri' },
+      league_id: uuid,
+      league: { type: 'string', minLength: 1, description: 'League name (instead of league_id)' },
+      player_ids: { type: 'array', items: uuid },
+      team: { type: 'string', minLength: 1 },
+      player_count: { type: 'integer', minimum: 1, nullable: true },
+      max_concurrent: { type: 'integer', minimum: 1 },
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const dbId = await resolveSessionId(req.params.id);
+    if (!dbId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (getRunningSession(dbId)) {
+      return res.status(409).json({ error: 'Session is already running' });
+    }
+
+    const sessionResult = await query(
+      `SELECT gs.*, l.name as league_name
+       FROM game_sessions gs
+       LEFT JOIN leagues l ON gs.league_id = l.id
+       WHERE gs.id = $1`,
+      [dbId]
+    );
+    const sessionRow = sessionResult.rows[0];
+
+    if (sessionRow.status === 'completed') {
+      return res.status(409).json({ error: 'Session has already completed' });
+    }
+    // Running in another process (another server instance or a bot runner)
+    if (sessionRow.status === 'running') {
+      return res.status(409).json({ error: 'Session is already running' });
+    }
+
+    const {
+      game_url,
+      league_id,
+      league,
+      player_ids,
+      team,
+      player_count,
+      max_concurrent
+    } = req.body;
+
+    const gameUrl = game_url || sessionRow.game_url;
+    if (!gameUrl) {
+      return res.status(400).json({ error: 'game_url is required' });
+    }
+
+    let leagueRow = sessionRow.league_id ? { id: sessionRow.league_id, name: sessionRow.league_name } : null;
+    if (league_id || league) {
+      const leagueResult = league_id
+        ? await query('SELECT id, name FROM leagues WHERE id = $1', [league_id])
+        : await query('SELECT id, name FROM leagues WHERE name = $1', [league]);
+      if (leagueResult.rows.length === 0) {
+        return res.status(404).json({ error: 'League not found' });
+      }
+      leagueRow = leagueResult.rows[0];
+    }
+
+    const players = await loadLaunchPlayers({
+      player_ids,
+      team,
+      // Default to a standard game size when no explicit players are picked
+      player_count: player_count ?? (Array.isArray(player_ids) && player_ids.length > 0 ? null : 25),
+    });
+
+    if (players.length === 0) {
+      return res.status(400).json({ error: 'No active players match the selection' });
+    }
+
+    await query(
+      `UPDATE game_sessions SET
+        game_url = $1,
+        league_id = $2,
+        total_players = $3,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4`,
+      [gameUrl, leagueRow?.id || null, players.length, dbId]
+    );
+
+    const status = launchSession(sessionRow, {
+      game_url: gameUrl,
+      league: leagueRow?.name,
+      league_id: leagueRow?.id,
+      players,
+      max_concurrent,
+    });
+
+    await recordAudit(req, {
+      action: 'launch',
+      entity: 'session',
+      entityId: dbId,
+      details: { game_url: gameUrl, league_id: leagueRow?.id || null, player_count: players.length },
+    });
+
+    res.status(202).json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sessions/:id/stop
+ * Stop a session running in this server process
+ * :id can be UUID or session_id (e.g. session-1770421050714)
+ */
+router.post('/:id/stop', requireRole('operator'), validate({
+  summary: 'Stop a session running in this server process',
+  params: sessionParams,
+}), async (req, res, next) => {
+  try {
+    const dbId = await resolveSessionId(req.params.id);
+    if (!dbId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const status = await stopSession(dbId);
+    if (!status) {
+      return res.status(409).json({ error: 'Session is not running on this server' });
+    }
+
+    await recordAudit(req, { action: 'stop', entity: 'session', entityId: dbId });
+
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:id/live
+ * Server-Sent Events stream of bot telemetry for a session running in this server
+ * Events: snapshot, state, question, ranking, status, end
+ */
+router.get('/:id/live', requireRole('viewer', 'read'), validate({
+  summary: 'Stream live player state (Server-Sent Events)',
+  params: sessionParams,
+}), async (req, res, next) => {
+  try {
+    const dbId = await resolveSessionId(req.params.id);
+    if (!dbId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = getRunningSession(dbId);
+    if (!session) {
+      return res.status(409).json({ error: 'Session is not running on this server' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const onTelemetry = (event) => send(event.type, event);
+    const onStatus = (status) => {
+      send('status', status);
+      if (['completed', 'failed', 'stopped'].includes(status.status)) {
+        send('end', status);
+        res.end();
+      }
+    };
+    // Comment line keeps proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    session.events.on('telemetry', onTelemetry);
+    session.events.on('status', onStatus);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      session.events.off('telemetry', onTelemetry);
+      session.events.off('status', onStatus);
+    });
+
+    send('snapshot', {
+      session: session.getStatus(),
+      players: session.getLiveSnapshot(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/sessions/:id/results
  * Add player results to a session
  * :id can be UUID or session_id (e.g. session-1770421050714)
- * Body: player_id (UUID) or nickname for lookup, questions_answered, correct_answers, final_score, final_rank
+ * Body: player_id (UUID), questions_answered, correct_answers, final_score, final_rank
  */
-router.post('/:id/results', async (req, res, next) => {
+router.post('/:id/results', requireRole('operator', 'sessions:write', 'results:write'), validate({
+  summary: 'Add a player result to a session',
+  params: sessionParams,
+  body: {
+    type: 'object',
+    required: ['player_id'],
+    properties: {
+      player_id: uuid,
+      questions_answered: { type: 'integer', minimum: 0 },
+      correct_answers: { type: 'integer', minimum: 0 },
+      final_score: { type: 'integer', nullable: true },
+      final_rank: { type: 'integer', minimum: 1, nullable: true },
+      status: { type: 'string', enum: ['completed', 'failed', 'error'] },
+      error_message: { type: 'string', nullable: true },
+    },
+  },
+}), async (req, res, next) => {
   try {
     const { player_id, questions_answered, correct_answers, final_score, final_rank, status, error_message } = req.body;
 
-    if (!player_id) {
-      return res.status(400).json({ error: 'player_id is required' });
+    const dbId = await resolveSessionId(req.params.id);
+    if (!dbId) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
     const accuracy = questions_answered > 0 
@@ -242,9 +557,11 @@ router.post('/:id/results', async (req, res, next) => {
         accuracy, final_score, final_rank, status, error_message
       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *`,
-      [req.params.id, player_id, questions_answered || 0, correct_answers || 0, accuracy, final_score, final_rank, status || 'completed', error_message]
+      [dbId, player_id, questions_answered || 0, correct_answers || 0, accuracy, final_score, final_rank, status || 'completed', error_message]
     );
 
+    await recordAudit(req, { action: 'create', entity: 'player_result', entityId: result.rows[0].id, after: result.rows[0] });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     next(error);
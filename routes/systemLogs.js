@@ -0,0 +1,91 @@
+/**
+ * System Logs API Routes
+ * Search warnings and errors written by the API server and the bots
+ */
+
+import express from 'express';
+import { query } from '../db/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, limitParam, offsetParam } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET /api/system-logs
+ * Get log records, newest first (audit entries are served by /api/audit)
+ * Query: ?level=error&session_id=session-1770421050714&player_id=p1&source=bots
+ *        &since=2026-01-01T00:00:00Z&until=2026-01-02&limit=100&offset=0
+ * session_id can be the session UUID or its session_id string
+ */
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'Search warnings and errors',
+  query: {
+    level: { type: 'string', enum: ['warn', 'error'] },
+    session_id: { type: 'string', description: 'Session UUID or session_id' },
+    player_id: { type: 'string' },
+    source: { type: 'string', enum: ['admin-backend', 'bots'] },
+    since: { type: 'string', format: 'date-time' },
+    until: { type: 'string', format: 'date-time' },
+    limit: limitParam(100),
+    offset: offsetParam,
+  },
+}), async (req, res, next) => {
+  try {
+    const { level, session_id, player_id, source, since, until, limit = 100, offset = 0 } = req.query;
+
+    let sql = `
+      SELECT id, level, message, context, created_at
+      FROM system_logs
+      WHERE level <> 'audit'
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (level) {
+      sql += ` AND level = $${paramIndex++}`;
+      params.push(level);
+    }
+
+    if (session_id) {
+      let sessionKey = session_id;
+      if (UUID_REGEX.test(session_id)) {
+        const session = await query('SELECT session_id FROM game_sessions WHERE id = $1', [session_id]);
+        sessionKey = session.rows[0]?.session_id || session_id;
+      }
+      sql += ` AND context->>'sessionId' = $${paramIndex++}`;
+      params.push(sessionKey);
+    }
+
+    if (player_id) {
+      sql += ` AND context->>'playerId' = $${paramIndex++}`;
+      params.push(player_id);
+    }
+
+    if (source) {
+      sql += ` AND context->>'source' = $${paramIndex++}`;
+      params.push(source);
+    }
+
+    if (since) {
+      sql += ` AND created_at >= $${paramIndex++}`;
+      params.push(since);
+    }
+
+    if (until) {
+      sql += ` AND created_at < $${paramIndex++}`;
+      params.push(until);
+    }
+
+    sql += ` ORDER BY created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    const result = await query(sql, params);
+    res.json(result.rows);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
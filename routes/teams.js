@@ -0,0 +1,271 @@
+/**
+ * Teams API Routes
+ * Manage teams (clubs) and the players linked to them
+ */
+
+import express from 'express';
+import { query, withTransaction } from '../db/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate, uuid } from '../middleware/validate.js';
+import { recordAudit } from '../services/auditService.js';
+import { paginationQuery, parsePagination, paginate } from '../utils/pagination.js';
+import { teamKey } from '../services/teamService.js';
+import { getTeamComparison } from '../services/teamReportService.js';
+
+const router = express.Router();
+
+const TEAM_SORTS = {
+  name: 'name',
+  created_at: 'created_at',
+  player_count: 'player_count',
+};
+
+/**
+ * GET /api/teams
+ * Get teams with active player counts, one page at a time
+ * Query: ?league_id=...&name=...&search=...&page=1&pageSize=50&sort=name&order=asc
+ * name matches any spelling of a team name; search matches part of it
+ */
+router.get('/', requireRole('viewer', 'read'), validate({
+  summary: 'List teams with active player counts',
+  query: {
+    league_id: uuid,
+    name: { type: 'string', description: 'Team name in any spelling (case, punctuation and spacing are ignored)' },
+    search: { type: 'string', description: 'Matches part of the team name' },
+    ...paginationQuery(Object.keys(TEAM_SORTS), { sort: 'name', order: 'asc' }),
+  },
+}), async (req, res, next) => {
+  try {
+    const { league_id, name, search } = req.query;
+    const pagination = parsePagination(req.query, { sortFields: TEAM_SORTS, defaultSort: 'name' });
+
+    let sql = `
+      SELECT t.*, l.name AS league_name, COUNT(p.id) AS player_count
+      FROM teams t
+      LEFT JOIN leagues l ON t.league_id = l.id
+      LEFT JOIN players p ON p.team_id = t.id AND p.active = true
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (league_id) {
+      sql += ` AND t.league_id = $${paramIndex++}`;
+      params.push(league_id);
+    }
+
+    if (name) {
+      sql += ` AND t.name_key = team_key($${paramIndex++})`;
+      params.push(name);
+    }
+
+    if (search && search.trim()) {
+      sql += ` AND t.name ILIKE $${paramIndex++}`;
+      params.push(`%${search.trim()}%`);
+    }
+
+    sql += ' GROUP BY t.id, l.name';
+
+    res.json(await paginate(sql, params, pagination));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/teams/:id
+ * Get a single team with its active players
+ */
+router.get('/:id', requireRole('viewer', 'read'), validate({
+  summary: 'Get a team with its active players',
+  params: { id: uuid },
+}), async (req, res, next) => {
+  try {
+    const teamResult = await query(
+      `SELECT t.*, l.name AS league_name
+       FROM teams t
+       LEFT JOIN leagues l ON t.league_id = l.id
+       WHERE t.id = $1`,
+      [req.params.id]
+    );
+
+    if (teamResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const team = teamResult.rows[0];
+
+    const playersResult = await query(
+      'SELECT * FROM players WHERE team_id = $1 AND active = true ORDER BY nickname ASC',
+      [req.params.id]
+    );
+
+    team.players = playersResult.rows;
+
+    res.json(team);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/teams/:a/vs/:b
+ * Compare two teams: each team's totals and their record in the sessions both played
+ * Query: ?league_id=uuid&from=2026-01-01&to=2026-03-31
+ */
+router.get('/:a/vs/:b', requireRole('viewer', 'read'), validate({
+  summary: 'Compare two teams head to head',
+  params: { a: uuid, b: uuid },
+  query: {
+    league_id: { ...uuid, description: "Only count this league's sessions" },
+    from: { type: 'string', format: 'date-time', description: 'Count games played from this time (a date starts at midnight, UTC)' },
+    to: { type: 'string', format: 'date-time', description: 'Count games played up to this time (a date includes the whole day, UTC)' },
+  },
+}), async (req, res, next) => {
+  try {
+    res.json(await getTeamComparison(req.params.a, req.params.b, {
+      leagueId: req.query.league_id || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/teams
+ * Create a team
+ */
+router.post('/', requireRole('admin'), validate({
+  summary: 'Create a team',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255 },
+      league_id: { ...uuid, nullable: true },
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const { name, league_id } = req.body;
+
+    if (!teamKey(name)) {
+      return res.status(400).json({ error: 'name must contain letters or digits' });
+    }
+
+    const result = await query(
+      `INSERT INTO teams (name, name_key, league_id)
+       VALUES ($1, team_key($1), $2)
+       RETURNING *`,
+      [name.trim(), league_id || null]
+    );
+
+    await recordAudit(req, { action: 'create', entity: 'team', entityId: result.rows[0].id, after: result.rows[0] });
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A team with this name already exists in this league' });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/teams/:id
+ * Rename a team or move it to another league; its players take the new name and league
+ */
+router.put('/:id', requireRole('admin'), validate({
+  summary: 'Update a team',
+  params: { id: uuid },
+  // null leaves a field unchanged
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255, nullable: true },
+      league_id: { ...uuid, nullable: true },
+    },
+  },
+}), async (req, res, next) => {
+  try {
+    const { name, league_id } = req.body;
+
+    if (name != null && !teamKey(name)) {
+      return res.status(400).json({ error: 'name must contain letters or digits' });
+    }
+
+    const existing = await query('SELECT * FROM teams WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const team = await withTransaction(async (tx) => {
+      const result = await tx.query(
+        `UPDATE teams SET
+          name = COALESCE($1, name),
+          name_key = COALESCE(team_key($1), name_key),
+          league_id = COALESCE($2, league_id),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *`,
+        [name ? name.trim() : null, league_id, req.params.id]
+      );
+      // Players follow their team to its league, so no player is linked to another league's team
+      await tx.query(
+        `UPDATE players SET
+          team = $1,
+          league_id = $2,
+          updated_at = CASE WHEN league_id IS DISTINCT FROM $2 THEN CURRENT_TIMESTAMP ELSE updated_at END
+        WHERE team_id = $3`,
+        [result.rows[0].name, result.rows[0].league_id, req.params.id]
+      );
+      return result.rows[0];
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'team',
+      entityId: req.params.id,
+      before: existing.rows[0],
+      after: team,
+    });
+
+    res.json(team);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A team with this name already exists in this league' });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/teams/:id
+ * Delete a team; its players are kept without a team
+ */
+router.delete('/:id', requireRole('admin'), validate({
+  summary: 'Delete a team',
+  params: { id: uuid },
+}), async (req, res, next) => {
+  try {
+    const deleted = await withTransaction(async (tx) => {
+      await tx.query('UPDATE players SET team = NULL, updated_at = CURRENT_TIMESTAMP WHERE team_id = $1', [req.params.id]);
+      const result = await tx.query('DELETE FROM teams WHERE id = $1 RETURNING *', [req.params.id]);
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    await recordAudit(req, { action: 'delete', entity: 'team', entityId: req.params.id, before: deleted });
+
+    res.json({ message: 'Team deleted', id: deleted.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
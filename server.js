@@ -7,6 +7,21 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { initDatabase } from './db/index.js';
+import { isSchedulerEnabled, startScheduler } from './services/schedulerHost.js';
+import { authenticate } from './middleware/auth.js';
+import { buildOpenApiDocument } from './utils/openApi.js';
+import authRoutes from './routes/auth.js';
+import playersRoutes from './routes/players.js';
+import sessionsRoutes from './routes/sessions.js';
+import playerResultsRoutes from './routes/playerResults.js';
+import leaguesRoutes from './routes/leagues.js';
+import seasonsRoutes from './routes/seasons.js';
+import teamsRoutes from './routes/teams.js';
+import gptRoutes from './routes/gpt.js';
+import schedulesRoutes from './routes/schedules.js';
+import schedulerRoutes from './routes/scheduler.js';
+import auditRoutes from './routes/audit.js';
+import systemLogsRoutes from './routes/systemLogs.js';
 
 dotenv.config();
 
@@ -14,8 +29,25 @@ const app = express();
 // Render.com provides PORT environment variable, fallback to ADMIN_PORT or 3001
 const PORT = process.env.PORT || process.env.ADMIN_PORT || 3001;
 
+const apiRoutes = {
+  '/api/auth': authRoutes,
+  '/api/players': playersRoutes,
+  '/api/player-results': playerResultsRoutes,
+  '/api/sessions': sessionsRoutes,
+  '/api/leagues': leaguesRoutes,
+  '/api/seasons': seasonsRoutes,
+  '/api/teams': teamsRoutes,
+  '/api/gpt': gptRoutes,
+  '/api/schedules': schedulesRoutes,
+  '/api/scheduler': schedulerRoutes,
+  '/api/audit': auditRoutes,
+  '/api/system-logs': systemLogsRoutes,
+};
+
 // Middleware
-app.use(cors());
+// CORS_ORIGIN: comma-separated list of allowed origins (e.g. the dashboard URL)
+const corsOrigins = process.env.CORS_ORIGIN?.split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(corsOrigins?.length ? { origin: corsOrigins } : {}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -24,23 +56,31 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Routes
-import playersRoutes from './routes/players.js';
-import sessionsRoutes from './routes/sessions.js';
-import playerResultsRoutes from './routes/playerResults.js';
-import leaguesRoutes from './routes/leagues.js';
-import gptRoutes from './routes/gpt.js';
+// OpenAPI document, generated from the route schemas (public, like the health check)
+const openApiDocument = buildOpenApiDocument(apiRoutes);
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
 
-app.use('/api/players', playersRoutes);
-app.use('/api/player-results', playerResultsRoutes);
-app.use('/api/sessions', sessionsRoutes);
-app.use('/api/leagues', leaguesRoutes);
-app.use('/api/gpt', gptRoutes);
+// Everything below requires an API key (see middleware/auth.js)
+app.use('/api', authenticate);
+
+if (process.env.AUTH_DISABLED === 'true') {
+  console.warn('⚠️  AUTH_DISABLED=true - every request is treated as admin. Do not use in production.');
+} else if (!process.env.ADMIN_API_KEY) {
+  console.warn('⚠️  ADMIN_API_KEY is not set - only keys stored in api_keys will be accepted.');
+}
+
+// Routes
+for (const [path, router] of Object.entries(apiRoutes)) {
+  app.use(path, router);
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
-  res.status(err.status || 500).json({
+  // 22P02: a value Postgres could not parse (e.g. a malformed UUID) that no route schema caught
+  res.status(err.status || (err.code === '22P02' ? 400 : 500)).json({
     error: err.message || 'Internal server error',
   });
 });
@@ -60,6 +100,16 @@ async function startServer() {
       console.log(`🚀 Admin API server running on http://localhost:${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     });
+
+    // Optionally host the game scheduler (SCHEDULER_ENABLED=true)
+    if (isSchedulerEnabled()) {
+      try {
+        const status = await startScheduler();
+        console.log(`⏰ Game scheduler running with ${status.leagues.length} schedules`);
+      } catch (error) {
+        console.error('❌ Failed to start game scheduler:', error.message);
+      }
+    }
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
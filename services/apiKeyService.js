@@ -0,0 +1,106 @@
+/**
+ * API Key Service
+ * Issues, looks up and revokes API keys (api_keys table)
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once, on creation.
+ */
+
+import crypto from 'crypto';
+import { query } from '../db/index.js';
+import logger from '../utils/logger.js';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Scopes a service token can be granted
+export const SCOPES = ['read', 'sessions:write', 'results:write', 'players:sync'];
+
+const KEY_PREFIX = 'tb_';
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} e.g. "tb_Xk2..."
+ */
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Find an active (not revoked, not expired) key by its plaintext value
+ * @param {string} key - API key
+ * @returns {Promise<object|null>} api_keys row
+ */
+export async function findActiveApiKey(key) {
+  const result = await query(
+    `SELECT id, name, role, scopes, expires_at
+     FROM api_keys
+     WHERE key_hash = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+    [hashApiKey(key)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record that a key was used
+ * @param {string} id - api_keys.id
+ */
+export async function touchApiKey(id) {
+  try {
+    await query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  } catch (error) {
+    logger.warn(`Failed to update API key usage: ${error.message}`);
+  }
+}
+
+/**
+ * Create an API key
+ * @param {object} fields - { name, role, scopes, expires_at, created_by }
+ * @returns {Promise<object>} { key, ...api_keys row without key_hash }
+ */
+export async function createApiKey({ name, role, scopes = null, expires_at = null, created_by = null }) {
+  const key = generateApiKey();
+  const result = await query(
+    `INSERT INTO api_keys (name, key_hash, key_prefix, role, scopes, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, name, key_prefix, role, scopes, expires_at, created_by, created_at`,
+    [name, hashApiKey(key), key.slice(0, 10), role, scopes, expires_at, created_by]
+  );
+  return { key, ...result.rows[0] };
+}
+
+/**
+ * List API keys (hashes are never returned)
+ * @returns {Promise<array>} api_keys rows
+ */
+export async function listApiKeys() {
+  const result = await query(
+    `SELECT id, name, key_prefix, role, scopes, expires_at, last_used_at, revoked_at, created_by, created_at
+     FROM api_keys
+     ORDER BY created_at DESC`
+  );
+  return result.rows;
+}
+
+/**
+ * Revoke an API key
+ * @param {string} id - api_keys.id
+ * @returns {Promise<object|null>} Revoked row, or null if not found
+ */
+export async function revokeApiKey(id) {
+  const result = await query(
+    `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+     WHERE id = $1
+     RETURNING id, name, key_prefix, role, scopes, revoked_at`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,103 @@
+/**
+ * Audit Service
+ * Records admin mutations in system_logs (level 'audit')
+ */
+
+import { query } from '../db/index.js';
+import logger from '../utils/logger.js';
+
+// Bookkeeping columns left out of diffs
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+/**
+ * Compare two versions of a record
+ * @param {object|null} before - Record before the change (null for creates)
+ * @param {object|null} after - Record after the change (null for deletes)
+ * @returns {object} { field: { from, to } } for every changed field
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Build the system_logs message and context for an audit entry
+ * @param {object} req - Express request (for the actor and route)
+ * @param {object} entry - See recordAudit()
+ * @returns {object} { message, context }
+ */
+export function buildAuditEntry(req, { action, entity, entityId = null, before = null, after = null, details = null }) {
+  const actor = req.auth
+    ? { id: req.auth.id, name: req.auth.name, role: req.auth.role }
+    : { id: null, name: 'anonymous', role: null };
+
+  return {
+    message: `${actor.name} ${action} ${entity}${entityId != null ? ` ${entityId}` : ''}`,
+    context: {
+      actor,
+      action,
+      entity,
+      entity_id: entityId != null ? String(entityId) : null,
+      method: req.method,
+      route: req.originalUrl,
+      changes: diffRecords(before, after),
+      ...(details ? { details } : {}),
+    },
+  };
+}
+
+/**
+ * Record an audit entry for a mutation
+ * Never throws: a failed audit write is logged and the request carries on.
+ * @param {object} req - Express request (for the actor and route)
+ * @param {object} entry - { action, entity, entityId, before, after, details }
+ *   action: create, update, delete, or a route-specific verb (sync, launch, ...)
+ */
+export async function recordAudit(req, entry) {
+  const { message, context } = buildAuditEntry(req, entry);
+
+  try {
+    await query(
+      `INSERT INTO system_logs (level, message, context) VALUES ('audit', $1, $2)`,
+      [message, context]
+    );
+  } catch (error) {
+    logger.warn(`Failed to write audit entry: ${error.message}`, { context });
+  }
+}
+
+/**
+ * Record one audit entry per record a bulk mutation touched, in a single insert
+ * Never throws, like recordAudit().
+ * @param {object} req - Express request (for the actor and route)
+ * @param {array} entries - Entries as for recordAudit()
+ */
+export async function recordAudits(req, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const built = entries.map(entry => buildAuditEntry(req, entry));
+
+  try {
+    await query(
+      `INSERT INTO system_logs (level, message, context)
+       SELECT 'audit', message, context FROM unnest($1::text[], $2::jsonb[]) AS e(message, context)`,
+      [built.map(entry => entry.message), built.map(entry => JSON.stringify(entry.context))]
+    );
+  } catch (error) {
+    logger.warn(`Failed to write ${entries.length} audit entries: ${error.message}`);
+  }
+}
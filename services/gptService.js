@@ -133,30 +133,44 @@ Keep it engaging and suitable for a live trivia show recap.`;
 /**
  * Generate week-to-week analysis
  * Compares multiple game sessions and identifies trends
+ * @param {array|null} sessionIds - Sessions to compare (all of the season's when omitted)
+ * @param {string|null} leagueId - Only sessions of this league
+ * @param {string|null} seasonId - Only sessions of this season
  */
-export async function analyzeWeekly(sessionIds, leagueId = null) {
+export async function analyzeWeekly(sessionIds, leagueId = null, seasonId = null) {
   try {
     let sessionsQuery = `
       SELECT gs.*, l.name as league_name
       FROM game_sessions gs
       LEFT JOIN leagues l ON gs.league_id = l.id
-      WHERE gs.id = ANY($1::uuid[])
-      ORDER BY gs.start_time ASC
+      WHERE 1=1
     `;
-    const params = [sessionIds];
+    const params = [];
 
+    if (sessionIds?.length > 0) {
+      params.push(sessionIds);
+      sessionsQuery += ` AND gs.id = ANY($${params.length}::uuid[])`;
+    }
     if (leagueId) {
-      sessionsQuery = sessionsQuery.replace('WHERE gs.id', 'WHERE gs.league_id = $2 AND gs.id');
       params.push(leagueId);
+      sessionsQuery += ` AND gs.league_id = $${params.length}`;
+    }
+    if (seasonId) {
+      params.push(seasonId);
+      sessionsQuery += ` AND gs.season_id = $${params.length}`;
     }
+    sessionsQuery += ' ORDER BY gs.start_time ASC';
 
     const sessionsResult = await query(sessionsQuery, params);
     const sessions = sessionsResult.rows;
 
     if (sessions.length === 0) {
-      throw new Error('No sessions found');
+      throw Object.assign(new Error('No sessions found'), { status: 404 });
     }
 
+    // Only the sessions that passed the league and season filters
+    sessionIds = sessions.map(session => session.id);
+
     // Get player performance trends
     const playerTrends = await query(
       `SELECT 
@@ -245,7 +259,7 @@ Make it engaging and suitable for a weekly trivia show summary.`;
       await query(
         `INSERT INTO gpt_content (session_id, content_type, content, metadata)
          VALUES ($1, 'weekly_analysis', $2, $3)`,
-        [sessions[sessions.length - 1].id, analysis, JSON.stringify({ session_ids: sessionIds })]
+        [sessions[sessions.length - 1].id, analysis, JSON.stringify({ session_ids: sessionIds, season_id: seasonId })]
       );
     }
 
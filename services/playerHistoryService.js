@@ -0,0 +1,128 @@
+/**
+ * Player History Service
+ * A player's results across sessions, with career, per-league and weekly stats
+ *
+ * Results are ordered by when the game was played (see PLAYED_AT in
+ * utils/stats.js). Stats only count completed results: failed or
+ * errored bots did not really play the game.
+ */
+
+import { query } from '../db/index.js';
+import { PLAYED_AT, average, round } from '../utils/stats.js';
+
+export const DEFAULT_ROLLING_WINDOW = 5;
+
+/**
+ * Career stats for a set of results
+ * @param {array} results - Normalized results
+ * @returns {object} { games, average_accuracy, average_rank, best_finish, wins }
+ */
+function stats(results) {
+  const played = results.filter(result => result.status === 'completed');
+  const ranks = played.map(result => result.final_rank).filter(rank => rank != null);
+  return {
+    games: played.length,
+    average_accuracy: round(average(played.map(result => result.accuracy))),
+    average_rank: round(average(ranks)),
+    best_finish: ranks.length > 0 ? Math.min(...ranks) : null,
+    wins: ranks.filter(rank => rank === 1).length,
+  };
+}
+
+/**
+ * Monday (UTC) of the week a date falls in
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function weekStart(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Build a player's history from their results
+ * @param {array} rows - player_results rows with session_id, league_id, league_name and played_at, oldest first
+ * @param {object} options - { window } games in the rolling accuracy (default 5)
+ * @returns {object} { summary, leagues, trend, results }
+ *   each result gets rolling_accuracy: the average accuracy of the last `window`
+ *   completed games up to and including it
+ */
+export function summarizeHistory(rows, { window = DEFAULT_ROLLING_WINDOW } = {}) {
+  // DECIMAL columns come back from Postgres as strings
+  const results = rows.map(row => ({
+    ...row,
+    accuracy: row.accuracy == null ? null : Number(row.accuracy),
+    played_at: new Date(row.played_at),
+  }));
+
+  const recent = [];
+  for (const result of results) {
+    if (result.status === 'completed' && result.accuracy != null) {
+      recent.push(result.accuracy);
+      if (recent.length > window) recent.shift();
+    }
+    result.rolling_accuracy = round(average(recent));
+  }
+
+  const byLeague = new Map();
+  const byWeek = new Map();
+  for (const result of results) {
+    const leagueKey = result.league_id || null;
+    if (!byLeague.has(leagueKey)) byLeague.set(leagueKey, { league_id: leagueKey, league_name: result.league_name || null, results: [] });
+    byLeague.get(leagueKey).results.push(result);
+
+    const week = weekStart(result.played_at);
+    if (!byWeek.has(week)) byWeek.set(week, []);
+    byWeek.get(week).push(result);
+  }
+
+  const leagues = [...byLeague.values()]
+    .map(({ results: leagueResults, ...league }) => ({ ...league, ...stats(leagueResults) }))
+    .filter(league => league.games > 0)
+    .sort((a, b) => b.games - a.games || String(a.league_name).localeCompare(String(b.league_name)));
+
+  const trend = [...byWeek.entries()]
+    .map(([week, weekResults]) => {
+      const { games, average_accuracy, average_rank, best_finish } = stats(weekResults);
+      return { week, games, average_accuracy, average_rank, best_finish, rolling_accuracy: weekResults.at(-1).rolling_accuracy };
+    })
+    .filter(week => week.games > 0);
+
+  return { summary: stats(results), leagues, trend, results };
+}
+
+/**
+ * Load a player's history
+ * @param {string} playerId - players.id
+ * @param {object} options - { leagueId, window }
+ * @returns {Promise<object|null>} { player, window, summary, leagues, trend, results }, or null if the player does not exist
+ */
+export async function getPlayerHistory(playerId, { leagueId = null, window = DEFAULT_ROLLING_WINDOW } = {}) {
+  const player = await query(
+    'SELECT id, participant_id, nickname, name, team, league_id, active FROM players WHERE id = $1',
+    [playerId]
+  );
+  if (player.rows.length === 0) {
+    return null;
+  }
+
+  const params = [playerId];
+  let sql = `
+    SELECT r.id, r.questions_answered, r.correct_answers, r.accuracy, r.final_score, r.final_rank, r.status,
+      s.session_id, s.status AS session_status, s.total_players,
+      s.league_id, l.name AS league_name,
+      ${PLAYED_AT} AS played_at
+    FROM player_results r
+    LEFT JOIN game_sessions s ON s.id = r.session_id
+    LEFT JOIN leagues l ON l.id = s.league_id
+    WHERE r.player_id = $1`;
+  if (leagueId) {
+    params.push(leagueId);
+    sql += ' AND s.league_id = $2';
+  }
+  sql += ' ORDER BY played_at ASC, r.created_at ASC, r.id ASC';
+
+  const results = await query(sql, params);
+  return { player: player.rows[0], window, ...summarizeHistory(results.rows, { window }) };
+}
@@ -0,0 +1,463 @@
+/**
+ * Player Sync Service
+ * Compares roster spreadsheets with the players table and applies the changes
+ *
+ * Uploaded files are previewed first: the diff is stored in player_imports and
+ * only applied when the import is confirmed, so what gets applied is exactly
+ * what the operator reviewed.
+ *
+ * Active players the sheet no longer lists are handled by a missing policy:
+ *   deactivate - set active = false (they stop being picked for games)
+ *   flag       - keep them active but set missing_since for review
+ *   ignore     - leave them as they are
+ * A flagged or sync-deactivated player that shows up in the sheet again is
+ * reactivated and unflagged.
+ *
+ * Team names are matched to the teams of the player's league ignoring case,
+ * punctuation and spacing (see services/teamService.js); teams the sheet
+ * introduces are created in that league. New players have no league yet, so
+ * their teams are the ones without a league.
+ */
+
+import { query, withTransaction } from '../db/index.js';
+import { ExcelLoader } from '../src/players/excelLoader.js';
+import { createProfile, profileToDatabaseColumns } from '../src/players/playerSchema.js';
+import { teamKey } from './teamService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Columns the spreadsheet owns; personality and the behavior profile are only
+// set when a player is created, so edits made through the API are kept
+export const SYNC_FIELDS = ['nickname', 'name', 'email', 'phone', 'accuracy', 'team'];
+
+export const MISSING_POLICIES = ['deactivate', 'flag', 'ignore'];
+
+export const MAX_SYNC_ROWS = 50000;
+
+// Serializes syncs so a preview check and its apply see the same roster
+const SYNC_LOCK_ID = 724502;
+
+// Column types for reading diff rows back with jsonb_to_recordset
+const ROW_COLUMNS = `participant_id varchar, nickname varchar, name varchar, email varchar,
+  phone varchar, accuracy numeric, personality varchar, team varchar,
+  reaction_time jsonb, knowledge_areas jsonb, consistency numeric, streak_behavior boolean,
+  late_join_chance numeric, no_show_chance numeric, early_leave_chance numeric,
+  backstory text, rivalries jsonb, sponsors jsonb`;
+
+// Behavior profile columns written for new players
+const PROFILE_COLUMNS = [
+  'reaction_time', 'knowledge_areas', 'consistency', 'streak_behavior',
+  'late_join_chance', 'no_show_chance', 'early_leave_chance', 'backstory', 'rivalries', 'sponsors',
+].join(', ');
+
+/**
+ * Read player profiles from an uploaded spreadsheet
+ * @param {Buffer} buffer - .xlsx, .xls or .csv contents
+ * @param {string} filename - Original file name
+ * @returns {array} Player profiles (see ExcelLoader.rowToPlayer)
+ * @throws {Error} status 400 if the file cannot be read or has no players
+ */
+export function parsePlayerFile(buffer, filename) {
+  const loader = new ExcelLoader();
+  if (!loader.loadBuffer(buffer, filename)) {
+    throw httpError('Could not read spreadsheet', 400);
+  }
+
+  const players = loader.loadPlayers({ limit: MAX_SYNC_ROWS });
+  if (players.length === 0) {
+    throw httpError('No players found in spreadsheet', 400);
+  }
+  return players;
+}
+
+/**
+ * Convert a spreadsheet profile to players table values
+ * @param {object} player - Profile from ExcelLoader
+ * @returns {object} participant_id, personality, the SYNC_FIELDS and the behavior profile columns
+ */
+export function toPlayerRow(player) {
+  return {
+    participant_id: player.participantId || null,
+    nickname: player.nickname,
+    name: player.name || null,
+    email: player.email || null,
+    phone: player.phone || null,
+    accuracy: Number.isFinite(player.accuracy) ? Math.round(player.accuracy * 10000) / 100 : null, // 0-1 to 0-100; 0 is a real score
+    personality: player.personality || 'normal',
+    team: player.team || null,
+    ...profileToDatabaseColumns(createProfile(player)),
+  };
+}
+
+// accuracy comes back from Postgres as a DECIMAL string
+function normalize(field, value) {
+  if (field === 'accuracy') {
+    return value == null ? null : Number(value);
+  }
+  return value ?? null;
+}
+
+// Another spelling of the same team is not a change
+function sameValue(field, from, to) {
+  return field === 'team' ? teamKey(from) === teamKey(to) : from === to;
+}
+
+/**
+ * Compare spreadsheet rows with the players in the database
+ * Rows match a player by participant_id, then by email.
+ * @param {array} rows - From toPlayerRow()
+ * @param {array} existing - players rows (id, participant_id, active, missing_since and the SYNC_FIELDS)
+ * @returns {object} { summary, new, changed, unchanged, missing, duplicates }
+ *   changed entries list { field: { from, to } } changes, including reactivation
+ *   missing lists active players that no row matched
+ *   duplicates lists rows skipped because an earlier row has the same
+ *   participant_id or matched the same player
+ */
+export function diffPlayers(rows, existing) {
+  const byParticipantId = new Map();
+  const byEmail = new Map();
+  for (const player of existing) {
+    if (player.participant_id) byParticipantId.set(player.participant_id, player);
+    if (player.email) byEmail.set(player.email.toLowerCase(), player);
+  }
+
+  const diff = { new: [], changed: [], unchanged: [], missing: [], duplicates: [] };
+  const matched = new Set();
+  const seenParticipantIds = new Set();
+
+  for (const row of rows) {
+    const player = (row.participant_id && byParticipantId.get(row.participant_id))
+      || (row.email && byEmail.get(row.email.toLowerCase()));
+
+    if (seenParticipantIds.has(row.participant_id) || (player && matched.has(player.id))) {
+      diff.duplicates.push({ participant_id: row.participant_id, nickname: row.nickname, name: row.name });
+      continue;
+    }
+    if (row.participant_id) {
+      seenParticipantIds.add(row.participant_id);
+    }
+
+    if (!player) {
+      diff.new.push(row);
+      continue;
+    }
+
+    matched.add(player.id);
+    const changes = {};
+    for (const field of SYNC_FIELDS) {
+      const from = normalize(field, player[field]);
+      const to = normalize(field, row[field]);
+      if (!sameValue(field, from, to)) {
+        changes[field] = { from, to };
+      }
+    }
+    if (player.missing_since) {
+      changes.missing_since = { from: player.missing_since, to: null };
+      if (!player.active) {
+        changes.active = { from: false, to: true };
+      }
+    }
+
+    const fields = Object.keys(changes);
+    if (fields.length > 0) {
+      diff.changed.push({ id: player.id, participant_id: player.participant_id, nickname: player.nickname, fields, changes, row });
+    } else {
+      diff.unchanged.push({ id: player.id, participant_id: player.participant_id, nickname: player.nickname });
+    }
+  }
+
+  for (const player of existing) {
+    if (player.active && !matched.has(player.id)) {
+      diff.missing.push({
+        id: player.id,
+        participant_id: player.participant_id,
+        nickname: player.nickname,
+        team: player.team,
+        missing_since: player.missing_since ?? null,
+      });
+    }
+  }
+
+  return {
+    summary: {
+      rows: rows.length,
+      new: diff.new.length,
+      changed: diff.changed.length,
+      unchanged: diff.unchanged.length,
+      missing: diff.missing.length,
+      duplicates: diff.duplicates.length,
+    },
+    ...diff,
+  };
+}
+
+/**
+ * Diff spreadsheet profiles against the current players table
+ * @param {array} players - Profiles from ExcelLoader
+ * @returns {Promise<object>} See diffPlayers()
+ */
+export async function previewSync(players) {
+  const result = await query(
+    `SELECT id, participant_id, active, missing_since, ${SYNC_FIELDS.join(', ')} FROM players`
+  );
+  return diffPlayers(players.map(toPlayerRow), result.rows);
+}
+
+const MISSING_CHANGE_COLUMNS = `p.id, p.participant_id, p.nickname,
+  old.active AS before_active, old.missing_since AS before_missing_since, p.active, p.missing_since`;
+
+function missingChange(row, action) {
+  return {
+    id: row.id,
+    participant_id: row.participant_id,
+    nickname: row.nickname,
+    action,
+    before: { active: row.before_active, missing_since: row.before_missing_since },
+    after: { active: row.active, missing_since: row.missing_since },
+  };
+}
+
+/**
+ * Take the sync lock for the rest of a transaction
+ */
+async function lockSync(tx) {
+  await tx.query('SELECT pg_advisory_xact_lock($1)', [SYNC_LOCK_ID]);
+}
+
+/**
+ * Apply a diff in one transaction: create new players, update changed ones and handle missing ones
+ * Each step is a single set-based statement, so the round trips do not grow with the roster.
+ * @param {object} diff - From diffPlayers()
+ * @param {object} options - { missingPolicy } (default 'ignore');
+ *   { tx } to run inside a caller's withTransaction()
+ * @returns {Promise<object>} { created, updated, deactivated, flagged, missingChanges, durationMs };
+ *   missingChanges lists each deactivated or flagged player as { id, participant_id, nickname, action, before, after }
+ *   with before/after holding active and missing_since
+ */
+export async function applySync(diff, { missingPolicy = 'ignore', tx = null } = {}) {
+  if (!tx) {
+    return withTransaction(client => applySync(diff, { missingPolicy, tx: client }));
+  }
+
+  const start = Date.now();
+  await lockSync(tx);
+
+  let created = 0;
+  let updated = 0;
+  let deactivated = 0;
+  let flagged = 0;
+  let missingChanges = [];
+
+  const teamRows = [
+    ...diff.new.map(({ participant_id, team }) => ({ participant_id, team })),
+    ...diff.changed.map(({ id, row }) => ({ id, team: row.team })),
+  ].filter(row => teamKey(row.team));
+  if (teamRows.length > 0) {
+    // Teams the sheet introduces are named after one of its spellings, in the
+    // league of the player that names them
+    await tx.query(
+      `INSERT INTO teams (name, name_key, league_id)
+       SELECT DISTINCT ON (cur.league_id, team_key(r.team)) btrim(r.team), team_key(r.team), cur.league_id
+       FROM jsonb_to_recordset($1::jsonb) AS r(id uuid, participant_id varchar, team varchar)
+       LEFT JOIN players cur ON cur.id = r.id OR cur.participant_id = r.participant_id
+       WHERE team_key(r.team) <> ''
+       ON CONFLICT DO NOTHING`,
+      [JSON.stringify(teamRows)]
+    );
+  }
+
+  if (diff.new.length > 0) {
+    // A player created since the preview is updated instead of failing the sync
+    const result = await tx.query(
+      `WITH upserted AS (
+         INSERT INTO players (participant_id, nickname, name, email, phone, accuracy, personality, team, team_id, ${PROFILE_COLUMNS}, active)
+         SELECT participant_id, nickname, r.name, email, phone, accuracy, personality, t.name, t.id, ${PROFILE_COLUMNS}, true
+         FROM jsonb_to_recordset($1::jsonb) AS r(${ROW_COLUMNS})
+         LEFT JOIN teams t ON t.name_key = team_key(r.team)
+           AND t.league_id IS NOT DISTINCT FROM (SELECT league_id FROM players WHERE participant_id = r.participant_id)
+         ON CONFLICT (participant_id) DO UPDATE SET
+           nickname = EXCLUDED.nickname,
+           name = EXCLUDED.name,
+           email = EXCLUDED.email,
+           phone = EXCLUDED.phone,
+           accuracy = EXCLUDED.accuracy,
+           team = EXCLUDED.team,
+           team_id = EXCLUDED.team_id,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING (xmax = 0) AS inserted
+       )
+       SELECT COUNT(*) FILTER (WHERE inserted) AS created, COUNT(*) FILTER (WHERE NOT inserted) AS updated
+       FROM upserted`,
+      [JSON.stringify(diff.new)]
+    );
+    created = parseInt(result.rows[0].created);
+    updated = parseInt(result.rows[0].updated);
+  }
+
+  if (diff.changed.length > 0) {
+    const result = await tx.query(
+      `UPDATE players p SET
+        nickname = r.nickname,
+        name = r.name,
+        email = r.email,
+        phone = r.phone,
+        accuracy = r.accuracy,
+        team = t.name,
+        team_id = t.id,
+        active = CASE WHEN p.missing_since IS NOT NULL THEN true ELSE p.active END,
+        missing_since = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      FROM jsonb_to_recordset($1::jsonb) AS r(id uuid, ${ROW_COLUMNS})
+      JOIN players cur ON cur.id = r.id
+      LEFT JOIN teams t ON t.name_key = team_key(r.team) AND t.league_id IS NOT DISTINCT FROM cur.league_id
+      WHERE p.id = r.id`,
+      [JSON.stringify(diff.changed.map(({ id, row }) => ({ ...row, id })))]
+    );
+    updated += result.rowCount;
+  }
+
+  const missingIds = diff.missing.map(player => player.id);
+
+  // The self-join returns each player's values from before the update, for the audit log
+  if (missingIds.length > 0 && missingPolicy === 'deactivate') {
+    const result = await tx.query(
+      `UPDATE players p
+       SET active = false, missing_since = COALESCE(p.missing_since, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       FROM players old
+       WHERE old.id = p.id AND p.id = ANY($1::uuid[]) AND p.active = true
+       RETURNING ${MISSING_CHANGE_COLUMNS}`,
+      [missingIds]
+    );
+    deactivated = result.rowCount;
+    missingChanges = result.rows.map(row => missingChange(row, 'deactivate'));
+  } else if (missingIds.length > 0 && missingPolicy === 'flag') {
+    const result = await tx.query(
+      `UPDATE players p
+       SET missing_since = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       FROM players old
+       WHERE old.id = p.id AND p.id = ANY($1::uuid[]) AND p.missing_since IS NULL
+       RETURNING ${MISSING_CHANGE_COLUMNS}`,
+      [missingIds]
+    );
+    flagged = result.rowCount;
+    missingChanges = result.rows.map(row => missingChange(row, 'flag_missing'));
+  }
+
+  return { created, updated, deactivated, flagged, missingChanges, durationMs: Date.now() - start };
+}
+
+/**
+ * Describe an applied sync for API responses
+ * @param {object} diff - From diffPlayers() (or a stored import's summary and diff)
+ * @param {object} counts - From applySync()
+ * @param {string} missingPolicy - Policy that was applied
+ * @returns {object} Counts plus the field-level changes and the missing players
+ */
+export function syncReport(diff, counts, missingPolicy) {
+  return {
+    playersFound: diff.summary.rows,
+    created: counts.created,
+    updated: counts.updated,
+    unchanged: diff.summary.unchanged,
+    missing: diff.summary.missing,
+    missing_policy: missingPolicy,
+    deactivated: counts.deactivated,
+    flagged: counts.flagged,
+    duplicates: diff.summary.duplicates ?? 0,
+    total: counts.created + counts.updated,
+    changes: diff.changed.map(({ id, participant_id, nickname, changes }) => ({ id, participant_id, nickname, changes })),
+    missingPlayers: diff.missing,
+  };
+}
+
+/**
+ * Store a previewed upload until it is confirmed
+ * @param {object} options - { filename, diff, missingPolicy, actor }
+ * @returns {Promise<object>} player_imports row
+ */
+export async function createImport({ filename, diff, missingPolicy = 'ignore', actor = null }) {
+  const { summary, ...changes } = diff;
+  const result = await query(
+    `INSERT INTO player_imports (filename, summary, diff, missing_policy, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [filename, JSON.stringify(summary), JSON.stringify(changes), missingPolicy, actor]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get a stored import
+ * @param {string} id - player_imports.id
+ * @returns {Promise<object|null>}
+ */
+export async function getImport(id) {
+  const result = await query('SELECT * FROM player_imports WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Check that a stored import can still be confirmed or discarded
+ * @throws {Error} 404 if not found, 409 if already applied or discarded
+ */
+function assertPending(playerImport) {
+  if (!playerImport) {
+    throw httpError('Import not found', 404);
+  }
+  if (playerImport.status !== 'pending') {
+    throw httpError(`Import is already ${playerImport.status}`, 409);
+  }
+  return playerImport;
+}
+
+/**
+ * Apply a previewed import, in the same transaction that marks it applied
+ * Refused (409) when another import was applied after this preview was made,
+ * because the preview no longer describes the roster.
+ * @param {string} id - player_imports.id
+ * @param {object} options - { actor, missingPolicy } (missingPolicy overrides the one chosen at upload)
+ * @returns {Promise<object>} { import, created, updated, deactivated, flagged, durationMs }
+ */
+export async function confirmImport(id, { actor = null, missingPolicy = null } = {}) {
+  return withTransaction(async (tx) => {
+    await lockSync(tx);
+
+    const result = await tx.query('SELECT * FROM player_imports WHERE id = $1 FOR UPDATE', [id]);
+    const playerImport = assertPending(result.rows[0]);
+
+    const newer = await tx.query(
+      `SELECT id FROM player_imports
+       WHERE status = 'applied' AND applied_at > $1
+       LIMIT 1`,
+      [playerImport.created_at]
+    );
+    if (newer.rows.length > 0) {
+      throw httpError('Another import was applied after this preview; upload the file again', 409);
+    }
+
+    const policy = missingPolicy || playerImport.missing_policy;
+    const counts = await applySync(playerImport.diff, { missingPolicy: policy, tx });
+
+    const applied = await tx.query(
+      `UPDATE player_imports
+       SET status = 'applied', applied_by = $2, applied_at = CURRENT_TIMESTAMP, missing_policy = $3
+       WHERE id = $1
+       RETURNING *`,
+      [id, actor, policy]
+    );
+
+    return { import: applied.rows[0], ...counts };
+  });
+}
+
+/**
+ * Discard a previewed import without applying it
+ * @param {string} id - player_imports.id
+ * @returns {Promise<object>} Updated player_imports row
+ */
+export async function discardImport(id) {
+  const result = await query(
+    `UPDATE player_imports SET status = 'discarded' WHERE id = $1 AND status = 'pending' RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || assertPending(await getImport(id));
+}
@@ -0,0 +1,154 @@
+/**
+ * Schedule Service
+ * Reads and updates league schedules in the scheduled_games table
+ */
+
+import { query } from '../db/index.js';
+import logger from '../utils/logger.js';
+import { loadLaunchPlayers } from './sessionRunner.js';
+
+const OVERRIDE_FIELDS = ['override_time', 'override_game_url', 'override_player_count'];
+
+/**
+ * Fields a create or update writes to schedule_exceptions
+ * A blackout replaces the run outright, so it keeps no override values: they are
+ * cleared whenever the exception is, or becomes, a blackout.
+ * @param {object} body - Request body; fields left out are undefined (unchanged on update)
+ * @param {object} existing - The current row, on update
+ * @returns {object} { exception_date, exception_type, override_time, override_game_url, override_player_count, reason }
+ */
+export function exceptionFields(body, existing = {}) {
+  const { exception_date, exception_type, override_time, override_game_url, override_player_count, reason } = body;
+  const fields = { exception_date, exception_type, override_time, override_game_url, override_player_count, reason };
+
+  if ((exception_type ?? existing.exception_type) === 'blackout') {
+    for (const field of OVERRIDE_FIELDS) {
+      fields[field] = null;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Load all enabled schedules with their league name
+ * @returns {Promise<array>} scheduled_games rows
+ */
+export async function loadEnabledSchedules() {
+  const result = await query(
+    `SELECT sg.*, l.name as league_name
+     FROM scheduled_games sg
+     LEFT JOIN leagues l ON sg.league_id = l.id
+     WHERE sg.enabled = true
+     ORDER BY sg.name ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Load blackout dates and overrides for enabled schedules, from yesterday on
+ * (yesterday covers every timezone's "today")
+ * @returns {Promise<array>} schedule_exceptions rows
+ */
+export async function loadUpcomingExceptions() {
+  const result = await query(
+    `SELECT se.*
+     FROM schedule_exceptions se
+     JOIN scheduled_games sg ON se.scheduled_game_id = sg.id
+     WHERE sg.enabled = true AND se.exception_date >= CURRENT_DATE - 1
+     ORDER BY se.exception_date ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Record run times for a schedule
+ * @param {string} scheduleId - scheduled_games.id
+ * @param {object} times - { lastRun, nextRun } (omitted values are left unchanged)
+ */
+export async function updateScheduleRunTimes(scheduleId, times = {}) {
+  try {
+    await query(
+      `UPDATE scheduled_games SET
+        last_run = COALESCE($1, last_run),
+        next_run = COALESCE($2, next_run),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3`,
+      [times.lastRun ?? null, times.nextRun ?? null, scheduleId]
+    );
+  } catch (error) {
+    logger.warn(`Failed to update run times for schedule ${scheduleId}: ${error.message}`);
+  }
+}
+
+/**
+ * Record a scheduled run that did not start (e.g. missed)
+ * Each occurrence is recorded once; later calls for the same occurrence are ignored.
+ * @param {object} run - { scheduleId, scheduledFor, status, reason }
+ * @returns {Promise<string|null>} schedule_runs.id, or null if already recorded
+ */
+export async function recordScheduleRun({ scheduleId, scheduledFor, status, reason = null }) {
+  try {
+    const result = await query(
+      `INSERT INTO schedule_runs (scheduled_game_id, scheduled_for, status, reason)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (scheduled_game_id, scheduled_for) DO NOTHING
+       RETURNING id`,
+      [scheduleId, scheduledFor, status, reason]
+    );
+    return result.rows[0]?.id || null;
+  } catch (error) {
+    logger.warn(`Failed to record run for schedule ${scheduleId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Claim a scheduled run for this scheduler instance
+ * The unique (scheduled_game_id, scheduled_for) row means only one instance
+ * can claim an occurrence. Errors are thrown so callers can decide not to run.
+ * @param {object} claim - { scheduleId, scheduledFor, instanceId, reason,
+ *   runType ('scheduled', or 'manual' for run-now, where scheduledFor is the trigger time) }
+ * @returns {Promise<string|null>} schedule_runs.id, or null if already claimed
+ */
+export async function claimScheduleRun({ scheduleId, scheduledFor, instanceId, reason = null, runType = 'scheduled' }) {
+  const result = await query(
+    `INSERT INTO schedule_runs (scheduled_game_id, scheduled_for, status, reason, claimed_by, started_at, run_type)
+     VALUES ($1, $2, 'running', $3, $4, CURRENT_TIMESTAMP, $5)
+     ON CONFLICT (scheduled_game_id, scheduled_for) DO NOTHING
+     RETURNING id`,
+    [scheduleId, scheduledFor, reason, instanceId, runType]
+  );
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * Update the outcome of a scheduled run
+ * @param {string} runId - schedule_runs.id
+ * @param {object} fields - { status, reason, sessionId (game_sessions.session_id) }
+ */
+export async function updateScheduleRun(runId, { status, reason = null, sessionId = null }) {
+  try {
+    await query(
+      `UPDATE schedule_runs SET
+        status = $1,
+        reason = COALESCE($2, reason),
+        session_id = COALESCE((SELECT id FROM game_sessions WHERE session_id = $3), session_id),
+        finished_at = CURRENT_TIMESTAMP
+      WHERE id = $4`,
+      [status, reason, sessionId, runId]
+    );
+  } catch (error) {
+    logger.warn(`Failed to update schedule run ${runId}: ${error.message}`);
+  }
+}
+
+/**
+ * Load active players for a scheduled game, with their stored behavior profiles
+ * A random set each run, from the schedule's league when it has one.
+ * @param {number} playerCount - Maximum number of players
+ * @param {object} options - { leagueId } (leagues.id, null for any league); { tx } as for loadLaunchPlayers()
+ * @returns {Promise<array>} Player profiles
+ */
+export async function loadScheduledPlayers(playerCount, { leagueId = null, tx = null } = {}) {
+  return loadLaunchPlayers({ player_count: playerCount, league_id: leagueId, shuffle: true }, { tx });
+}
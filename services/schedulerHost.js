@@ -0,0 +1,100 @@
+/**
+ * Scheduler Host
+ * Runs the game scheduler inside the API server process
+ */
+
+import { gameScheduler } from '../src/scheduler/gameScheduler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Check if the server should start the scheduler on boot
+ * @returns {boolean}
+ */
+export function isSchedulerEnabled() {
+  return process.env.SCHEDULER_ENABLED === 'true';
+}
+
+/**
+ * Load schedules from scheduled_games, or pick up changes if already loaded
+ */
+export async function loadSchedules() {
+  if (gameScheduler.schedules.size === 0) {
+    await gameScheduler.loadSchedulesFromDatabase();
+  } else {
+    await gameScheduler.reloadSchedules();
+  }
+}
+
+/**
+ * Start the hosted scheduler
+ * @returns {Promise<object>} Scheduler status
+ */
+export async function startScheduler() {
+  if (gameScheduler.isRunning) {
+    throw Object.assign(new Error('Scheduler is already running'), { status: 409 });
+  }
+
+  await loadSchedules();
+  gameScheduler.start();
+  // start() only auto-reloads when database schedules were found; the server always wants it
+  gameScheduler.startAutoReload();
+
+  return gameScheduler.getStatus();
+}
+
+/**
+ * Stop the hosted scheduler, stopping any games it is running
+ * @returns {Promise<object>} Scheduler status
+ */
+export async function stopScheduler() {
+  if (!gameScheduler.isRunning) {
+    throw Object.assign(new Error('Scheduler is not running'), { status: 409 });
+  }
+
+  await gameScheduler.stop();
+  return gameScheduler.getStatus();
+}
+
+/**
+ * Run a schedule's game immediately, in the background
+ * @param {string} leagueId - Schedule id (scheduled_games.id)
+ */
+export async function runScheduleNow(leagueId) {
+  await loadSchedules();
+
+  if (!gameScheduler.schedules.has(leagueId)) {
+    throw Object.assign(new Error('Schedule not found or not enabled'), { status: 404 });
+  }
+  if (gameScheduler.isGameRunning(leagueId)) {
+    throw Object.assign(new Error('A game for this schedule is already running'), { status: 409 });
+  }
+
+  // runNow() reserves the schedule before it awaits, so a second request gets the 409 above
+  gameScheduler.runNow(leagueId).catch(error => {
+    logger.error(`Manual run failed: ${leagueId}`, { error: error.message });
+  });
+}
+
+/**
+ * Pick up schedule edits right away instead of waiting for the next auto-reload
+ */
+export function refreshSchedules() {
+  if (!gameScheduler.isRunning) {
+    return;
+  }
+
+  gameScheduler.reloadSchedules().catch(error => {
+    logger.warn(`Failed to reload schedules: ${error.message}`);
+  });
+}
+
+/**
+ * Get scheduler status
+ * @returns {object} Scheduler status
+ */
+export function getSchedulerStatus() {
+  return {
+    enabled: isSchedulerEnabled(),
+    ...gameScheduler.getStatus(),
+  };
+}
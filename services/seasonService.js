@@ -0,0 +1,149 @@
+/**
+ * Season Service
+ * Seasons of a league and the sessions assigned to them
+ *
+ * A session belongs to the season of its league whose dates include the day
+ * the session started (see season_for() in db/migrations/0007_seasons.up.sql).
+ * New and rescheduled sessions are assigned by a trigger; when seasons change,
+ * the league's existing sessions are reassigned here.
+ */
+
+import { query, withTransaction } from '../db/index.js';
+import { httpError } from '../utils/httpError.js';
+
+const SEASON_SELECT = `
+  SELECT s.*, l.name AS league_name,
+    (SELECT COUNT(*) FROM game_sessions gs WHERE gs.season_id = s.id) AS session_count
+  FROM seasons s
+  JOIN leagues l ON l.id = s.league_id`;
+
+/**
+ * List seasons, newest first within each league
+ * @param {object} filters - { leagueId }
+ * @returns {Promise<array>} seasons rows with league_name and session_count
+ */
+export async function listSeasons({ leagueId = null } = {}) {
+  const params = [];
+  let sql = SEASON_SELECT;
+  if (leagueId) {
+    params.push(leagueId);
+    sql += ' WHERE s.league_id = $1';
+  }
+  sql += ' ORDER BY l.name ASC, s.start_date DESC';
+  const result = await query(sql, params);
+  return result.rows;
+}
+
+/**
+ * Get a season
+ * @param {string} id - seasons.id
+ * @returns {Promise<object|null>} seasons row with league_name and session_count
+ */
+export async function getSeason(id) {
+  const result = await query(`${SEASON_SELECT} WHERE s.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Lock a league's seasons for the rest of the transaction
+ * @throws {Error} 404 if the league does not exist
+ */
+async function lockLeague(tx, leagueId) {
+  const league = await tx.query('SELECT id FROM leagues WHERE id = $1 FOR UPDATE', [leagueId]);
+  if (league.rows.length === 0) {
+    throw httpError('League not found', 404);
+  }
+}
+
+/**
+ * Refuse dates that overlap another season of the league
+ * @throws {Error} 409 naming the overlapping season
+ */
+async function assertNoOverlap(tx, { leagueId, startDate, endDate, excludeId = null }) {
+  const overlap = await tx.query(
+    `SELECT name FROM seasons
+     WHERE league_id = $1 AND start_date <= $3 AND end_date >= $2 AND id IS DISTINCT FROM $4
+     LIMIT 1`,
+    [leagueId, startDate, endDate, excludeId]
+  );
+  if (overlap.rows.length > 0) {
+    throw httpError(`Dates overlap season ${overlap.rows[0].name}`, 409);
+  }
+}
+
+/**
+ * Reassign a league's sessions to its current seasons
+ * @returns {Promise<number>} Sessions whose season changed
+ */
+async function reassignSessions(tx, leagueId) {
+  const result = await tx.query(
+    `UPDATE game_sessions
+     SET season_id = season_for(league_id, COALESCE(start_time, created_at))
+     WHERE league_id = $1
+       AND season_id IS DISTINCT FROM season_for(league_id, COALESCE(start_time, created_at))`,
+    [leagueId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Create a season and assign the league's sessions in its dates to it
+ * @param {object} fields - { league_id, name, start_date, end_date }
+ * @returns {Promise<object>} { season, sessionsReassigned }
+ * @throws {Error} 404 if the league does not exist, 409 if the dates overlap another season
+ */
+export async function createSeason({ league_id, name, start_date, end_date }) {
+  return withTransaction(async (tx) => {
+    await lockLeague(tx, league_id);
+    await assertNoOverlap(tx, { leagueId: league_id, startDate: start_date, endDate: end_date });
+
+    const result = await tx.query(
+      `INSERT INTO seasons (league_id, name, start_date, end_date)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [league_id, name, start_date, end_date]
+    );
+    const sessionsReassigned = await reassignSessions(tx, league_id);
+    return { season: result.rows[0], sessionsReassigned };
+  });
+}
+
+/**
+ * Update a season's name or dates and reassign the league's sessions
+ * @param {object} existing - Current seasons row
+ * @param {object} fields - { name, start_date, end_date } (merged with the existing row)
+ * @returns {Promise<object>} { season, sessionsReassigned }
+ * @throws {Error} 409 if the new dates overlap another season
+ */
+export async function updateSeason(existing, { name, start_date, end_date }) {
+  return withTransaction(async (tx) => {
+    await lockLeague(tx, existing.league_id);
+    await assertNoOverlap(tx, { leagueId: existing.league_id, startDate: start_date, endDate: end_date, excludeId: existing.id });
+
+    const result = await tx.query(
+      `UPDATE seasons SET
+        name = $1,
+        start_date = $2,
+        end_date = $3,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *`,
+      [name, start_date, end_date, existing.id]
+    );
+    const sessionsReassigned = await reassignSessions(tx, existing.league_id);
+    return { season: result.rows[0], sessionsReassigned };
+  });
+}
+
+/**
+ * Check that a season exists and belongs to a league
+ * @param {string} seasonId - seasons.id
+ * @param {string} leagueId - leagues.id
+ * @throws {Error} 404 if not
+ */
+export async function assertLeagueSeason(seasonId, leagueId) {
+  const result = await query('SELECT id FROM seasons WHERE id = $1 AND league_id = $2', [seasonId, leagueId]);
+  if (result.rows.length === 0) {
+    throw httpError('Season not found in this league', 404);
+  }
+}
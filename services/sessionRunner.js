@@ -0,0 +1,140 @@
+/**
+ * Session Runner
+ * Launches and stops bot game sessions inside the API server process
+ */
+
+import { query } from '../db/index.js';
+import { GameSession } from '../src/orchestrator/gameSession.js';
+import { profileFromDatabaseRow } from '../src/players/playerSchema.js';
+import { updateSessionStatus } from './sessionService.js';
+import logger from '../utils/logger.js';
+
+// Running sessions by game_sessions.id (UUID)
+const runningSessions = new Map();
+
+/**
+ * Load active players for a launch from the database
+ * @param {object} selection - { player_ids, team, league_id, player_count };
+ *   team matches any spelling of the team's name; shuffle picks a random set of players instead of the first by nickname
+ * @param {object} options - { tx } to query through a transaction or stand-in client
+ * @returns {Promise<array>} Player profiles
+ */
+export async function loadLaunchPlayers(selection = {}, { tx = null } = {}) {
+  const { player_ids, team, league_id, player_count, shuffle = false } = selection;
+
+  let sql = 'SELECT * FROM players WHERE active = true';
+  const params = [];
+  let paramIndex = 1;
+
+  if (Array.isArray(player_ids) && player_ids.length > 0) {
+    sql += ` AND id = ANY($${paramIndex++}::uuid[])`;
+    params.push(player_ids);
+  }
+
+  // Any spelling of the team's name, as in GET /api/players
+  if (team) {
+    sql += ` AND team_id IN (SELECT id FROM teams WHERE name_key = team_key($${paramIndex++}))`;
+    params.push(team);
+  }
+
+  if (league_id) {
+    sql += ` AND league_id = $${paramIndex++}`;
+    params.push(league_id);
+  }
+
+  sql += shuffle ? ' ORDER BY random()' : ' ORDER BY nickname ASC';
+
+  if (player_count) {
+    sql += ` LIMIT $${paramIndex++}`;
+    params.push(parseInt(player_count));
+  }
+
+  const result = await (tx || { query }).query(sql, params);
+  return result.rows.map(profileFromDatabaseRow);
+}
+
+/**
+ * Launch a bot session for an existing game_sessions row
+ * Runs in the background; the returned status reflects the session right after launch.
+ * @param {object} sessionRow - game_sessions row (with league_name)
+ * @param {object} options - { game_url, league, league_id, players, max_concurrent, headless }
+ * @returns {object} Session status
+ */
+export function launchSession(sessionRow, options = {}) {
+  if (runningSessions.has(sessionRow.id)) {
+    throw Object.assign(new Error('Session is already running'), { status: 409 });
+  }
+
+  const session = new GameSession({
+    sessionId: sessionRow.session_id,
+    gameUrl: options.game_url || sessionRow.game_url,
+    players: options.players,
+    league: options.league || sessionRow.league_name || 'Unknown',
+    leagueId: options.league_id || sessionRow.league_id,
+    maxConcurrent: options.max_concurrent,
+    // Server has no display, so run headless unless told otherwise
+    headless: options.headless ?? true,
+  });
+
+  runningSessions.set(sessionRow.id, session);
+
+  session.start()
+    .then(results => {
+      logger.info(`Session ${session.sessionId} finished: ${results.completed}/${results.totalPlayers} completed`);
+    })
+    .catch(async error => {
+      logger.error(`Session ${session.sessionId} failed: ${error.message}`);
+      // GameSession records failures during the run itself; cover errors before it started
+      if (session.status !== 'failed') {
+        await updateSessionStatus(session.sessionId, 'failed', { end_time: new Date() });
+      }
+    })
+    .finally(async () => {
+      runningSessions.delete(sessionRow.id);
+      try {
+        await session.cleanup();
+      } catch (error) {
+        logger.warn(`Failed to clean up session ${session.sessionId}: ${error.message}`);
+      }
+    });
+
+  logger.info(`Launched session ${session.sessionId} with ${session.players.length} players`);
+  return session.getStatus();
+}
+
+/**
+ * Stop a running session
+ * @param {string} sessionDbId - game_sessions.id
+ * @returns {Promise<object|null>} Session status, or null if not running here
+ */
+export async function stopSession(sessionDbId) {
+  const session = runningSessions.get(sessionDbId);
+  if (!session) {
+    return null;
+  }
+
+  await session.stop();
+  await updateSessionStatus(session.sessionId, 'stopped', { end_time: session.endTime });
+
+  return session.getStatus();
+}
+
+/**
+ * Get a running session
+ * @param {string} sessionDbId - game_sessions.id
+ * @returns {GameSession|undefined}
+ */
+export function getRunningSession(sessionDbId) {
+  return runningSessions.get(sessionDbId);
+}
+
+/**
+ * List status of all sessions running in this process
+ * @returns {array} Session statuses
+ */
+export function listRunningSessions() {
+  return Array.from(runningSessions.entries()).map(([id, session]) => ({
+    id,
+    ...session.getStatus(),
+  }));
+}
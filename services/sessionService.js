@@ -15,6 +15,7 @@ import logger from '../utils/logger.js';
 export async function saveSessionToDatabase(sessionResults, options = {}) {
   const {
     sessionId,
+    status = 'completed',
     gameUrl,
     startTime,
     endTime,
@@ -28,6 +29,7 @@ export async function saveSessionToDatabase(sessionResults, options = {}) {
   const {
     league,
     league_id: leagueId,
+    scheduled_game_id: scheduledGameId = null,
   } = options;
 
   try {
@@ -76,11 +78,12 @@ export async function saveSessionToDatabase(sessionResults, options = {}) {
             completed_players = $6,
             failed_players = $7,
             league_id = $8,
+            scheduled_game_id = COALESCE($9, scheduled_game_id),
             updated_at = CURRENT_TIMESTAMP
-          WHERE session_id = $9
+          WHERE session_id = $10
           RETURNING *`,
           [
-            'completed',
+            status,
             startTime,
             endTime,
             Math.round(duration),
@@ -88,6 +91,7 @@ export async function saveSessionToDatabase(sessionResults, options = {}) {
             completed || 0,
             failed || 0,
             finalLeagueId,
+            scheduledGameId,
             sessionId,
           ]
         );
@@ -99,20 +103,21 @@ export async function saveSessionToDatabase(sessionResults, options = {}) {
           `INSERT INTO game_sessions (
             session_id, game_url, league_id, status,
             start_time, end_time, duration_seconds,
-            total_players, completed_players, failed_players
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            total_players, completed_players, failed_players, scheduled_game_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
           RETURNING *`,
           [
             sessionId,
             gameUrl,
             finalLeagueId,
-            'completed',
+            status,
             startTime,
             endTime,
             Math.round(duration),
             totalPlayers || 0,
             completed || 0,
             failed || 0,
+            scheduledGameId,
           ]
         );
         sessionDb = insertResult.rows[0];
@@ -262,6 +267,14 @@ export async function updateSessionStatus(sessionId, status, updates = {}) {
       updateFields.push(`failed_players = $${paramIndex++}`);
       params.push(updates.failed_players);
     }
+    if (updates.league_id) {
+      updateFields.push(`league_id = $${paramIndex++}`);
+      params.push(updates.league_id);
+    }
+    if (updates.scheduled_game_id) {
+      updateFields.push(`scheduled_game_id = $${paramIndex++}`);
+      params.push(updates.scheduled_game_id);
+    }
 
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     params.push(sessionId);
@@ -275,14 +288,16 @@ export async function updateSessionStatus(sessionId, status, updates = {}) {
     } else {
       // Create new session
       await query(
-        `INSERT INTO game_sessions (session_id, status, game_url, start_time, total_players)
-         VALUES ($1, $2, $3, $4, $5)`,
+        `INSERT INTO game_sessions (session_id, status, game_url, start_time, total_players, league_id, scheduled_game_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
         [
           sessionId,
           status,
           updates.game_url || '',
           updates.start_time || new Date(),
           updates.total_players || 0,
+          updates.league_id || null,
+          updates.scheduled_game_id || null,
         ]
       );
     }
@@ -0,0 +1,207 @@
+/**
+ * Standings Service
+ * Aggregates player_results into a league table using the league's points rules
+ *
+ * leagues.points_config (JSONB, NULL for the defaults):
+ *   rank_points          - points by final_rank: [1st, 2nd, ...]; lower ranks score 0
+ *   participation_points - points for every game played (attendance)
+ *   accuracy_bonuses     - [{ min_accuracy, points }]; a game scores the best tier it reaches
+ *   attendance_bonus     - { min_games, points } awarded once a player has played min_games
+ *   tie_breakers         - order used when points are level (see TIE_BREAKERS)
+ * Only completed results count. Players still level after every tie-breaker share a position.
+ */
+
+import { query } from '../db/index.js';
+import { PLAYED_AT, average, round } from '../utils/stats.js';
+import { assertLeagueSeason } from './seasonService.js';
+
+// Tie-breakers and the direction that ranks higher
+export const TIE_BREAKERS = {
+  wins: 'desc',
+  podiums: 'desc',
+  best_finish: 'asc',
+  average_rank: 'asc',
+  average_accuracy: 'desc',
+  games: 'desc',
+};
+
+export const DEFAULT_POINTS_CONFIG = {
+  rank_points: [10, 8, 6, 5, 4, 3, 2, 1],
+  participation_points: 1,
+  accuracy_bonuses: [],
+  attendance_bonus: null,
+  tie_breakers: ['wins', 'best_finish', 'average_rank', 'average_accuracy'],
+};
+
+/**
+ * A league's points rules with the defaults filled in
+ * @param {object|null} stored - leagues.points_config
+ * @returns {object} Complete points config
+ */
+export function resolvePointsConfig(stored) {
+  return { ...DEFAULT_POINTS_CONFIG, ...(stored || {}) };
+}
+
+/**
+ * Points one result scores
+ * @param {object} result - { final_rank, accuracy }
+ * @param {object} config - From resolvePointsConfig()
+ * @returns {object} { rank_points, accuracy_bonus, participation_points }
+ */
+export function scoreResult(result, config) {
+  const rank = result.final_rank;
+  const accuracy = result.accuracy == null ? null : Number(result.accuracy);
+  const tier = accuracy == null ? null : config.accuracy_bonuses
+    .filter(bonus => accuracy >= bonus.min_accuracy)
+    .sort((a, b) => b.points - a.points)[0];
+
+  return {
+    rank_points: rank >= 1 ? config.rank_points[rank - 1] ?? 0 : 0,
+    accuracy_bonus: tier?.points ?? 0,
+    participation_points: config.participation_points,
+  };
+}
+
+function compareStandings(a, b, tieBreakers) {
+  if (a.points !== b.points) return b.points - a.points;
+  for (const field of tieBreakers) {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) continue;
+    if (x == null) return 1;
+    if (y == null) return -1;
+    return TIE_BREAKERS[field] === 'asc' ? x - y : y - x;
+  }
+  return 0;
+}
+
+/**
+ * Build a standings table from completed results
+ * @param {array} rows - player_results rows with player_id, nickname, team, session_id, final_rank, accuracy
+ * @param {object} config - From resolvePointsConfig()
+ * @returns {array} Standings, best first, each with position, points and its breakdown
+ */
+export function computeStandings(rows, config) {
+  const players = new Map();
+
+  for (const row of rows) {
+    if (!players.has(row.player_id)) {
+      players.set(row.player_id, {
+        player_id: row.player_id,
+        nickname: row.nickname,
+        team: row.team ?? null,
+        ranks: [],
+        accuracies: [],
+        games: 0,
+        rank_points: 0,
+        accuracy_bonus: 0,
+        participation_points: 0,
+      });
+    }
+    const player = players.get(row.player_id);
+    const score = scoreResult(row, config);
+    player.games += 1;
+    player.rank_points += score.rank_points;
+    player.accuracy_bonus += score.accuracy_bonus;
+    player.participation_points += score.participation_points;
+    if (row.final_rank != null) player.ranks.push(row.final_rank);
+    if (row.accuracy != null) player.accuracies.push(Number(row.accuracy));
+  }
+
+  const bonus = config.attendance_bonus;
+
+  const standings = [...players.values()].map(({ ranks, accuracies, ...player }) => {
+    const attendanceBonus = bonus && player.games >= bonus.min_games ? bonus.points : 0;
+    return {
+      ...player,
+      attendance_bonus: attendanceBonus,
+      points: round(player.rank_points + player.accuracy_bonus + player.participation_points + attendanceBonus),
+      wins: ranks.filter(rank => rank === 1).length,
+      podiums: ranks.filter(rank => rank <= 3).length,
+      best_finish: ranks.length > 0 ? Math.min(...ranks) : null,
+      average_rank: round(average(ranks)),
+      average_accuracy: round(average(accuracies)),
+    };
+  });
+
+  standings.sort((a, b) => compareStandings(a, b, config.tie_breakers)
+    || String(a.nickname).localeCompare(String(b.nickname)));
+
+  standings.forEach((player, index) => {
+    const previous = standings[index - 1];
+    player.position = previous && compareStandings(previous, player, config.tie_breakers) === 0
+      ? previous.position
+      : index + 1;
+  });
+
+  return standings.map(({ position, ...player }) => ({ position, ...player }));
+}
+
+/**
+ * End of the as-of period: a bare date (YYYY-MM-DD) includes that whole day (UTC)
+ * @param {string|null} asOf - Date or date-time
+ * @returns {Date|null}
+ */
+export function asOfCutoff(asOf) {
+  if (!asOf) {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    return new Date(new Date(`${asOf}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  return new Date(asOf);
+}
+
+/**
+ * Standings for a league
+ * @param {string} leagueId - leagues.id
+ * @param {object} options - { seasonId } only count sessions in that season;
+ *   { asOf } only count games played up to then
+ * @returns {Promise<object|null>} { league, season_id, as_of, points_config, sessions, last_played_at, standings },
+ *   or null if the league does not exist
+ * @throws {Error} 404 if the season is not one of the league's
+ */
+export async function getLeagueStandings(leagueId, { seasonId = null, asOf = null } = {}) {
+  const league = await query('SELECT id, name, points_config FROM leagues WHERE id = $1', [leagueId]);
+  if (league.rows.length === 0) {
+    return null;
+  }
+
+  if (seasonId) {
+    await assertLeagueSeason(seasonId, leagueId);
+  }
+
+  const config = resolvePointsConfig(league.rows[0].points_config);
+  const cutoff = asOfCutoff(asOf);
+
+  const params = [leagueId];
+  let sql = `
+    SELECT r.player_id, p.nickname, p.team, r.session_id, r.final_rank, r.accuracy,
+      ${PLAYED_AT} AS played_at
+    FROM player_results r
+    JOIN game_sessions s ON s.id = r.session_id
+    JOIN players p ON p.id = r.player_id
+    WHERE s.league_id = $1 AND r.status = 'completed'`;
+  if (seasonId) {
+    params.push(seasonId);
+    sql += ` AND s.season_id = $${params.length}`;
+  }
+  if (cutoff) {
+    params.push(cutoff);
+    sql += ` AND ${PLAYED_AT} <= $${params.length}`;
+  }
+
+  const results = await query(sql, params);
+  const sessions = new Set(results.rows.map(row => row.session_id));
+  const lastPlayed = results.rows.reduce((latest, row) => (!latest || row.played_at > latest ? row.played_at : latest), null);
+
+  return {
+    league: { id: league.rows[0].id, name: league.rows[0].name },
+    season_id: seasonId,
+    as_of: cutoff ? cutoff.toISOString() : null,
+    points_config: config,
+    sessions: sessions.size,
+    last_played_at: lastPlayed,
+    standings: computeStandings(results.rows, config),
+  };
+}
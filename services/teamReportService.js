@@ -0,0 +1,315 @@
+/**
+ * Team Report Service
+ * Team standings and team-vs-team records built from completed player_results
+ *
+ * Results count for the team the player was on when they were recorded
+ * (player_results.team_id, set by a trigger; see db/migrations/0010_result_teams.up.sql).
+ * In each session, teams are ranked by the average final_rank of their
+ * players, then by their best player's rank; the best-ranked team wins the
+ * session, and teams still level share a rank (and a win).
+ */
+
+import { query } from '../db/index.js';
+import { httpError } from '../utils/httpError.js';
+import { PLAYED_AT, average, round } from '../utils/stats.js';
+import { asOfCutoff } from './standingsService.js';
+import { assertLeagueSeason } from './seasonService.js';
+
+/**
+ * Bounds of a date range: a bare date (YYYY-MM-DD) as `from` starts that day and as `to` includes that whole day (UTC)
+ * @param {object} range - { from, to } dates or date-times
+ * @returns {object} { start, end } Dates (null when open)
+ * @throws {Error} 400 if from is after to
+ */
+export function dateRange({ from = null, to = null } = {}) {
+  const start = from ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(from) ? `${from}T00:00:00Z` : from) : null;
+  const end = asOfCutoff(to);
+  if (start && end && start > end) {
+    throw httpError('from must not be after to', 400);
+  }
+  return { start, end };
+}
+
+function compareSessionTeams(a, b) {
+  if (a.rankSum / a.ranks !== b.rankSum / b.ranks) return a.rankSum / a.ranks - b.rankSum / b.ranks;
+  return a.best_rank - b.best_rank;
+}
+
+/**
+ * Each team's showing in each session
+ * @param {array} rows - Results with session_id, played_at, team_id, team, player_id, final_rank, accuracy
+ * @returns {array} { session_id, played_at, team_id, team, players, team_rank, best_rank, average_rank, average_accuracy },
+ *   in session order then team_rank
+ */
+export function rankTeamsBySession(rows) {
+  const sessions = new Map();
+
+  for (const row of rows) {
+    if (!sessions.has(row.session_id)) {
+      sessions.set(row.session_id, { played_at: row.played_at, teams: new Map() });
+    }
+    const teams = sessions.get(row.session_id).teams;
+    if (!teams.has(row.team_id)) {
+      teams.set(row.team_id, { team_id: row.team_id, team: row.team, players: 0, rankSum: 0, ranks: 0, best_rank: null, accuracies: [] });
+    }
+    const entry = teams.get(row.team_id);
+    entry.players += 1;
+    if (row.final_rank != null) {
+      entry.rankSum += row.final_rank;
+      entry.ranks += 1;
+      entry.best_rank = entry.best_rank == null ? row.final_rank : Math.min(entry.best_rank, row.final_rank);
+    }
+    if (row.accuracy != null) entry.accuracies.push(Number(row.accuracy));
+  }
+
+  const entries = [];
+  const ordered = [...sessions.entries()].sort(([, a], [, b]) => new Date(a.played_at) - new Date(b.played_at));
+
+  for (const [sessionId, session] of ordered) {
+    // Teams without a ranked player cannot place
+    const ranked = [...session.teams.values()].filter(team => team.ranks > 0).sort(compareSessionTeams);
+    ranked.forEach((team, index) => {
+      const previous = ranked[index - 1];
+      team.team_rank = previous && compareSessionTeams(previous, team) === 0 ? previous.team_rank : index + 1;
+    });
+
+    for (const team of [...ranked, ...[...session.teams.values()].filter(team => team.ranks === 0)]) {
+      entries.push({
+        session_id: sessionId,
+        played_at: session.played_at,
+        team_id: team.team_id,
+        team: team.team,
+        players: team.players,
+        team_rank: team.team_rank ?? null,
+        best_rank: team.best_rank,
+        average_rank: team.ranks > 0 ? round(team.rankSum / team.ranks) : null,
+        average_accuracy: round(average(team.accuracies)),
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Totals for one team over a period
+ * @param {array} rows - Results (see rankTeamsBySession) of the team's players
+ * @param {array} sessionEntries - The team's entries from rankTeamsBySession()
+ * @returns {object} { team_id, team, sessions, players, wins, podiums, best_finish, average_team_rank, average_rank, average_accuracy }
+ */
+function summarizeTeam(rows, sessionEntries) {
+  const teamRanks = sessionEntries.map(entry => entry.team_rank).filter(rank => rank != null);
+  const ranks = rows.map(row => row.final_rank).filter(rank => rank != null);
+  const accuracies = rows.filter(row => row.accuracy != null).map(row => Number(row.accuracy));
+
+  return {
+    team_id: sessionEntries[0].team_id,
+    team: sessionEntries[0].team,
+    sessions: sessionEntries.length,
+    players: new Set(rows.map(row => row.player_id)).size,
+    wins: teamRanks.filter(rank => rank === 1).length,
+    podiums: teamRanks.filter(rank => rank <= 3).length,
+    best_finish: teamRanks.length > 0 ? Math.min(...teamRanks) : null,
+    average_team_rank: round(average(teamRanks)),
+    average_rank: round(average(ranks)),
+    average_accuracy: round(average(accuracies)),
+  };
+}
+
+function summarizeTeams(rows) {
+  const entries = rankTeamsBySession(rows);
+  const teams = new Map();
+  for (const entry of entries) {
+    if (!teams.has(entry.team_id)) teams.set(entry.team_id, { rows: [], entries: [] });
+    teams.get(entry.team_id).entries.push(entry);
+  }
+  for (const row of rows) {
+    teams.get(row.team_id).rows.push(row);
+  }
+  return { entries, teams: new Map([...teams].map(([id, team]) => [id, summarizeTeam(team.rows, team.entries)])) };
+}
+
+function compareTeamStandings(a, b) {
+  if (a.wins !== b.wins) return b.wins - a.wins;
+  for (const field of ['average_team_rank', 'average_rank']) {
+    if (a[field] === b[field]) continue;
+    if (a[field] == null) return 1;
+    if (b[field] == null) return -1;
+    return a[field] - b[field];
+  }
+  return (b.average_accuracy ?? -1) - (a.average_accuracy ?? -1);
+}
+
+/**
+ * Build a team standings table from completed results
+ * @param {array} rows - Results (see rankTeamsBySession)
+ * @returns {array} Teams by wins, then average team rank, average player rank and accuracy;
+ *   teams level on all of them share a position
+ */
+export function computeTeamStandings(rows) {
+  const standings = [...summarizeTeams(rows).teams.values()];
+
+  standings.sort((a, b) => compareTeamStandings(a, b) || String(a.team).localeCompare(String(b.team)));
+
+  standings.forEach((team, index) => {
+    const previous = standings[index - 1];
+    team.position = previous && compareTeamStandings(previous, team) === 0 ? previous.position : index + 1;
+  });
+
+  return standings.map(({ position, ...team }) => ({ position, ...team }));
+}
+
+/**
+ * Compare two teams over the sessions both played
+ * @param {array} rows - Results (see rankTeamsBySession) of every team in the sessions either team played
+ * @param {string} teamA - teams.id
+ * @param {string} teamB - teams.id
+ * @returns {object} { team_a, team_b, head_to_head } (team_a and team_b are null if the team played no session)
+ */
+export function computeHeadToHead(rows, teamA, teamB) {
+  const { entries, teams } = summarizeTeams(rows);
+
+  const bySession = new Map();
+  for (const entry of entries) {
+    if (entry.team_id !== teamA && entry.team_id !== teamB) continue;
+    if (!bySession.has(entry.session_id)) bySession.set(entry.session_id, {});
+    bySession.get(entry.session_id)[entry.team_id === teamA ? 'a' : 'b'] = entry;
+  }
+
+  const pick = ({ players, team_rank, average_rank, average_accuracy }) => ({ players, team_rank, average_rank, average_accuracy });
+  const meetings = [...bySession.values()]
+    .filter(({ a, b }) => a && b)
+    .map(({ a, b }) => {
+      let winner = null;
+      if (a.team_rank != null && (b.team_rank == null || a.team_rank < b.team_rank)) winner = 'a';
+      else if (b.team_rank != null && (a.team_rank == null || b.team_rank < a.team_rank)) winner = 'b';
+      return { session_id: a.session_id, played_at: a.played_at, winner, team_a: pick(a), team_b: pick(b) };
+    });
+
+  return {
+    team_a: teams.get(teamA) || null,
+    team_b: teams.get(teamB) || null,
+    head_to_head: {
+      meetings: meetings.length,
+      team_a_wins: meetings.filter(meeting => meeting.winner === 'a').length,
+      team_b_wins: meetings.filter(meeting => meeting.winner === 'b').length,
+      draws: meetings.filter(meeting => meeting.winner === null).length,
+      sessions: meetings,
+    },
+  };
+}
+
+const RESULT_SELECT = `
+  SELECT r.session_id, ${PLAYED_AT} AS played_at,
+    t.id AS team_id, t.name AS team, r.player_id, r.final_rank, r.accuracy
+  FROM player_results r
+  JOIN game_sessions s ON s.id = r.session_id
+  JOIN teams t ON t.id = r.team_id
+  WHERE r.status = 'completed'`;
+
+function addRange(sql, params, { start, end }) {
+  if (start) {
+    params.push(start);
+    sql += ` AND ${PLAYED_AT} >= $${params.length}`;
+  }
+  if (end) {
+    params.push(end);
+    sql += ` AND ${PLAYED_AT} <= $${params.length}`;
+  }
+  return sql;
+}
+
+/**
+ * Team standings for a league
+ * @param {string} leagueId - leagues.id
+ * @param {object} options - { seasonId } only count sessions in that season;
+ *   { from, to } only count games played in that range
+ * @returns {Promise<object|null>} { league, season_id, from, to, sessions, standings },
+ *   or null if the league does not exist
+ * @throws {Error} 400 if from is after to, 404 if the season is not one of the league's
+ */
+export async function getTeamStandings(leagueId, { seasonId = null, from = null, to = null } = {}) {
+  const range = dateRange({ from, to });
+
+  const league = await query('SELECT id, name FROM leagues WHERE id = $1', [leagueId]);
+  if (league.rows.length === 0) {
+    return null;
+  }
+
+  if (seasonId) {
+    await assertLeagueSeason(seasonId, leagueId);
+  }
+
+  const params = [leagueId];
+  let sql = `${RESULT_SELECT} AND s.league_id = $1`;
+  if (seasonId) {
+    params.push(seasonId);
+    sql += ` AND s.season_id = $${params.length}`;
+  }
+  sql = addRange(sql, params, range);
+
+  const results = await query(sql, params);
+
+  return {
+    league: league.rows[0],
+    season_id: seasonId,
+    from: range.start ? range.start.toISOString() : null,
+    to: range.end ? range.end.toISOString() : null,
+    sessions: new Set(results.rows.map(row => row.session_id)).size,
+    standings: computeTeamStandings(results.rows),
+  };
+}
+
+/**
+ * Compare two teams
+ * @param {string} teamA - teams.id
+ * @param {string} teamB - teams.id
+ * @param {object} options - { leagueId } only count that league's sessions;
+ *   { from, to } only count games played in that range
+ * @returns {Promise<object>} { league_id, from, to, team_a, team_b, head_to_head }
+ * @throws {Error} 400 if the teams are the same or from is after to, 404 if a team does not exist
+ */
+export async function getTeamComparison(teamA, teamB, { leagueId = null, from = null, to = null } = {}) {
+  // pg returns ids in lower case
+  [teamA, teamB] = [teamA.toLowerCase(), teamB.toLowerCase()];
+  if (teamA === teamB) {
+    throw httpError('Choose two different teams', 400);
+  }
+  const range = dateRange({ from, to });
+
+  const teams = await query('SELECT id, name FROM teams WHERE id = ANY($1::uuid[])', [[teamA, teamB]]);
+  if (teams.rows.length < 2) {
+    throw httpError('Team not found', 404);
+  }
+
+  // Every team's results in the sessions either team played, so teams can be ranked per session
+  const params = [[teamA, teamB]];
+  let sql = `${RESULT_SELECT}
+    AND r.session_id IN (
+      SELECT r2.session_id FROM player_results r2
+      WHERE r2.team_id = ANY($1::uuid[]) AND r2.status = 'completed'
+    )`;
+  if (leagueId) {
+    params.push(leagueId);
+    sql += ` AND s.league_id = $${params.length}`;
+  }
+  sql = addRange(sql, params, range);
+
+  const results = await query(sql, params);
+  const comparison = computeHeadToHead(results.rows, teamA, teamB);
+  const empty = id => ({
+    team_id: id,
+    team: teams.rows.find(team => team.id === id).name,
+    sessions: 0, players: 0, wins: 0, podiums: 0,
+    best_finish: null, average_team_rank: null, average_rank: null, average_accuracy: null,
+  });
+
+  return {
+    league_id: leagueId,
+    from: range.start ? range.start.toISOString() : null,
+    to: range.end ? range.end.toISOString() : null,
+    team_a: comparison.team_a || empty(teamA),
+    team_b: comparison.team_b || empty(teamB),
+    head_to_head: comparison.head_to_head,
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Team Service
+ * Resolves team names from spreadsheets and the API to rows in the teams table
+ *
+ * Names match on a key that ignores case, punctuation and spacing, so
+ * "St. Louis Blues", "st louis blues" and "St Louis  Blues" are one team.
+ * Keys are unique within a league (and among teams without one), so two
+ * leagues can each have their own "Red". players.team is kept equal to the
+ * linked team's name.
+ */
+
+import { query } from '../db/index.js';
+
+/**
+ * Matching key for a team name; mirrors team_key() in db/migrations/0008_teams.up.sql
+ * @param {string|null} name - Team name as written
+ * @returns {string} Key ('' when the name has no letters or digits)
+ */
+export function teamKey(name) {
+  return String(name ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Find the league's team a name refers to, creating it if there is none
+ * @param {string|null} name - Team name as written
+ * @param {object} options - { leagueId } to look in (null for teams without a league); { tx } to run inside a transaction
+ * @returns {Promise<object|null>} teams row, or null for an empty name
+ */
+export async function resolveTeam(name, { leagueId = null, tx = null } = {}) {
+  if (!teamKey(name)) {
+    return null;
+  }
+
+  // Teams without a league are unique through a partial index, not the (league_id, name_key) constraint
+  const conflictTarget = leagueId ? '(league_id, name_key)' : '(name_key) WHERE league_id IS NULL';
+
+  // The no-op update makes RETURNING give back the existing row on conflict
+  const result = await (tx || { query }).query(
+    `INSERT INTO teams (name, name_key, league_id)
+     VALUES ($1, team_key($1), $2)
+     ON CONFLICT ${conflictTarget} DO UPDATE SET name_key = EXCLUDED.name_key
+     RETURNING *`,
+    [name.trim(), leagueId]
+  );
+  return result.rows[0];
+}
@@ -3,12 +3,17 @@ const API_BASE =
   process.env.NEXT_PUBLIC_API_URL ||
   'https://trivia-bots-admin-backend.onrender.com/api';
 
+// Service token for bot runners (create one with POST /api/auth/keys, role "service")
+const API_TOKEN = process.env.ADMIN_API_TOKEN;
+
 async function fetchAPI(endpoint, options = {}) {
   const url = `${API_BASE}${endpoint}`;
   const response = await fetch(url, {
     ...options,
     headers: {
-      'Content-Type': 'application/json',
+      // fetch sets the multipart boundary itself for FormData bodies
+      ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+      ...(API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {}),
       ...(options.headers || {}),
     },
   });
@@ -28,19 +33,55 @@ async function fetchAPI(endpoint, options = {}) {
   return text ? JSON.parse(text) : null;
 }
 
+// List endpoints return { data, total, page, pageSize, totalPages, sort, order, nextCursor }
+function appendPagination(query, params) {
+  for (const key of ['page', 'pageSize', 'sort', 'order', 'cursor']) {
+    if (params?.[key] !== undefined && params[key] !== null) query.append(key, String(params[key]));
+  }
+  return query;
+}
+
 export const playersAPI = {
   getAll: (params) => {
     const query = new URLSearchParams();
     if (params?.league_id) query.append('league_id', params.league_id);
     if (params?.active !== undefined) query.append('active', String(params.active));
     if (params?.team) query.append('team', params.team);
+    if (params?.team_id) query.append('team_id', params.team_id);
+    if (params?.missing !== undefined) query.append('missing', String(params.missing));
+    appendPagination(query, params);
     return fetchAPI(`/players?${query.toString()}`);
   },
   getById: (id) => fetchAPI(`/players/${id}`),
-  sync: (dryRun = false) =>
+  // Results with rolling accuracy plus career, per-league and weekly stats
+  getHistory: (id, params) => {
+    const query = new URLSearchParams();
+    if (params?.league_id) query.append('league_id', params.league_id);
+    if (params?.window) query.append('window', String(params.window));
+    return fetchAPI(`/players/${id}/history?${query.toString()}`);
+  },
+  // missingPolicy: deactivate, flag or ignore players the sheet no longer lists
+  sync: (dryRun = false, missingPolicy) =>
     fetchAPI('/players/sync', {
       method: 'POST',
-      body: JSON.stringify({ dryRun }),
+      body: JSON.stringify({ dryRun, missing_policy: missingPolicy }),
+    }),
+  // Upload a roster (.xlsx, .xls or .csv) and get the preview; apply it with confirmImport
+  uploadSync: (buffer, filename, missingPolicy) => {
+    const form = new FormData();
+    form.append('file', new Blob([buffer]), filename);
+    if (missingPolicy) form.append('missing_policy', missingPolicy);
+    return fetchAPI('/players/sync/upload', { method: 'POST', body: form });
+  },
+  getImport: (importId) => fetchAPI(`/players/sync/imports/${importId}`),
+  confirmImport: (importId, missingPolicy) =>
+    fetchAPI(`/players/sync/imports/${importId}/confirm`, {
+      method: 'POST',
+      body: JSON.stringify({ missing_policy: missingPolicy }),
+    }),
+  discardImport: (importId) =>
+    fetchAPI(`/players/sync/imports/${importId}`, {
+      method: 'DELETE',
     }),
   update: (id, data) =>
     fetchAPI(`/players/${id}`, {
@@ -67,11 +108,11 @@ export const sessionsAPI = {
     const query = new URLSearchParams();
     if (params?.status) query.append('status', params.status);
     if (params?.league_id) query.append('league_id', params.league_id);
-    if (params?.limit) query.append('limit', String(params.limit));
-    if (params?.offset) query.append('offset', String(params.offset));
+    if (params?.season_id) query.append('season_id', params.season_id);
     if (params?.search) query.append('search', params.search);
     if (params?.start_from) query.append('start_from', params.start_from);
     if (params?.start_to) query.append('start_to', params.start_to);
+    appendPagination(query, params);
     return fetchAPI(`/sessions?${query.toString()}`);
   },
   getById: (id) => fetchAPI(`/sessions/${id}`),
@@ -98,12 +139,32 @@ export const sessionsAPI = {
       method: 'POST',
       body: JSON.stringify(data),
     }),
-  getPlayerResults: (limit = 50) => fetchAPI(`/player-results?limit=${limit}`),
+  getPlayerResults: (params) => {
+    const query = new URLSearchParams();
+    if (params?.session_id) query.append('session_id', params.session_id);
+    appendPagination(query, params);
+    return fetchAPI(`/player-results?${query.toString()}`);
+  },
 };
 
 export const leaguesAPI = {
-  getAll: () => fetchAPI('/leagues'),
+  getAll: (params) => fetchAPI(`/leagues?${appendPagination(new URLSearchParams(), params).toString()}`),
   getById: (id) => fetchAPI(`/leagues/${id}`),
+  // asOf: date or date-time; standings count only games played up to then
+  getStandings: (id, asOf, seasonId) => {
+    const query = new URLSearchParams();
+    if (seasonId) query.append('season_id', seasonId);
+    if (asOf) query.append('as_of', asOf);
+    return fetchAPI(`/leagues/${id}/standings?${query.toString()}`);
+  },
+  // params: { season_id, from, to }
+  getTeamStandings: (id, params) => {
+    const query = new URLSearchParams();
+    if (params?.season_id) query.append('season_id', params.season_id);
+    if (params?.from) query.append('from', params.from);
+    if (params?.to) query.append('to', params.to);
+    return fetchAPI(`/leagues/${id}/teams/standings?${query.toString()}`);
+  },
   create: (data) =>
     fetchAPI('/leagues', {
       method: 'POST',
@@ -120,29 +181,86 @@ export const leaguesAPI = {
     }),
 };
 
+export const seasonsAPI = {
+  getAll: (leagueId) => fetchAPI(`/seasons${leagueId ? `?league_id=${leagueId}` : ''}`),
+  getById: (id) => fetchAPI(`/seasons/${id}`),
+  create: (data) =>
+    fetchAPI('/seasons', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+  update: (id, data) =>
+    fetchAPI(`/seasons/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+  delete: (id) =>
+    fetchAPI(`/seasons/${id}`, {
+      method: 'DELETE',
+    }),
+};
+
+export const teamsAPI = {
+  // name matches any spelling of a team name; search matches part of it
+  getAll: (params) => {
+    const query = new URLSearchParams();
+    if (params?.league_id) query.append('league_id', params.league_id);
+    if (params?.name) query.append('name', params.name);
+    if (params?.search) query.append('search', params.search);
+    appendPagination(query, params);
+    return fetchAPI(`/teams?${query.toString()}`);
+  },
+  getById: (id) => fetchAPI(`/teams/${id}`),
+  // params: { league_id, from, to }
+  compare: (teamA, teamB, params) => {
+    const query = new URLSearchParams();
+    if (params?.league_id) query.append('league_id', params.league_id);
+    if (params?.from) query.append('from', params.from);
+    if (params?.to) query.append('to', params.to);
+    return fetchAPI(`/teams/${teamA}/vs/${teamB}?${query.toString()}`);
+  },
+  create: (data) =>
+    fetchAPI('/teams', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+  update: (id, data) =>
+    fetchAPI(`/teams/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+  delete: (id) =>
+    fetchAPI(`/teams/${id}`, {
+      method: 'DELETE',
+    }),
+};
+
 export const gptAPI = {
   analyzeGame: (sessionId) =>
     fetchAPI(`/gpt/analyze-game/${sessionId}`, {
       method: 'POST',
     }),
-  analyzeWeekly: (sessionIds, leagueId) =>
+  // Pass null sessionIds with a seasonId to compare every session of the season
+  analyzeWeekly: (sessionIds, leagueId, seasonId) =>
     fetchAPI('/gpt/analyze-weekly', {
       method: 'POST',
-      body: JSON.stringify({ session_ids: sessionIds, league_id: leagueId }),
+      body: JSON.stringify({ session_ids: sessionIds || undefined, league_id: leagueId, season_id: seasonId }),
     }),
   generateSponsorScript: (sessionId, sponsorName) =>
     fetchAPI(`/gpt/sponsor-script/${sessionId}`, {
       method: 'POST',
       body: JSON.stringify({ sponsor_name: sponsorName }),
     }),
-  getContent: (sessionId, contentType) => {
-    const query = contentType ? `?content_type=${contentType}` : '';
-    return fetchAPI(`/gpt/content/${sessionId}${query}`);
+  getContent: (sessionId, contentType, params) => {
+    const query = new URLSearchParams();
+    if (contentType) query.append('content_type', contentType);
+    appendPagination(query, params);
+    return fetchAPI(`/gpt/content/${sessionId}?${query.toString()}`);
   },
-  getRecent: (limit = 20, contentType) => {
+  getRecent: (contentType, params) => {
     const query = new URLSearchParams();
-    query.append('limit', String(limit));
     if (contentType) query.append('content_type', contentType);
+    appendPagination(query, params);
     return fetchAPI(`/gpt/recent?${query.toString()}`);
   },
 };
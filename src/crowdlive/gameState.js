@@ -28,10 +28,10 @@ export const GameStates = {
  * Game State Manager
  */
 export class GameStateManager {
-  constructor(page, profile) {
+  constructor(page, profile, sessionId = null) {
     this.page = page;
     this.profile = profile;
-    this.logger = createPlayerLogger(profile.id);
+    this.logger = createPlayerLogger(profile.id, sessionId);
     this.currentState = GameStates.UNKNOWN;
     this.previousState = null;
     this.questionNumber = 0;
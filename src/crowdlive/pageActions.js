@@ -12,10 +12,10 @@ import { createPlayerLogger } from '../utils/logger.js';
  * Page Actions class for interacting with Crowd.live
  */
 export class PageActions {
-  constructor(page, profile) {
+  constructor(page, profile, sessionId = null) {
     this.page = page;
     this.profile = profile;
-    this.logger = createPlayerLogger(profile.id);
+    this.logger = createPlayerLogger(profile.id, sessionId);
   }
 
   /**
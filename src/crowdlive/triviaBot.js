@@ -26,7 +26,7 @@ export class TriviaBot {
       ...options,
     };
 
-    this.logger = createPlayerLogger(profile.id);
+    this.logger = createPlayerLogger(profile.id, this.options.sessionId);
     this.browser = null;
     this.context = null;
     this.page = null;
@@ -64,8 +64,15 @@ export class TriviaBot {
     // Set up error handlers for auto-recovery
     this.setupErrorHandlers();
 
-    this.pageActions = new PageActions(this.page, this.profile);
-    this.stateManager = new GameStateManager(this.page, this.profile);
+    this.pageActions = new PageActions(this.page, this.profile, this.options.sessionId);
+    this.stateManager = new GameStateManager(this.page, this.profile, this.options.sessionId);
+    this.stateManager.onStateChange((state, previousState) => {
+      this.emitTelemetry('state', {
+        state,
+        previousState,
+        questionNumber: this.stateManager.questionNumber,
+      });
+    });
 
     // Reset behavior engine state for this player
     behaviorEngine.resetPlayer(this.profile);
@@ -73,6 +80,23 @@ export class TriviaBot {
     this.logger.info('Bot initialized');
   }
 
+  /**
+   * Publish a live telemetry event (if a session event emitter was provided)
+   * @param {string} type - Event type (state, question, ranking)
+   * @param {object} data - Event payload
+   */
+  emitTelemetry(type, data = {}) {
+    if (!this.options.events) return;
+
+    this.options.events.emit('telemetry', {
+      type,
+      playerId: this.profile.id,
+      nickname: this.profile.nickname,
+      timestamp: new Date().toISOString(),
+      ...data,
+    });
+  }
+
   /**
    * Set up error handlers for auto-recovery
    */
@@ -346,6 +370,16 @@ export class TriviaBot {
 
     if (options.length === 0) {
       this.logger.warn('No answer options found - skipping');
+      this.emitTelemetry('question', {
+        questionNumber: this.questionNumber,
+        question: questionText,
+        questionType,
+        answer: null,
+        submitted: false,
+        correct: null,
+        questionsAnswered: this.gameResults.questionsAnswered,
+        correctAnswers: this.gameResults.correctAnswers,
+      });
       await sleep(2000);
       await this.waitAndLogRanking();
       return;
@@ -397,12 +431,33 @@ export class TriviaBot {
         this.logger.info(`RESULT: ? (could not determine)`);
       }
 
+      this.emitTelemetry('question', {
+        questionNumber: this.questionNumber,
+        question: questionText,
+        questionType,
+        answer: answerText,
+        submitted: true,
+        correct: wasCorrect ?? null,
+        questionsAnswered: this.gameResults.questionsAnswered,
+        correctAnswers: this.gameResults.correctAnswers,
+      });
+
       // 19. Show the ranking
       await this.waitAndLogRanking();
 
     } else {
       this.logger.error(`ANSWERED: FAILED TO SUBMIT`);
       this.logger.info(`RESULT: ✗ NO ANSWER SUBMITTED`);
+      this.emitTelemetry('question', {
+        questionNumber: this.questionNumber,
+        question: questionText,
+        questionType,
+        answer: answerText,
+        submitted: false,
+        correct: null,
+        questionsAnswered: this.gameResults.questionsAnswered,
+        correctAnswers: this.gameResults.correctAnswers,
+      });
       await sleep(2000);
       await this.waitAndLogRanking();
     }
@@ -454,6 +509,14 @@ export class TriviaBot {
         this.logger.info(`RANKING: (waiting for next question...)`);
       }
 
+      if (rank || points) {
+        this.emitTelemetry('ranking', {
+          questionNumber: this.questionNumber,
+          rank: rank ? parseInt(rank) : null,
+          points: points ? parseInt(points) : null,
+        });
+      }
+
     } catch (e) {
       this.logger.info(`RANKING: (page loading...)`);
     }
@@ -7,6 +7,7 @@
 import 'dotenv/config';
 import { GameSession } from './orchestrator/gameSession.js';
 import { excelLoader } from './players/excelLoader.js';
+import { loadApiPlayers } from './players/apiPlayerLoader.js';
 import logger from './utils/logger.js';
 import config from './config/default.js';
 
@@ -31,7 +32,7 @@ async function main() {
 }
 
 /**
- * Run a game with players from Excel file
+ * Run a game with players from the admin API (Excel file if it cannot be reached)
  * @param {array} args - Command arguments
  */
 async function runGame(args) {
@@ -43,12 +44,18 @@ async function runGame(args) {
   logger.info(`Max players: ${playerLimit}`);
 
   try {
-    // Load players from Excel file
-    logger.info('Loading players from Excel file...');
-    const players = excelLoader.loadPlayers({ limit: playerLimit });
+    // Stored profiles keep each player's behavior the same from game to game
+    logger.info('Loading players from the admin API...');
+    let players;
+    try {
+      players = await loadApiPlayers({ limit: playerLimit });
+    } catch (error) {
+      logger.warn(`Could not load players from the admin API (${error.message}), using src/data/players.xlsx`);
+      players = excelLoader.loadPlayers({ limit: playerLimit });
+    }
 
     if (players.length === 0) {
-      logger.error('No players loaded. Check src/data/players.xlsx');
+      logger.error('No players loaded. Check the players table or src/data/players.xlsx');
       process.exit(1);
     }
 
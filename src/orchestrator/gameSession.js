@@ -4,6 +4,7 @@
  * Coordinates a complete trivia game session with multiple players.
  */
 
+import { EventEmitter } from 'events';
 import PlayerPool from './playerPool.js';
 import { resultsWriter } from '../players/resultsWriter.js';
 import logger from '../utils/logger.js';
@@ -23,7 +24,7 @@ async function getSessionService() {
     }
 
     try {
-      const { saveSessionToDatabase, updateSessionStatus } = await import('../../admin/backend/services/sessionService.js');
+      const { saveSessionToDatabase, updateSessionStatus } = await import('../../services/sessionService.js');
       logger.info('Database integration enabled');
       return { saveSessionToDatabase, updateSessionStatus };
     } catch (error) {
@@ -43,12 +44,20 @@ export class GameSession {
     this.gameUrl = options.gameUrl || config.game.url;
     this.players = options.players || [];
     this.pool = null;
-    this.sessionId = `session-${Date.now()}`;
+    this.sessionId = options.sessionId || `session-${Date.now()}`;
     this.startTime = null;
     this.saveResults = options.saveResults ?? true;
     this.league = options.league || 'Unknown';
+    this.leagueId = options.leagueId || null;
+    this.scheduledGameId = options.scheduledGameId || null; // scheduled_games.id for scheduled runs
     this.endTime = null;
-    this.status = 'idle'; // idle, initializing, running, completed, failed
+    this.status = 'idle'; // idle, initializing, running, completed, failed, stopped
+
+    // Live telemetry: 'telemetry' events from bots, 'status' events from the session
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.liveState = new Map(); // playerId -> latest telemetry snapshot
+    this.events.on('telemetry', event => this.updateLiveState(event));
 
     this.options = {
       maxConcurrent: options.maxConcurrent || config.browser.maxConcurrent,
@@ -98,6 +107,22 @@ export class GameSession {
     this.pool = new PlayerPool({
       maxConcurrent: this.options.maxConcurrent,
       headless: this.options.headless,
+      events: this.events,
+      sessionId: this.sessionId,
+    });
+
+    this.players.forEach(player => {
+      this.liveState.set(player.id, {
+        playerId: player.id,
+        nickname: player.nickname,
+        state: 'idle',
+        questionNumber: 0,
+        questionsAnswered: 0,
+        correctAnswers: 0,
+        rank: null,
+        points: null,
+        updatedAt: null,
+      });
     });
 
     // Add players to pool
@@ -125,6 +150,7 @@ export class GameSession {
 
     this.status = 'running';
     this.startTime = new Date();
+    this.emitStatus();
     logger.info(`Starting session ${this.sessionId} at ${this.startTime.toISOString()}`);
     logger.info(`Game URL: ${this.gameUrl}`);
     logger.info(`Players: ${this.players.length}`);
@@ -137,6 +163,8 @@ export class GameSession {
           start_time: this.startTime,
           game_url: this.gameUrl,
           total_players: this.players.length,
+          league_id: this.leagueId,
+          scheduled_game_id: this.scheduledGameId,
         });
       } catch (error) {
         logger.debug(`Failed to update session status in database: ${error.message}`);
@@ -149,14 +177,19 @@ export class GameSession {
         maxConcurrent: this.options.maxConcurrent,
       });
 
-      this.endTime = new Date();
-      this.status = 'completed';
+      // A stopped session keeps its status; the pool resolves once bots are torn down
+      if (this.status !== 'stopped') {
+        this.endTime = new Date();
+        this.status = 'completed';
+        this.emitStatus();
+      }
 
       const duration = (this.endTime - this.startTime) / 1000;
       logger.info(`Session completed in ${duration.toFixed(1)} seconds`);
 
       const sessionResults = {
         sessionId: this.sessionId,
+        status: this.status,
         gameUrl: this.gameUrl,
         startTime: this.startTime,
         endTime: this.endTime,
@@ -187,6 +220,8 @@ export class GameSession {
         try {
           await sessionService.saveSessionToDatabase(sessionResults, {
             league: this.league,
+            league_id: this.leagueId,
+            scheduled_game_id: this.scheduledGameId,
           });
           logger.info(`Results saved to database`);
         } catch (dbError) {
@@ -198,6 +233,7 @@ export class GameSession {
     } catch (error) {
       this.status = 'failed';
       this.endTime = new Date();
+      this.emitStatus();
       logger.error(`Session failed: ${error.message}`);
 
       // Update database status on failure
@@ -222,12 +258,57 @@ export class GameSession {
   async stop() {
     logger.info(`Stopping session ${this.sessionId}`);
 
+    // Mark the session stopped first so start() does not complete it while bots are torn down
+    this.status = this.status === 'running' ? 'stopped' : this.status;
+    this.endTime = new Date();
+    this.emitStatus();
+
     if (this.pool) {
       await this.pool.stopAll();
     }
+  }
 
-    this.status = this.status === 'running' ? 'stopped' : this.status;
-    this.endTime = new Date();
+  /**
+   * Publish the current session status to live listeners
+   */
+  emitStatus() {
+    this.events.emit('status', this.getStatus());
+  }
+
+  /**
+   * Merge a bot telemetry event into the per-player live state
+   * @param {object} event - Telemetry event from TriviaBot
+   */
+  updateLiveState(event) {
+    const current = this.liveState.get(event.playerId) || {
+      playerId: event.playerId,
+      nickname: event.nickname,
+    };
+    const next = { ...current, updatedAt: event.timestamp };
+
+    if (event.type === 'state') {
+      next.state = event.state;
+      next.questionNumber = event.questionNumber;
+    } else if (event.type === 'question') {
+      next.questionNumber = event.questionNumber;
+      next.lastAnswer = event.answer;
+      next.lastCorrect = event.correct;
+      next.questionsAnswered = event.questionsAnswered;
+      next.correctAnswers = event.correctAnswers;
+    } else if (event.type === 'ranking') {
+      next.rank = event.rank ?? current.rank ?? null;
+      next.points = event.points ?? current.points ?? null;
+    }
+
+    this.liveState.set(event.playerId, next);
+  }
+
+  /**
+   * Get the latest live state of every bot
+   * @returns {array} Per-player live state
+   */
+  getLiveSnapshot() {
+    return Array.from(this.liveState.values());
   }
 
   /**
@@ -17,6 +17,8 @@ export class PlayerPool {
   constructor(options = {}) {
     this.maxConcurrent = options.maxConcurrent || config.browser.maxConcurrent;
     this.headless = options.headless ?? config.browser.headless;
+    this.events = options.events || null; // Session telemetry emitter, passed to each bot
+    this.sessionId = options.sessionId || null; // Tags each bot's logs
     this.bots = new Map();        // playerId -> TriviaBot
     this.activeBots = new Set();  // Set of active player IDs
     this.results = new Map();     // playerId -> game results
@@ -35,6 +37,8 @@ export class PlayerPool {
 
     const bot = new TriviaBot(profile, {
       headless: this.headless,
+      events: this.events,
+      sessionId: this.sessionId,
     });
 
     this.bots.set(profile.id, bot);
@@ -0,0 +1,56 @@
+/**
+ * Admin API Player Loader
+ *
+ * Loads active players, with their stored behavior profiles, through the
+ * admin API so bots behave the same from one game to the next
+ */
+
+import { playersAPI } from '../adminApiClient.js';
+import { profileFromDatabaseRow } from './playerSchema.js';
+
+// Largest page the API serves (see utils/pagination.js)
+const PAGE_SIZE = 500;
+
+/**
+ * Load active players from the admin API
+ * @param {object} options - { limit, team, teamId } (team matches any spelling of the name)
+ * @returns {Promise<array>} Player profiles, by nickname
+ */
+export async function loadApiPlayers({ limit = 50, team = null, teamId = null } = {}) {
+  const players = [];
+  let cursor = null;
+
+  do {
+    const page = await playersAPI.getAll({
+      active: true,
+      team: team || undefined,
+      team_id: teamId || undefined,
+      sort: 'nickname',
+      pageSize: Math.min(PAGE_SIZE, limit - players.length),
+      cursor,
+    });
+    players.push(...page.data.map(profileFromDatabaseRow));
+    cursor = page.nextCursor;
+  } while (cursor && players.length < limit);
+
+  return players;
+}
+
+/**
+ * Load active players from the admin API grouped by team
+ * @param {object} options - { limit }
+ * @returns {Promise<object>} Team name (or 'Unassigned') to player profiles
+ */
+export async function loadApiPlayersByTeam({ limit = 500 } = {}) {
+  const teams = {};
+  for (const player of await loadApiPlayers({ limit })) {
+    const teamName = player.team || 'Unassigned';
+    (teams[teamName] ||= []).push(player);
+  }
+  return teams;
+}
+
+export default {
+  loadApiPlayers,
+  loadApiPlayersByTeam,
+};
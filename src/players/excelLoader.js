@@ -46,6 +46,25 @@ export class ExcelLoader {
     }
   }
 
+  /**
+   * Load a workbook from memory (e.g. an uploaded .xlsx, .xls or .csv file)
+   * @param {Buffer} buffer - File contents
+   * @param {string} name - File name, for logging
+   * @returns {boolean} True if the file could be read
+   */
+  loadBuffer(buffer, name = 'upload') {
+    try {
+      this.workbook = XLSX.read(buffer, { type: 'buffer' });
+      this.filePath = name;
+      logger.info(`Loaded uploaded file: ${name}`);
+      logger.info(`Sheets found: ${this.workbook.SheetNames.join(', ')}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to read uploaded file ${name}: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Get sheet data as JSON
    * @param {string} sheetName - Name of the sheet
@@ -80,6 +80,10 @@ export function createProfile(overrides = {}) {
   return profile;
 }
 
+function isFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
 /**
  * Validate a player profile
  * @param {object} profile - Profile to validate
@@ -96,10 +100,43 @@ export function validateProfile(profile) {
     errors.push('Accuracy must be between 0 and 1');
   }
   
-  if (profile.reactionTime.min >= profile.reactionTime.max) {
+  const { min, max, average } = profile.reactionTime || {};
+  if (![min, max, average].every(value => Number.isFinite(value) && value > 0)) {
+    errors.push('Reaction time min, max and average must be positive numbers');
+  } else if (min >= max) {
     errors.push('Reaction time min must be less than max');
+  } else if (average < min || average > max) {
+    errors.push('Reaction time average must be between min and max');
+  }
+  
+  for (const [area, value] of Object.entries(profile.knowledgeAreas || {})) {
+    if (!isFraction(value)) {
+      errors.push(`Knowledge area ${area} must be between 0 and 1`);
+    }
+  }
+  
+  const fractions = {
+    consistency: 'Consistency',
+    lateJoinChance: 'Late join chance',
+    noShowChance: 'No-show chance',
+    earlyLeaveChance: 'Early leave chance',
+  };
+  for (const [field, label] of Object.entries(fractions)) {
+    if (!isFraction(profile[field])) {
+      errors.push(`${label} must be between 0 and 1`);
+    }
+  }
+  
+  if (typeof profile.streakBehavior !== 'boolean') {
+    errors.push('Streak behavior must be true or false');
   }
   
+  ['rivalries', 'sponsors'].forEach(field => {
+    if (!Array.isArray(profile[field]) || !profile[field].every(item => typeof item === 'string')) {
+      errors.push(`${field[0].toUpperCase()}${field.slice(1)} must be a list of names`);
+    }
+  });
+  
   const validPersonalities = ['fast', 'cautious', 'random', 'normal'];
   if (!validPersonalities.includes(profile.personality)) {
     errors.push(`Personality must be one of: ${validPersonalities.join(', ')}`);
@@ -158,6 +195,61 @@ export function parseFromSheetRow(row, headers) {
   return createProfile(data);
 }
 
+/**
+ * Build a player profile from a `players` database row
+ * @param {object} row - Row from the players table
+ * @returns {object} Player profile (id is the database UUID)
+ */
+export function profileFromDatabaseRow(row) {
+  const participantId = row.participant_id || row.id;
+
+  return createProfile({
+    id: row.id,
+    participantId,
+    nickname: row.nickname,
+    name: row.name || row.nickname,
+    email: row.email || `${participantId}@tysn.game`,
+    phone: row.phone || '',
+    // Database stores accuracy as 0-100
+    accuracy: row.accuracy != null ? Number(row.accuracy) / 100 : defaultProfile.accuracy,
+    personality: row.personality || defaultProfile.personality,
+    team: row.team || null,
+    leagueId: row.league_id || null,
+    // Behavior columns; DECIMALs come back as strings
+    reactionTime: row.reaction_time || defaultProfile.reactionTime,
+    knowledgeAreas: row.knowledge_areas || defaultProfile.knowledgeAreas,
+    consistency: row.consistency != null ? Number(row.consistency) : defaultProfile.consistency,
+    streakBehavior: row.streak_behavior ?? defaultProfile.streakBehavior,
+    lateJoinChance: row.late_join_chance != null ? Number(row.late_join_chance) : defaultProfile.lateJoinChance,
+    noShowChance: row.no_show_chance != null ? Number(row.no_show_chance) : defaultProfile.noShowChance,
+    earlyLeaveChance: row.early_leave_chance != null ? Number(row.early_leave_chance) : defaultProfile.earlyLeaveChance,
+    backstory: row.backstory ?? defaultProfile.backstory,
+    rivalries: row.rivalries || defaultProfile.rivalries,
+    sponsors: row.sponsors || defaultProfile.sponsors,
+  });
+}
+
+/**
+ * Behavior fields of a player profile as `players` columns
+ * @param {object} profile - Player profile
+ * @returns {object} reaction_time, knowledge_areas, consistency, streak_behavior,
+ *   late_join_chance, no_show_chance, early_leave_chance, backstory, rivalries, sponsors
+ */
+export function profileToDatabaseColumns(profile) {
+  return {
+    reaction_time: profile.reactionTime,
+    knowledge_areas: profile.knowledgeAreas,
+    consistency: profile.consistency,
+    streak_behavior: profile.streakBehavior,
+    late_join_chance: Math.round(profile.lateJoinChance * 1000) / 1000,
+    no_show_chance: Math.round(profile.noShowChance * 1000) / 1000,
+    early_leave_chance: Math.round(profile.earlyLeaveChance * 1000) / 1000,
+    backstory: profile.backstory,
+    rivalries: profile.rivalries,
+    sponsors: profile.sponsors,
+  };
+}
+
 /**
  * Generate a random phone number
  * @param {string} countryCode - Country code (default '+1')
@@ -188,6 +280,8 @@ export default {
   createProfile,
   validateProfile,
   parseFromSheetRow,
+  profileFromDatabaseRow,
+  profileToDatabaseColumns,
   generateRandomPhone,
   generateEmail,
 };
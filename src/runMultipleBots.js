@@ -12,6 +12,7 @@
 import 'dotenv/config';
 import { GameSession } from './orchestrator/gameSession.js';
 import { excelLoader } from './players/excelLoader.js';
+import { loadApiPlayers, loadApiPlayersByTeam } from './players/apiPlayerLoader.js';
 import logger from './utils/logger.js';
 import config from './config/default.js';
 import { playerResultsAPI, sessionsAPI } from './adminApiClient.js';
@@ -20,13 +21,26 @@ import { playerResultsAPI, sessionsAPI } from './adminApiClient.js';
 const DEFAULT_BOT_COUNT = 5;
 const DEFAULT_GAME_URL = config.game.url || 'https://www.crowd.live/FNJCN';
 
+/**
+ * Load players with their stored profiles from the admin API
+ * Falls back to the Excel file (with freshly randomized behavior) when the API cannot be reached.
+ */
+async function loadPlayers(fromApi, fromExcel) {
+  try {
+    return await fromApi();
+  } catch (error) {
+    console.warn(`Could not load players from the admin API (${error.message}), using src/data/players.xlsx`);
+    return fromExcel();
+  }
+}
+
 async function main() {
   // Parse command line arguments
   const args = process.argv.slice(2);
 
   // Check for special commands
   if (args[0] === '--teams' || args[0] === '-t') {
-    showTeams();
+    await showTeams();
     return;
   }
 
@@ -53,12 +67,14 @@ async function main() {
   console.log('========================================');
   console.log('');
 
-  // Load players from Excel file
-  console.log('Loading players from Excel file...');
-  const players = excelLoader.loadPlayers({ limit: botCount });
+  console.log('Loading players...');
+  const players = await loadPlayers(
+    () => loadApiPlayers({ limit: botCount }),
+    () => excelLoader.loadPlayers({ limit: botCount })
+  );
 
   if (players.length === 0) {
-    console.error('No players found in src/data/players.xlsx');
+    console.error('No active players found');
     process.exit(1);
   }
 
@@ -125,15 +141,18 @@ async function main() {
 }
 
 /**
- * Show all teams/clubs from Excel
+ * Show all teams/clubs
  */
-function showTeams() {
+async function showTeams() {
   console.log('========================================');
   console.log('        AVAILABLE TEAMS');
   console.log('========================================');
   console.log('');
 
-  const playersByTeam = excelLoader.loadPlayersByTeam({ limit: 500 });
+  const playersByTeam = await loadPlayers(
+    () => loadApiPlayersByTeam({ limit: 500 }),
+    () => excelLoader.loadPlayersByTeam({ limit: 500 })
+  );
 
   Object.entries(playersByTeam)
     .sort((a, b) => b[1].length - a[1].length)
@@ -160,12 +179,15 @@ async function runTeam(teamName, gameUrl) {
 
   // Load players for the team
   console.log(`Loading players for team: ${teamName}...`);
-  const players = excelLoader.loadTeamPlayers(teamName, { limit: 50 });
+  const players = await loadPlayers(
+    () => loadApiPlayers({ team: teamName, limit: 50 }),
+    () => excelLoader.loadTeamPlayers(teamName, { limit: 50 })
+  );
 
   if (players.length === 0) {
     console.error(`No players found for team: ${teamName}`);
     console.log('Available teams:');
-    showTeams();
+    await showTeams();
     process.exit(1);
   }
 
@@ -8,6 +8,7 @@
  *   node src/runScheduler.js status       # Show scheduler status
  *   node src/runScheduler.js run nfl      # Run NFL game immediately
  *   node src/runScheduler.js run hockey   # Run Hockey game immediately
+ *   node src/runScheduler.js start --db   # Use schedules from the scheduled_games table
  */
 
 import 'dotenv/config';
@@ -15,8 +16,10 @@ import { gameScheduler, SCHEDULES } from './scheduler/gameScheduler.js';
 import logger from './utils/logger.js';
 
 async function main() {
-  const args = process.argv.slice(2);
+  const flags = process.argv.slice(2).filter(arg => arg.startsWith('--'));
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
   const command = args[0] || 'start';
+  const useDatabase = flags.includes('--db');
 
   console.log('========================================');
   console.log('     TYSN TRIVIA BOT SCHEDULER');
@@ -25,11 +28,11 @@ async function main() {
 
   switch (command) {
     case 'start':
-      await startScheduler();
+      await startScheduler(useDatabase);
       break;
 
     case 'status':
-      showStatus();
+      await showStatus(useDatabase);
       break;
 
     case 'run':
@@ -39,7 +42,7 @@ async function main() {
         console.log('Available leagues: nfl, hockey');
         process.exit(1);
       }
-      await runNow(leagueId);
+      await runNow(leagueId, useDatabase);
       break;
 
     case 'help':
@@ -48,12 +51,23 @@ async function main() {
   }
 }
 
+/**
+ * Load schedules from the database or the built-in defaults
+ * @param {boolean} useDatabase - Load from scheduled_games table
+ */
+async function loadSchedules(useDatabase) {
+  if (useDatabase) {
+    await gameScheduler.loadSchedulesFromDatabase();
+  } else {
+    gameScheduler.loadDefaultSchedules();
+  }
+}
+
 /**
  * Start the scheduler in daemon mode
  */
-async function startScheduler() {
-  // Load default schedules
-  gameScheduler.loadDefaultSchedules();
+async function startScheduler(useDatabase) {
+  await loadSchedules(useDatabase);
 
   // Show initial status
   gameScheduler.printStatus();
@@ -75,10 +89,12 @@ async function startScheduler() {
   gameScheduler.start();
 
   console.log('Scheduler is running. Press Ctrl+C to stop.\n');
-  console.log('Scheduled Games:');
-  console.log('  • NFL: Thursday, Sunday, Monday at 9:35pm EST');
-  console.log('  • Hockey: Saturday at 7:40pm EST');
-  console.log('');
+  if (!useDatabase) {
+    console.log('Scheduled Games:');
+    console.log('  • NFL: Thursday, Sunday, Monday at 9:35pm EST');
+    console.log('  • Hockey: Saturday at 7:40pm EST');
+    console.log('');
+  }
 
   // Keep the process running
   await new Promise(() => { }); // Never resolves
@@ -87,23 +103,24 @@ async function startScheduler() {
 /**
  * Show scheduler status without starting
  */
-function showStatus() {
-  gameScheduler.loadDefaultSchedules();
+async function showStatus(useDatabase) {
+  await loadSchedules(useDatabase);
   gameScheduler.printStatus();
+  process.exit(0);
 }
 
 /**
  * Run a game immediately
  */
-async function runNow(leagueId) {
-  if (!SCHEDULES[leagueId]) {
+async function runNow(leagueId, useDatabase) {
+  await loadSchedules(useDatabase);
+
+  if (!gameScheduler.schedules.has(leagueId)) {
     console.log(`Unknown league: ${leagueId}`);
-    console.log('Available leagues: nfl, hockey');
+    console.log(`Available leagues: ${useDatabase ? Array.from(gameScheduler.schedules.keys()).join(', ') : Object.keys(SCHEDULES).join(', ')}`);
     process.exit(1);
   }
 
-  gameScheduler.loadDefaultSchedules();
-
   console.log(`Running ${leagueId.toUpperCase()} game now...`);
   console.log('');
 
@@ -140,6 +157,10 @@ Commands:
   run <league>    Run a game immediately
   help            Show this help message
 
+Options:
+  --db            Use schedules from the scheduled_games table
+                  (run <league> then takes the schedule id)
+
 Leagues:
   nfl             NFL Trivia (Thu/Sun/Mon 9:35pm EST)
   hockey          Hockey Trivia (Sat 7:40pm EST)
@@ -149,6 +170,7 @@ Examples:
   node src/runScheduler.js status     # Check next game times
   node src/runScheduler.js run nfl    # Run NFL game now
   node src/runScheduler.js run hockey # Run Hockey game now
+  node src/runScheduler.js start --db # Start with database schedules
 
 Environment Variables:
   HEADLESS=true   Run browsers in headless mode
@@ -0,0 +1,178 @@
+/**
+ * Cron Expressions
+ *
+ * Parses standard 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * and finds the next matching time in an IANA timezone.
+ *
+ * Supports `*`, lists (`1,3`), ranges (`1-5`), steps (`0-59/15`, `10/5`),
+ * month names (JAN-DEC) and weekday names (SUN-SAT; 7 is also Sunday).
+ * As in standard cron, when both day-of-month and day-of-week are restricted
+ * a day matches if either matches.
+ */
+
+import { getZonedParts, zonedTimeToUtc, addDays } from '../utils/timezone.js';
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+// How far ahead to search before giving up (covers Feb 29 and similar rare dates)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+/**
+ * Parse a single value, accepting names where the field allows them
+ */
+function parseValue(value, field) {
+  const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+  if (index >= 0) {
+    return field.name === 'month' ? index + 1 : index;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+
+  const number = parseInt(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value out of range (${field.min}-${field.max}): ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText !== undefined ? parseInt(stepText) : 1;
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [from, to] = rangeText.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText !== undefined ? field.max : start;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range in ${field.name}: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field cron expression, e.g. "35 21 * * THU,SUN,MON"
+ * @returns {object} Parsed expression
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day month weekday): "${expression}"`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.delete(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+  parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+  parsed.expression = parts.join(' ');
+  return parsed;
+}
+
+/**
+ * Check if a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check if a calendar date matches the day fields of a parsed expression
+ */
+function matchesDay(parsed, date) {
+  if (!parsed.month.has(date.month)) {
+    return false;
+  }
+
+  const dayOfMonth = parsed.dayOfMonth.has(date.day);
+  const dayOfWeek = parsed.dayOfWeek.has(date.weekday);
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the next time a cron expression fires after a reference time
+ * @param {string|object} expression - Cron expression or parsed expression
+ * @param {Date} from - Reference time (exclusive)
+ * @param {string} timeZone - IANA timezone the expression is written in
+ * @returns {Date|null} Next run time, or null if none within the search window
+ */
+export function getNextCronTime(expression, from, timeZone) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+  const hours = [...parsed.hour].sort((a, b) => a - b);
+  const minutes = [...parsed.minute].sort((a, b) => a - b);
+  const today = getZonedParts(from, timeZone);
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    const date = addDays(today, i);
+    if (!matchesDay(parsed, date)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const next = zonedTimeToUtc({ ...date, hour, minute }, timeZone);
+        if (next > from) {
+          return next;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+export default {
+  parseCron,
+  isValidCron,
+  getNextCronTime,
+};
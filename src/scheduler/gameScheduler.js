@@ -2,15 +2,35 @@
  * Game Scheduler
  * 
  * Automatically schedules and runs trivia game sessions at specified times.
- * Supports recurring weekly schedules for different leagues (NFL, Hockey).
+ * Supports recurring weekly schedules for different leagues (NFL, Hockey),
+ * either hard-coded below or loaded from the scheduled_games table.
  */
 
+import os from 'os';
 import { GameSession } from '../orchestrator/gameSession.js';
 import { excelLoader } from '../players/excelLoader.js';
 import { createProfile } from '../players/playerSchema.js';
 import logger from '../utils/logger.js';
+import { getZonedParts, zonedTimeToUtc, addDays, formatInTimezone } from '../utils/timezone.js';
+import { getNextCronTime } from './cron.js';
 import config from '../config/default.js';
 
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// setTimeout fires immediately for delays above this (~24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// How late a missed run may still be launched, unless the schedule sets its own
+const DEFAULT_GRACE_MINUTES = 10;
+
+// How far back start() looks for runs missed while the scheduler was down
+const MAX_MISSED_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+
+// Most runs getNextOccurrence will step over looking for one that isn't blacked out
+const MAX_BLACKOUT_SKIP = 1000;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 /**
  * Game Schedule Configuration
  */
@@ -42,6 +62,116 @@ export const SCHEDULES = {
   },
 };
 
+// Optional database integration (lazy loaded)
+let scheduleServicePromise = null;
+async function loadScheduleService() {
+  if (scheduleServicePromise) {
+    return scheduleServicePromise;
+  }
+
+  scheduleServicePromise = (async () => {
+    if (!process.env.DB_NAME && !process.env.DB_HOST) {
+      return null;
+    }
+
+    try {
+      return await import('../../services/scheduleService.js');
+    } catch (error) {
+      logger.warn(`Schedule database integration not available: ${error.message}`);
+      return null;
+    }
+  })();
+
+  return scheduleServicePromise;
+}
+
+/**
+ * Normalize a DATE column to 'YYYY-MM-DD'
+ * pg returns DATE values as local-midnight Date objects.
+ */
+function toDateString(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Start of a 'YYYY-MM-DD' date in a timezone
+ */
+function startOfDate(dateString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+/**
+ * Local 'YYYY-MM-DD' date of an instant in a timezone
+ */
+function zonedDateString(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a schedule_exceptions row to a schedule exception
+ * @param {object} row - schedule_exceptions row
+ * @returns {object} { date, type, time, gameUrl, playerCount, reason }
+ */
+export function scheduleExceptionFromRow(row) {
+  return {
+    date: toDateString(row.exception_date),
+    type: row.exception_type,
+    time: row.override_time ? String(row.override_time).slice(0, 5) : null,
+    gameUrl: row.override_game_url || null,
+    playerCount: row.override_player_count || null,
+    reason: row.reason || null,
+  };
+}
+
+/**
+ * Convert a scheduled_games row to a schedule configuration
+ * @param {object} row - scheduled_games row (with league_name)
+ * @param {array} exceptions - schedule_exceptions rows for this schedule
+ * @returns {object} Schedule configuration
+ */
+export function scheduleConfigFromRow(row, exceptions = []) {
+  const [hour = 0, minute = 0] = String(row.time || '00:00').split(':').map(Number);
+
+  return {
+    name: row.name,
+    gameUrl: row.game_url,
+    scheduleType: row.schedule_type,
+    schedule: row.day_of_week != null ? [{ day: row.day_of_week, hour, minute }] : [],
+    runAt: row.run_at ? new Date(row.run_at) : null,
+    cron: row.cron_expression || null,
+    startDate: toDateString(row.start_date),
+    endDate: toDateString(row.end_date),
+    timezone: row.timezone || DEFAULT_TIMEZONE,
+    playerCount: row.player_count || 25,
+    maxConcurrent: row.max_concurrent || 10,
+    graceMinutes: row.grace_minutes ?? DEFAULT_GRACE_MINUTES,
+    lastRun: row.last_run ? new Date(row.last_run) : null,
+    nextRun: row.next_run ? new Date(row.next_run) : null,
+    leagueDbId: row.league_id,
+    leagueName: row.league_name || null,
+    exceptions: exceptions.map(scheduleExceptionFromRow),
+    source: 'database',
+  };
+}
+
+/**
+ * Compare schedule configurations, ignoring run times the scheduler itself writes back
+ */
+function scheduleFingerprint(scheduleConfig) {
+  const { lastRun, nextRun, ...rest } = scheduleConfig;
+  return JSON.stringify(rest);
+}
+
 /**
  * Game Scheduler Class
  */
@@ -50,8 +180,24 @@ export class GameScheduler {
     this.schedules = new Map();
     this.timers = new Map();
     this.activeSessions = new Map();
+    // Leagues with a run in progress, from the trigger until the game ends
+    this.runningGames = new Set();
     this.isRunning = false;
     this.headless = options.headless ?? config.browser.headless;
+    this.reloadInterval = options.reloadInterval ?? 60000;
+    this.reloadTimer = null;
+    // Identifies this process when claiming runs, so only one instance fires each game
+    this.instanceId = options.instanceId || `${os.hostname()}-${process.pid}`;
+    // Injectable for tests; defaults to services/scheduleService.js when a database is configured
+    this.scheduleService = options.scheduleService || null;
+  }
+
+  /**
+   * Get the schedule service (null when no database is configured)
+   * @returns {Promise<object|null>}
+   */
+  async getScheduleService() {
+    return this.scheduleService || loadScheduleService();
   }
 
   /**
@@ -77,33 +223,328 @@ export class GameScheduler {
     logger.info(`Loaded ${this.schedules.size} default schedules`);
   }
 
+  /**
+   * Remove a league schedule and cancel its timer
+   * @param {string} leagueId - League identifier
+   */
+  removeSchedule(leagueId) {
+    if (this.timers.has(leagueId)) {
+      clearTimeout(this.timers.get(leagueId));
+      this.timers.delete(leagueId);
+    }
+    this.schedules.delete(leagueId);
+    logger.info(`Removed schedule: ${leagueId}`);
+  }
+
+  /**
+   * Load enabled schedules from the scheduled_games table
+   * @returns {Promise<number>} Number of schedules loaded
+   */
+  async loadSchedulesFromDatabase() {
+    const scheduleService = await this.getScheduleService();
+    if (!scheduleService) {
+      throw new Error('Database is not configured (set DB_HOST / DB_NAME)');
+    }
+
+    const configs = await this.fetchDatabaseSchedules(scheduleService);
+    configs.forEach(scheduleConfig => this.addSchedule(scheduleConfig.id, scheduleConfig));
+
+    logger.info(`Loaded ${configs.length} schedules from database`);
+    return configs.length;
+  }
+
+  /**
+   * Read enabled schedules and their upcoming exceptions
+   * @param {object} scheduleService - Schedule service module
+   * @returns {Promise<array>} Schedule configurations keyed by scheduled_games.id
+   */
+  async fetchDatabaseSchedules(scheduleService) {
+    const [rows, exceptionRows] = await Promise.all([
+      scheduleService.loadEnabledSchedules(),
+      scheduleService.loadUpcomingExceptions(),
+    ]);
+
+    return rows.map(row => ({
+      ...scheduleConfigFromRow(row, exceptionRows.filter(e => e.scheduled_game_id === row.id)),
+      id: row.id,
+    }));
+  }
+
+  /**
+   * Reload database schedules, re-arming timers for anything added or changed
+   * Hard-coded schedules are left untouched.
+   * @returns {Promise<object>} { added, updated, removed }
+   */
+  async reloadSchedules() {
+    const scheduleService = await this.getScheduleService();
+    if (!scheduleService) {
+      return { added: 0, updated: 0, removed: 0 };
+    }
+
+    const configs = await this.fetchDatabaseSchedules(scheduleService);
+    const seen = new Set();
+    let added = 0;
+    let updated = 0;
+    let removed = 0;
+
+    for (const next of configs) {
+      seen.add(next.id);
+      const current = this.schedules.get(next.id);
+
+      if (current && scheduleFingerprint(current) === scheduleFingerprint(next)) {
+        continue;
+      }
+
+      this.schedules.set(next.id, next);
+      current ? updated++ : added++;
+      if (this.isRunning) {
+        this.scheduleNext(next.id);
+      }
+    }
+
+    for (const [leagueId, scheduleConfig] of this.schedules) {
+      if (scheduleConfig.source === 'database' && !seen.has(leagueId)) {
+        this.removeSchedule(leagueId);
+        removed++;
+      }
+    }
+
+    if (added || updated || removed) {
+      logger.info(`Schedules reloaded: ${added} added, ${updated} updated, ${removed} removed`);
+    }
+
+    return { added, updated, removed };
+  }
+
+  /**
+   * Periodically reload database schedules while the scheduler runs
+   */
+  startAutoReload() {
+    if (this.reloadTimer || !this.reloadInterval) {
+      return;
+    }
+
+    this.reloadTimer = setInterval(() => {
+      this.reloadSchedules().catch(error => {
+        logger.warn(`Failed to reload schedules: ${error.message}`);
+      });
+    }, this.reloadInterval);
+  }
+
   /**
    * Calculate next run time for a schedule
+   * - weekly: days and times are wall-clock times in the schedule's timezone,
+   *   so runs stay at the same local hour across DST changes regardless of host timezone
+   * - one-time: runAt, until it has passed
+   * - recurring: next match of the cron expression within startDate..endDate
    * @param {object} scheduleConfig - Schedule configuration
-   * @returns {Date} Next run time
+   * @param {Date} from - Reference time (default: now)
+   * @returns {Date|null} Next run time, or null if the schedule has no future runs
+   */
+  getNextRunTime(scheduleConfig, from = new Date()) {
+    const timeZone = scheduleConfig.timezone || DEFAULT_TIMEZONE;
+
+    switch (scheduleConfig.scheduleType) {
+      case 'one-time':
+        return scheduleConfig.runAt && scheduleConfig.runAt > from ? scheduleConfig.runAt : null;
+      case 'recurring':
+        return this.getNextCronRunTime(scheduleConfig, from, timeZone);
+      default:
+        return this.getNextWeeklyRunTime(scheduleConfig, from, timeZone);
+    }
+  }
+
+  /**
+   * Next run of a weekly { day, hour, minute } schedule
    */
-  getNextRunTime(scheduleConfig) {
-    const now = new Date();
+  getNextWeeklyRunTime(scheduleConfig, from, timeZone) {
+    const today = getZonedParts(from, timeZone);
     const times = [];
 
-    scheduleConfig.schedule.forEach(({ day, hour, minute }) => {
-      const next = new Date(now);
-      next.setHours(hour, minute, 0, 0);
-      
-      // Calculate days until target day
-      const currentDay = now.getDay();
-      let daysUntil = day - currentDay;
-      
-      if (daysUntil < 0 || (daysUntil === 0 && next <= now)) {
-        daysUntil += 7;
+    (scheduleConfig.schedule || []).forEach(({ day, hour, minute }) => {
+      // 8 days covers a same-weekday slot that has already passed today
+      for (let i = 0; i <= 7; i++) {
+        const date = addDays(today, i);
+        if (date.weekday !== day) continue;
+
+        const next = zonedTimeToUtc({ ...date, hour, minute }, timeZone);
+        if (next > from) {
+          times.push(next);
+          break;
+        }
       }
-      
-      next.setDate(next.getDate() + daysUntil);
-      times.push(next);
     });
 
     // Return the soonest time
-    return times.sort((a, b) => a - b)[0];
+    return times.sort((a, b) => a - b)[0] || null;
+  }
+
+  /**
+   * Next run of a cron schedule, bounded by its optional start and end dates
+   * (both inclusive, in the schedule's timezone)
+   */
+  getNextCronRunTime(scheduleConfig, from, timeZone) {
+    if (!scheduleConfig.cron) {
+      return null;
+    }
+
+    let searchFrom = from;
+    if (scheduleConfig.startDate) {
+      const start = new Date(startOfDate(scheduleConfig.startDate, timeZone) - 1);
+      if (start > searchFrom) {
+        searchFrom = start;
+      }
+    }
+
+    const next = getNextCronTime(scheduleConfig.cron, searchFrom, timeZone);
+    if (!next || !scheduleConfig.endDate) {
+      return next;
+    }
+
+    const [year, month, day] = scheduleConfig.endDate.split('-').map(Number);
+    const endOfRange = zonedTimeToUtc(addDays({ year, month, day }, 1), timeZone);
+    return next < endOfRange ? next : null;
+  }
+
+  /**
+   * Apply a schedule's blackout dates and overrides to one regular run
+   * Exceptions are keyed by the run's local date in the schedule's timezone.
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {Date} scheduledFor - Regular run time
+   * @returns {object} { scheduledFor, runAt, status, gameUrl, playerCount, reason }
+   *   status is 'scheduled', 'override' or 'blackout'
+   */
+  resolveOccurrence(scheduleConfig, scheduledFor) {
+    const timeZone = scheduleConfig.timezone || DEFAULT_TIMEZONE;
+    const date = zonedDateString(scheduledFor, timeZone);
+    const exception = (scheduleConfig.exceptions || []).find(e => e.date === date);
+
+    const occurrence = {
+      scheduledFor,
+      runAt: scheduledFor,
+      date,
+      status: 'scheduled',
+      gameUrl: scheduleConfig.gameUrl,
+      playerCount: scheduleConfig.playerCount,
+      reason: null,
+    };
+
+    if (!exception) {
+      return occurrence;
+    }
+
+    occurrence.reason = exception.reason;
+
+    if (exception.type === 'blackout') {
+      return { ...occurrence, status: 'blackout', runAt: null };
+    }
+
+    if (exception.time) {
+      const [year, month, day] = date.split('-').map(Number);
+      const [hour, minute] = exception.time.split(':').map(Number);
+      occurrence.runAt = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+    }
+
+    return {
+      ...occurrence,
+      status: 'override',
+      gameUrl: exception.gameUrl || occurrence.gameUrl,
+      playerCount: exception.playerCount || occurrence.playerCount,
+    };
+  }
+
+  /**
+   * Walk regular runs from a reference time, with exceptions applied
+   * Overrides only move a run within its own day, so the walk starts at local
+   * midnight to catch a run moved later than its regular time.
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {Date} from - Reference time
+   * @yields {object} Occurrences in regular-run order
+   */
+  *iterateOccurrences(scheduleConfig, from) {
+    const timeZone = scheduleConfig.timezone || DEFAULT_TIMEZONE;
+    let cursor = new Date(startOfDate(zonedDateString(from, timeZone), timeZone) - 1);
+
+    while (true) {
+      const scheduledFor = this.getNextRunTime(scheduleConfig, cursor);
+      if (!scheduledFor) {
+        return;
+      }
+      cursor = scheduledFor;
+
+      const occurrence = this.resolveOccurrence(scheduleConfig, scheduledFor);
+      if ((occurrence.runAt || occurrence.scheduledFor) > from) {
+        yield occurrence;
+      }
+    }
+  }
+
+  /**
+   * List runs after a reference time with exceptions applied
+   * Blackouts are included so callers can show skipped dates.
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {object} options - { from, until, limit }
+   * @returns {array} Occurrences in run order
+   */
+  getUpcomingOccurrences(scheduleConfig, { from = new Date(), until = null, limit = 100 } = {}) {
+    const occurrences = [];
+
+    for (const occurrence of this.iterateOccurrences(scheduleConfig, from)) {
+      if (occurrences.length >= limit || (until && occurrence.scheduledFor > until)) {
+        break;
+      }
+      occurrences.push(occurrence);
+    }
+
+    return occurrences.sort((a, b) => (a.runAt || a.scheduledFor) - (b.runAt || b.scheduledFor));
+  }
+
+  /**
+   * Get the next run that will actually happen, skipping blackouts
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {Date} from - Reference time (default: now)
+   * @returns {object|null} Occurrence (see resolveOccurrence), or null if none
+   */
+  getNextOccurrence(scheduleConfig, from = new Date()) {
+    let next = null;
+    let checked = 0;
+
+    for (const occurrence of this.iterateOccurrences(scheduleConfig, from)) {
+      // Later days cannot beat a run already found; give up after a year of blackouts
+      if ((next && occurrence.date > next.date) || ++checked > MAX_BLACKOUT_SKIP) {
+        break;
+      }
+      if (occurrence.status !== 'blackout' && (!next || occurrence.runAt < next.runAt)) {
+        next = occurrence;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Describe when a schedule runs, e.g. "Thu 21:35, Sun 21:35"
+   * @param {object} scheduleConfig - Schedule configuration
+   * @returns {string}
+   */
+  describeSchedule(scheduleConfig) {
+    const timeZone = scheduleConfig.timezone || DEFAULT_TIMEZONE;
+
+    if (scheduleConfig.scheduleType === 'one-time') {
+      return scheduleConfig.runAt ? `Once at ${formatInTimezone(scheduleConfig.runAt, timeZone)}` : 'Once (no time set)';
+    }
+
+    if (scheduleConfig.scheduleType === 'recurring') {
+      let description = `cron "${scheduleConfig.cron || ''}"`;
+      if (scheduleConfig.startDate || scheduleConfig.endDate) {
+        description += ` from ${scheduleConfig.startDate || 'now'} until ${scheduleConfig.endDate || 'further notice'}`;
+      }
+      return description;
+    }
+
+    return (scheduleConfig.schedule || [])
+      .map(({ day, hour, minute }) => `${DAY_NAMES[day]} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`)
+      .join(', ');
   }
 
   /**
@@ -123,6 +564,74 @@ export class GameScheduler {
     return `${hours}h ${minutes}m`;
   }
 
+  /**
+   * Find runs that should have started while the scheduler was not running
+   * Looks back to the schedule's last run (or its recorded next run), at most
+   * MAX_MISSED_LOOKBACK. The latest missed run is caught up if it is still
+   * within the grace window; every other missed run is reported with a reason.
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {Date} now - Reference time (default: now)
+   * @returns {object} { catchUp: occurrence|null, missed: [{ occurrence, reason }] }
+   */
+  findMissedOccurrences(scheduleConfig, now = new Date()) {
+    const graceMs = (scheduleConfig.graceMinutes ?? DEFAULT_GRACE_MINUTES) * 60 * 1000;
+    const lookbackStart = new Date(now - MAX_MISSED_LOOKBACK);
+
+    let since;
+    if (scheduleConfig.lastRun) {
+      since = scheduleConfig.lastRun;
+    } else if (scheduleConfig.nextRun) {
+      since = new Date(scheduleConfig.nextRun - 1);
+    } else {
+      since = new Date(now - graceMs);
+    }
+    if (since < lookbackStart) {
+      since = lookbackStart;
+    }
+
+    const due = this.getUpcomingOccurrences(scheduleConfig, { from: since, until: now })
+      .filter(occurrence => occurrence.status !== 'blackout' && occurrence.runAt <= now);
+
+    const latest = due[due.length - 1];
+    const catchUp = latest && now - latest.runAt <= graceMs ? latest : null;
+
+    const missed = due
+      .filter(occurrence => occurrence !== catchUp)
+      .map(occurrence => {
+        const minutesLate = Math.round((now - occurrence.runAt) / 60000);
+        const reason = catchUp
+          ? `Superseded by a later run (scheduler down, ${minutesLate} min late)`
+          : `Scheduler was not running; ${minutesLate} min late exceeds ${scheduleConfig.graceMinutes ?? DEFAULT_GRACE_MINUTES} min grace window`;
+        return { occurrence, reason };
+      });
+
+    return { catchUp, missed };
+  }
+
+  /**
+   * Record missed runs for a schedule and launch a late run still within its grace window
+   * @param {string} leagueId - League identifier
+   */
+  async catchUpMissedRuns(leagueId) {
+    const scheduleConfig = this.schedules.get(leagueId);
+    if (!scheduleConfig) {
+      return;
+    }
+
+    const { catchUp, missed } = this.findMissedOccurrences(scheduleConfig);
+
+    for (const { occurrence, reason } of missed) {
+      logger.warn(`Missed run of ${scheduleConfig.name} at ${formatInTimezone(occurrence.runAt, scheduleConfig.timezone || DEFAULT_TIMEZONE)}: ${reason}`);
+      await this.recordMissedRun(scheduleConfig, occurrence, reason);
+    }
+
+    if (catchUp && this.isRunning) {
+      const minutesLate = Math.round((new Date() - catchUp.runAt) / 60000);
+      logger.info(`Catching up ${scheduleConfig.name}: starting ${minutesLate} min late`);
+      await this.runGame(leagueId, catchUp);
+    }
+  }
+
   /**
    * Schedule a league's next game
    * @param {string} leagueId - League identifier
@@ -137,15 +646,52 @@ export class GameScheduler {
     // Clear existing timer
     if (this.timers.has(leagueId)) {
       clearTimeout(this.timers.get(leagueId));
+      this.timers.delete(leagueId);
+    }
+
+    let occurrence;
+    try {
+      occurrence = this.getNextOccurrence(scheduleConfig);
+    } catch (error) {
+      logger.error(`Invalid schedule ${scheduleConfig.name}: ${error.message}`);
+      return;
     }
 
-    const nextRun = this.getNextRunTime(scheduleConfig);
+    if (!occurrence) {
+      logger.info(`Schedule ${scheduleConfig.name} has no upcoming runs, not scheduling`);
+      return;
+    }
+
+    const nextRun = occurrence.runAt;
     const delay = nextRun - new Date();
+    const note = occurrence.status === 'override' ? ` [override${occurrence.reason ? `: ${occurrence.reason}` : ''}]` : '';
 
-    logger.info(`Scheduled ${scheduleConfig.name}: ${nextRun.toLocaleString()} (in ${this.formatTimeUntil(nextRun)})`);
+    logger.info(`Scheduled ${scheduleConfig.name}: ${formatInTimezone(nextRun, scheduleConfig.timezone || DEFAULT_TIMEZONE)} (in ${this.formatTimeUntil(nextRun)})${note}`);
+    // Not awaited, so scheduling does not wait on the database
+    this.recordRunTimes(scheduleConfig, { nextRun }).catch(error => {
+      logger.warn(`Failed to record next run for ${scheduleConfig.name}: ${error.message}`);
+    });
+
+    // Far-off runs (one-time games, sparse cron expressions) wait in chunks
+    if (delay > MAX_TIMER_DELAY) {
+      this.timers.set(leagueId, setTimeout(() => {
+        if (this.isRunning) {
+          this.scheduleNext(leagueId);
+        }
+      }, MAX_TIMER_DELAY));
+      return;
+    }
 
     const timer = setTimeout(async () => {
-      await this.runGame(leagueId);
+      // The timer can fire late if the host was suspended
+      const minutesLate = Math.round((new Date() - nextRun) / 60000);
+      if (minutesLate > (scheduleConfig.graceMinutes ?? DEFAULT_GRACE_MINUTES)) {
+        const reason = `Timer fired ${minutesLate} min late, outside the grace window`;
+        logger.warn(`Skipping ${scheduleConfig.name}: ${reason}`);
+        await this.recordMissedRun(scheduleConfig, occurrence, reason);
+      } else {
+        await this.runGame(leagueId, occurrence);
+      }
       // Schedule next game after this one completes
       if (this.isRunning) {
         this.scheduleNext(leagueId);
@@ -155,39 +701,249 @@ export class GameScheduler {
     this.timers.set(leagueId, timer);
   }
 
+  /**
+   * Persist last/next run times for database schedules
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {object} times - { lastRun, nextRun }
+   */
+  async recordRunTimes(scheduleConfig, times) {
+    if (scheduleConfig.source !== 'database') {
+      return;
+    }
+
+    const scheduleService = await this.getScheduleService();
+    if (scheduleService) {
+      await scheduleService.updateScheduleRunTimes(scheduleConfig.id, times);
+    }
+  }
+
+  /**
+   * Claim an occurrence so no other scheduler instance runs it
+   * Database schedules are claimed through the unique (scheduled_game_id,
+   * scheduled_for) row in schedule_runs; hard-coded schedules always succeed.
+   * If the claim cannot be checked the run is skipped rather than risk
+   * launching the game twice.
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {object} occurrence - Occurrence (see resolveOccurrence)
+   * @param {string} reason - Note stored with the run (e.g. how late it started)
+   * @returns {Promise<object>} { claimed, runId }
+   */
+  async claimOccurrence(scheduleConfig, occurrence, reason = null) {
+    if (scheduleConfig.source !== 'database') {
+      return { claimed: true, runId: null };
+    }
+
+    const scheduleService = await this.getScheduleService();
+    if (!scheduleService) {
+      return { claimed: true, runId: null };
+    }
+
+    try {
+      const runId = await scheduleService.claimScheduleRun({
+        scheduleId: scheduleConfig.id,
+        scheduledFor: occurrence.scheduledFor,
+        instanceId: this.instanceId,
+        reason,
+      });
+      return { claimed: Boolean(runId), runId };
+    } catch (error) {
+      logger.error(`Could not claim run of ${scheduleConfig.name}, skipping: ${error.message}`);
+      return { claimed: false, runId: null };
+    }
+  }
+
+  /**
+   * Record a manual run of a database schedule in its run history
+   * Unlike claims, a failure to record does not stop the run.
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {Date} triggeredAt - When the run was triggered (stored as scheduled_for)
+   * @returns {Promise<string|null>} schedule_runs.id
+   */
+  async recordManualRun(scheduleConfig, triggeredAt) {
+    if (scheduleConfig.source !== 'database') {
+      return null;
+    }
+
+    const scheduleService = await this.getScheduleService();
+    if (!scheduleService) {
+      return null;
+    }
+
+    try {
+      return await scheduleService.claimScheduleRun({
+        scheduleId: scheduleConfig.id,
+        scheduledFor: triggeredAt,
+        instanceId: this.instanceId,
+        runType: 'manual',
+      });
+    } catch (error) {
+      logger.warn(`Could not record manual run of ${scheduleConfig.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record a missed run for database schedules
+   * Ignored if the occurrence was already claimed (e.g. another instance ran it).
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {object} occurrence - Occurrence (see resolveOccurrence)
+   * @param {string} reason - Why the run was missed
+   */
+  async recordMissedRun(scheduleConfig, occurrence, reason) {
+    if (scheduleConfig.source !== 'database') {
+      return;
+    }
+
+    const scheduleService = await this.getScheduleService();
+    if (scheduleService) {
+      await scheduleService.recordScheduleRun({
+        scheduleId: scheduleConfig.id,
+        scheduledFor: occurrence.scheduledFor,
+        status: 'missed',
+        reason,
+      });
+    }
+  }
+
+
+  /**
+   * Record the outcome of a scheduled run
+   * @param {string} runId - schedule_runs.id
+   * @param {string} status - completed, failed
+   * @param {object} details - { reason, sessionId (game_sessions.session_id) }
+   */
+  async finishScheduleRun(runId, status, { reason = null, sessionId = null } = {}) {
+    if (!runId) {
+      return;
+    }
+
+    const scheduleService = await this.getScheduleService();
+    if (scheduleService) {
+      await scheduleService.updateScheduleRun(runId, { status, reason, sessionId });
+    }
+  }
+
+  /**
+   * Load the players for a run
+   * Uses the players table, with each player's stored behavior profile, when a
+   * database is configured; otherwise the Excel file.
+   * @param {number} playerCount - Maximum number of players
+   * @param {string|null} leagueId - leagues.id of the schedule; only its players are used
+   * @returns {Promise<object>} { players, source }
+   */
+  async loadPlayers(playerCount, leagueId = null) {
+    const scheduleService = await this.getScheduleService();
+    if (scheduleService?.loadScheduledPlayers) {
+      return { players: await scheduleService.loadScheduledPlayers(playerCount, { leagueId }), source: 'database' };
+    }
+    return { players: excelLoader.loadPlayers({ limit: playerCount }), source: 'Excel' };
+  }
+
+  /**
+   * Create the game session for a run
+   * @param {object} options - GameSession options
+   * @returns {GameSession}
+   */
+  createSession(options) {
+    return new GameSession(options);
+  }
+
   /**
    * Run a game session for a league
    * @param {string} leagueId - League identifier
+   * @param {object} occurrence - Occurrence being run (overrides game URL / player count)
    */
-  async runGame(leagueId) {
+  async runGame(leagueId, occurrence = null) {
     const scheduleConfig = this.schedules.get(leagueId);
     if (!scheduleConfig) {
       logger.error(`Schedule not found: ${leagueId}`);
       return;
     }
 
+    // Reserved before the first await, so overlapping triggers cannot both start a game
+    if (this.isGameRunning(leagueId)) {
+      logger.warn(`Skipping ${scheduleConfig.name}: a game for this schedule is already running`);
+      if (occurrence) {
+        await this.recordMissedRun(scheduleConfig, occurrence, 'Previous game still running');
+      }
+      return;
+    }
+    this.runningGames.add(leagueId);
+
+    try {
+      return await this.playGame(leagueId, scheduleConfig, occurrence);
+    } finally {
+      this.runningGames.delete(leagueId);
+    }
+  }
+
+  /**
+   * Check if a league has a run in progress (starting or playing)
+   * @param {string} leagueId - League identifier
+   * @returns {boolean}
+   */
+  isGameRunning(leagueId) {
+    return this.runningGames.has(leagueId) || this.activeSessions.has(leagueId);
+  }
+
+  /**
+   * Claim, play and record one run of a schedule (see runGame)
+   * @param {string} leagueId - League identifier
+   * @param {object} scheduleConfig - Schedule configuration
+   * @param {object} occurrence - Occurrence being run, null for manual runs
+   */
+  async playGame(leagueId, scheduleConfig, occurrence) {
+    const gameUrl = occurrence?.gameUrl || scheduleConfig.gameUrl;
+    const playerCount = occurrence?.playerCount || scheduleConfig.playerCount;
+    const startedAt = new Date();
+
+    // Scheduled runs are claimed first; manual runs (no occurrence) always go ahead
+    let runId = null;
+    if (!occurrence) {
+      runId = await this.recordManualRun(scheduleConfig, startedAt);
+    } else {
+      const minutesLate = Math.round((startedAt - occurrence.runAt) / 60000);
+      const claim = await this.claimOccurrence(
+        scheduleConfig, occurrence, minutesLate >= 1 ? `Started ${minutesLate} min late` : null
+      );
+
+      if (!claim.claimed) {
+        logger.info(`Skipping ${scheduleConfig.name} at ${formatInTimezone(occurrence.runAt, scheduleConfig.timezone || DEFAULT_TIMEZONE)}: claimed by another scheduler instance`);
+        scheduleConfig.lastRun = startedAt;
+        return;
+      }
+      runId = claim.runId;
+    }
+
     logger.info(`========================================`);
     logger.info(`Starting scheduled game: ${scheduleConfig.name}`);
-    logger.info(`Game URL: ${scheduleConfig.gameUrl}`);
+    logger.info(`Game URL: ${gameUrl}`);
     logger.info(`========================================`);
 
+    scheduleConfig.lastRun = startedAt;
+    await this.recordRunTimes(scheduleConfig, { lastRun: startedAt });
+
+    let session = null;
     try {
-      // Load players from Excel file
-      const players = excelLoader.loadPlayers({ limit: scheduleConfig.playerCount });
+      const { players, source } = await this.loadPlayers(playerCount, scheduleConfig.leagueDbId || null);
 
       if (players.length === 0) {
-        logger.error('No players available - check src/data/players.xlsx');
+        logger.error(`No players available - check the ${source === 'database' ? 'players table' : 'src/data/players.xlsx'}`);
+        await this.finishScheduleRun(runId, 'failed', { reason: 'No players available' });
         return;
       }
 
-      logger.info(`Loaded ${players.length} players from Excel`);
+      logger.info(`Loaded ${players.length} players from ${source}`);
 
-      // Create game session
-      const session = new GameSession({
-        gameUrl: scheduleConfig.gameUrl,
+      // Create game session, tagged with the league and schedule it ran for
+      session = this.createSession({
+        gameUrl,
         players,
         maxConcurrent: scheduleConfig.maxConcurrent,
         headless: this.headless,
+        league: scheduleConfig.leagueName || (scheduleConfig.source === 'database' ? undefined : scheduleConfig.name),
+        leagueId: scheduleConfig.leagueDbId || null,
+        scheduledGameId: scheduleConfig.source === 'database' ? scheduleConfig.id : null,
       });
 
       this.activeSessions.set(leagueId, session);
@@ -202,11 +958,15 @@ export class GameScheduler {
 
       await session.cleanup();
       this.activeSessions.delete(leagueId);
+      await this.finishScheduleRun(runId, results.status === 'stopped' ? 'stopped' : 'completed', {
+        sessionId: session.sessionId,
+      });
 
       return results;
     } catch (error) {
       logger.error(`Game failed: ${scheduleConfig.name}`, { error: error.message });
       this.activeSessions.delete(leagueId);
+      await this.finishScheduleRun(runId, 'failed', { reason: error.message, sessionId: session?.sessionId });
     }
   }
 
@@ -222,11 +982,19 @@ export class GameScheduler {
     this.isRunning = true;
     logger.info('Starting game scheduler');
 
-    // Schedule all leagues
+    // Schedule all leagues, catching up runs missed while stopped
     this.schedules.forEach((_, leagueId) => {
+      this.catchUpMissedRuns(leagueId).catch(error => {
+        logger.warn(`Failed to check missed runs for ${leagueId}: ${error.message}`);
+      });
       this.scheduleNext(leagueId);
     });
 
+    // Pick up schedule edits made through the API
+    if (Array.from(this.schedules.values()).some(s => s.source === 'database')) {
+      this.startAutoReload();
+    }
+
     logger.info(`Scheduler started with ${this.schedules.size} leagues`);
   }
 
@@ -237,6 +1005,11 @@ export class GameScheduler {
     logger.info('Stopping game scheduler');
     this.isRunning = false;
 
+    if (this.reloadTimer) {
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+
     // Clear all timers
     this.timers.forEach((timer, leagueId) => {
       clearTimeout(timer);
@@ -275,15 +1048,29 @@ export class GameScheduler {
     };
 
     this.schedules.forEach((config, leagueId) => {
-      const nextRun = this.getNextRunTime(config);
+      let occurrence = null;
+      try {
+        occurrence = this.getNextOccurrence(config);
+      } catch (error) {
+        logger.warn(`Invalid schedule ${config.name}: ${error.message}`);
+      }
+      const nextRun = occurrence?.runAt || null;
+
       status.leagues.push({
         id: leagueId,
         name: config.name,
         gameUrl: config.gameUrl,
         playerCount: config.playerCount,
-        nextRun: nextRun.toLocaleString(),
-        timeUntil: this.formatTimeUntil(nextRun),
-        isActive: this.activeSessions.has(leagueId),
+        source: config.source || 'default',
+        scheduleType: config.scheduleType || 'weekly',
+        schedule: this.describeSchedule(config),
+        timezone: config.timezone || DEFAULT_TIMEZONE,
+        graceMinutes: config.graceMinutes ?? DEFAULT_GRACE_MINUTES,
+        nextRun: nextRun ? formatInTimezone(nextRun, config.timezone || DEFAULT_TIMEZONE) : null,
+        nextRunAt: nextRun ? nextRun.toISOString() : null,
+        timeUntil: nextRun ? this.formatTimeUntil(nextRun) : null,
+        nextRunOverride: occurrence?.status === 'override' ? { reason: occurrence.reason, scheduledFor: occurrence.scheduledFor.toISOString() } : null,
+        isActive: this.isGameRunning(leagueId),
       });
     });
 
@@ -305,8 +1092,12 @@ export class GameScheduler {
     status.leagues.forEach(league => {
       console.log(`📅 ${league.name}`);
       console.log(`   URL: ${league.gameUrl}`);
+      console.log(`   Type: ${league.scheduleType} (${league.schedule})`);
       console.log(`   Players: ${league.playerCount}`);
-      console.log(`   Next: ${league.nextRun} (in ${league.timeUntil})`);
+      console.log(`   Next: ${league.nextRun ? `${league.nextRun} (in ${league.timeUntil})` : 'Not scheduled'}`);
+      if (league.nextRunOverride) {
+        console.log(`   Override: ${league.nextRunOverride.reason || 'adjusted for this date'}`);
+      }
       console.log(`   Active: ${league.isActive ? '🟢 Running' : '⚪ Waiting'}`);
       console.log('');
     });
@@ -1,9 +1,10 @@
 import winston from 'winston';
 import config from '../config/default.js';
+import { SystemLogTransport, isSystemLogEnabled } from '../../utils/systemLogTransport.js';
 
 const { combine, timestamp, printf, colorize } = winston.format;
 
-const customFormat = printf(({ level, message, timestamp, playerId, ...meta }) => {
+const customFormat = printf(({ level, message, timestamp, playerId, sessionId, ...meta }) => {
   const playerPrefix = playerId ? `[${playerId}] ` : '';
   const metaStr = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : '';
   return `${timestamp} ${level}: ${playerPrefix}${message}${metaStr}`;
@@ -29,9 +30,18 @@ export const logger = winston.createLogger({
   ],
 });
 
-// Create a child logger for a specific player
-export function createPlayerLogger(playerId) {
-  return logger.child({ playerId });
+// Warnings and errors are also stored in system_logs when a database is configured
+if (isSystemLogEnabled()) {
+  logger.add(new SystemLogTransport({ source: 'bots' }));
+}
+
+/**
+ * Create a child logger for a specific player
+ * @param {string} playerId - Player ID
+ * @param {string} sessionId - Game session the player is in (optional)
+ */
+export function createPlayerLogger(playerId, sessionId = null) {
+  return logger.child(sessionId ? { playerId, sessionId } : { playerId });
 }
 
 export default logger;
@@ -0,0 +1,147 @@
+/**
+ * Timezone utilities
+ *
+ * Converts between UTC instants and wall-clock times in an IANA timezone
+ * using the built-in Intl API, independent of the host's local timezone.
+ */
+
+const formatters = new Map();
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Get a cached Intl formatter for a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check if a timezone name is valid
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} { year, month (1-12), day, hour, minute, second, weekday (0=Sunday) }
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in ms (wall time minus UTC, e.g. -5h for EST)
+ */
+export function getTimezoneOffset(date, timeZone) {
+  const instant = new Date(date);
+  const p = getZonedParts(instant, timeZone);
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ *
+ * DST handling: a time skipped by spring-forward (e.g. 02:30) moves forward
+ * by the gap (03:30); a time repeated by fall-back (e.g. 01:30) resolves to
+ * the first occurrence.
+ *
+ * @param {object} wall - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} UTC instant
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const DAY = 24 * 60 * 60 * 1000;
+  const offsetBefore = getTimezoneOffset(wallAsUtc - DAY, timeZone);
+  const offsetAfter = getTimezoneOffset(wallAsUtc + DAY, timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallAsUtc - offset)
+    .filter(utc => getTimezoneOffset(utc, timeZone) === wallAsUtc - utc)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    return new Date(candidates[0]);
+  }
+
+  // Wall time falls in a spring-forward gap
+  return new Date(wallAsUtc - offsetBefore);
+}
+
+/**
+ * Add days to a calendar date
+ * @param {object} date - { year, month (1-12), day }
+ * @param {number} days - Days to add (may be negative)
+ * @returns {object} { year, month, day, weekday }
+ */
+export function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+/**
+ * Format an instant for display in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} e.g. "11/5/2026, 9:35:00 PM EST"
+ */
+export function formatInTimezone(date, timeZone) {
+  return date.toLocaleString('en-US', { timeZone, timeZoneName: 'short' });
+}
+
+export default {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  addDays,
+  formatInTimezone,
+};
@@ -5,12 +5,17 @@
  */
 
 const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001/api';
+const API_TOKEN = process.env.ADMIN_API_TOKEN || process.env.ADMIN_API_KEY;
 
 async function fetchAPI(endpoint, options = {}) {
   const url = `${API_BASE}${endpoint}`;
   const response = await fetch(url, {
     ...options,
-    headers: { 'Content-Type': 'application/json', ...options.headers },
+    headers: {
+      'Content-Type': 'application/json',
+      ...(API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {}),
+      ...options.headers,
+    },
   });
   const data = await response.json().catch(() => ({}));
   if (!response.ok) {
@@ -27,15 +32,16 @@ async function runTests() {
   try {
     // 1. Get existing sessions
     console.log('1. GET /api/sessions');
-    const sessions = await fetchAPI('/sessions');
-    console.log(`   Found ${Array.isArray(sessions) ? sessions.length : 0} sessions`);
+    const sessionPage = await fetchAPI('/sessions');
+    const sessions = sessionPage?.data || [];
+    console.log(`   Found ${sessionPage?.total ?? 0} sessions`);
     passed++;
 
     // 2. Get existing players
     console.log('\n2. GET /api/players');
     const players = await fetchAPI('/players');
-    const playerList = Array.isArray(players) ? players : [];
-    console.log(`   Found ${playerList.length} players`);
+    const playerList = players?.data || [];
+    console.log(`   Found ${players?.total ?? 0} players`);
     passed++;
 
     if (playerList.length === 0) {
@@ -44,7 +50,7 @@ async function runTests() {
 
     // 3. Create a test session if none exist
     let sessionId = null;
-    if (Array.isArray(sessions) && sessions.length > 0) {
+    if (sessions.length > 0) {
       sessionId = sessions[0].session_id || sessions[0].id;
       console.log(`\n3. Using existing session: ${sessionId}`);
     } else {
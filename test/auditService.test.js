@@ -0,0 +1,48 @@
+/**
+ * Audit diff tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAuditEntry, diffRecords } from '../services/auditService.js';
+
+describe('diffRecords', () => {
+  it('lists only changed fields', () => {
+    const before = { id: '1', nickname: 'QuizWhiz', active: true };
+    const after = { id: '1', nickname: 'QuizWhiz', active: false };
+    assert.deepEqual(diffRecords(before, after), { active: { from: true, to: false } });
+  });
+
+  it('ignores created_at and updated_at', () => {
+    const before = { name: 'A', updated_at: '2026-01-01' };
+    const after = { name: 'A', updated_at: '2026-02-01' };
+    assert.deepEqual(diffRecords(before, after), {});
+  });
+
+  it('diffs creates and deletes against null', () => {
+    assert.deepEqual(diffRecords(null, { name: 'A' }), { name: { from: null, to: 'A' } });
+    assert.deepEqual(diffRecords({ name: 'A' }, null), { name: { from: 'A', to: null } });
+  });
+
+  it('compares JSON values by content', () => {
+    const before = { settings: { lives: 3 } };
+    assert.deepEqual(diffRecords(before, { settings: { lives: 3 } }), {});
+  });
+});
+
+describe('buildAuditEntry', () => {
+  it('names the actor and entity and diffs the record', () => {
+    const req = { auth: { id: 'k1', name: 'ops', role: 'operator' }, method: 'POST', originalUrl: '/api/players/sync' };
+    const { message, context } = buildAuditEntry(req, {
+      action: 'deactivate',
+      entity: 'player',
+      entityId: 'p1',
+      before: { active: true },
+      after: { active: false },
+    });
+    assert.equal(message, 'ops deactivate player p1');
+    assert.equal(context.entity_id, 'p1');
+    assert.deepEqual(context.changes, { active: { from: true, to: false } });
+    assert.equal(context.details, undefined);
+  });
+});
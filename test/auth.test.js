@@ -0,0 +1,115 @@
+/**
+ * Auth middleware tests
+ * Covers the ADMIN_API_KEY bootstrap key and role/scope checks (no database needed).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { authenticate, requireRole, isAllowed } from '../middleware/auth.js';
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function runAuthenticate(req) {
+  const res = mockResponse();
+  let nextCalled = false;
+  await authenticate({ method: 'GET', headers: {}, query: {}, ...req }, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+describe('authenticate', () => {
+  const originalKey = process.env.ADMIN_API_KEY;
+
+  before(() => {
+    process.env.ADMIN_API_KEY = 'bootstrap-secret';
+  });
+
+  after(() => {
+    process.env.ADMIN_API_KEY = originalKey;
+  });
+
+  it('rejects requests without a key', async () => {
+    const { res, nextCalled } = await runAuthenticate({});
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('accepts ADMIN_API_KEY as a bearer token', async () => {
+    const req = { headers: { authorization: 'Bearer bootstrap-secret' } };
+    const { nextCalled } = await runAuthenticate(req);
+    assert.equal(nextCalled, true);
+  });
+
+  it('accepts the X-API-Key header', async () => {
+    const { nextCalled } = await runAuthenticate({ headers: { 'x-api-key': 'bootstrap-secret' } });
+    assert.equal(nextCalled, true);
+  });
+
+  it('accepts ?access_token only on GET /api/sessions/:id/live', async () => {
+    const live = { baseUrl: '/api', path: '/sessions/session-1/live', query: { access_token: 'bootstrap-secret' } };
+    const get = await runAuthenticate(live);
+    assert.equal(get.nextCalled, true);
+
+    const post = await runAuthenticate({ ...live, method: 'POST' });
+    assert.equal(post.nextCalled, false);
+    assert.equal(post.res.statusCode, 401);
+  });
+
+  it('rejects ?access_token on other GET requests', async () => {
+    for (const path of ['/players', '/sessions/session-1', '/sessions/session-1/live/extra']) {
+      const { res, nextCalled } = await runAuthenticate({ baseUrl: '/api', path, query: { access_token: 'bootstrap-secret' } });
+      assert.equal(nextCalled, false, path);
+      assert.equal(res.statusCode, 401);
+    }
+  });
+});
+
+describe('requireRole', () => {
+  const viewer = { role: 'viewer', scopes: [] };
+  const operator = { role: 'operator', scopes: [] };
+  const admin = { role: 'admin', scopes: [] };
+  const botRunner = { role: 'service', scopes: ['read', 'sessions:write'] };
+
+  it('orders roles viewer < operator < admin', () => {
+    assert.equal(isAllowed(viewer, 'viewer'), true);
+    assert.equal(isAllowed(viewer, 'operator'), false);
+    assert.equal(isAllowed(operator, 'operator'), true);
+    assert.equal(isAllowed(operator, 'admin'), false);
+    assert.equal(isAllowed(admin, 'operator'), true);
+  });
+
+  it('lets service tokens through only with a listed scope', () => {
+    assert.equal(isAllowed(botRunner, 'operator', ['sessions:write']), true);
+    assert.equal(isAllowed(botRunner, 'viewer', ['read']), true);
+    assert.equal(isAllowed(botRunner, 'operator', ['results:write']), false);
+    assert.equal(isAllowed(botRunner, 'admin'), false);
+  });
+
+  it('responds 403 when the role is too low', () => {
+    const res = mockResponse();
+    let nextCalled = false;
+    requireRole('admin')({ auth: operator, method: 'DELETE', originalUrl: '/api/players/1' }, res, () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('rejects unknown roles when routes are defined', () => {
+    assert.throws(() => requireRole('superuser'), /Unknown role/);
+  });
+});
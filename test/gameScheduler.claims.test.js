@@ -0,0 +1,245 @@
+/**
+ * GameScheduler run-claiming tests
+ * Two scheduler instances share an in-memory schedule service that behaves
+ * like the schedule_runs unique (scheduled_game_id, scheduled_for) constraint.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameScheduler } from '../src/scheduler/gameScheduler.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function createFakeScheduleService() {
+  const runs = new Map();
+  const key = (scheduleId, scheduledFor) => `${scheduleId}|${scheduledFor.toISOString()}`;
+
+  const insert = async (scheduleId, scheduledFor, fields) => {
+    await tick(); // round trip to the database
+    const runKey = key(scheduleId, scheduledFor);
+    if (runs.has(runKey)) {
+      return null;
+    }
+    const id = `run-${runs.size + 1}`;
+    runs.set(runKey, { id, ...fields });
+    return id;
+  };
+
+  return {
+    runs,
+    async claimScheduleRun({ scheduleId, scheduledFor, instanceId, reason, runType = 'scheduled' }) {
+      return insert(scheduleId, scheduledFor, { status: 'running', claimedBy: instanceId, reason, runType });
+    },
+    async recordScheduleRun({ scheduleId, scheduledFor, status, reason }) {
+      return insert(scheduleId, scheduledFor, { status, reason });
+    },
+    async updateScheduleRun(runId, { status, sessionId }) {
+      const run = [...runs.values()].find(r => r.id === runId);
+      Object.assign(run, { status, sessionId });
+    },
+    async updateScheduleRunTimes() {},
+  };
+}
+
+function createScheduler(instanceId, scheduleService, scheduleConfig, sessions) {
+  const scheduler = new GameScheduler({ instanceId, scheduleService, reloadInterval: 0 });
+  scheduler.addSchedule('schedule-1', { ...scheduleConfig, source: 'database' });
+  scheduler.createSession = options => {
+    const session = {
+      sessionId: `session-${instanceId}`,
+      options,
+      async start() {
+        await tick();
+        return { status: 'completed', duration: 1, completed: 1, totalPlayers: 1 };
+      },
+      async cleanup() {},
+    };
+    sessions.push({ instanceId, session });
+    return session;
+  };
+  return scheduler;
+}
+
+const weekly = {
+  name: 'NFL',
+  gameUrl: 'https://www.crowd.live/NOEPT',
+  schedule: [{ day: 4, hour: 21, minute: 35 }],
+  timezone: 'America/New_York',
+  playerCount: 2,
+  maxConcurrent: 1,
+};
+
+function occurrence(iso) {
+  const at = new Date(iso);
+  return { scheduledFor: at, runAt: at, status: 'scheduled', gameUrl: weekly.gameUrl, playerCount: 2 };
+}
+
+describe('GameScheduler run claiming', () => {
+  it('runs an occurrence on only one of two racing schedulers', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+    const b = createScheduler('b', service, weekly, sessions);
+    const thursday = occurrence('2026-11-06T02:35:00Z');
+
+    await Promise.all([a.runGame('schedule-1', thursday), b.runGame('schedule-1', thursday)]);
+
+    assert.equal(sessions.length, 1);
+    assert.equal(service.runs.size, 1);
+    const [run] = service.runs.values();
+    assert.equal(run.claimedBy, sessions[0].instanceId);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.sessionId, `session-${sessions[0].instanceId}`);
+  });
+
+  it('lets each instance run a different occurrence', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+    const b = createScheduler('b', service, weekly, sessions);
+
+    await Promise.all([
+      a.runGame('schedule-1', occurrence('2026-11-06T02:35:00Z')),
+      b.runGame('schedule-1', occurrence('2026-11-13T02:35:00Z')),
+    ]);
+
+    assert.deepEqual(sessions.map(s => s.instanceId).sort(), ['a', 'b']);
+  });
+
+  it('catches up a late run on only one instance when both restart', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const config = {
+      ...weekly,
+      scheduleType: 'one-time',
+      runAt: new Date(Date.now() - 2 * 60 * 1000),
+      graceMinutes: 10,
+    };
+    const a = createScheduler('a', service, config, sessions);
+    const b = createScheduler('b', service, config, sessions);
+    a.isRunning = true;
+    b.isRunning = true;
+
+    await Promise.all([a.catchUpMissedRuns('schedule-1'), b.catchUpMissedRuns('schedule-1')]);
+
+    assert.equal(sessions.length, 1);
+    assert.match([...service.runs.values()][0].reason, /Started 2 min late/);
+  });
+
+  it('does not overwrite a claimed run with a missed record', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+    const b = createScheduler('b', service, weekly, sessions);
+    const thursday = occurrence('2026-11-06T02:35:00Z');
+
+    await a.runGame('schedule-1', thursday);
+    await b.recordMissedRun(b.schedules.get('schedule-1'), thursday, 'Timer fired late');
+
+    assert.equal(service.runs.size, 1);
+    assert.equal([...service.runs.values()][0].status, 'completed');
+  });
+
+  it('skips the run when the claim cannot be checked', async () => {
+    const service = createFakeScheduleService();
+    service.claimScheduleRun = async () => {
+      throw new Error('connection refused');
+    };
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+
+    await a.runGame('schedule-1', occurrence('2026-11-06T02:35:00Z'));
+
+    assert.equal(sessions.length, 0);
+  });
+
+  it('starts one game when two manual triggers overlap', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+
+    const first = a.runNow('schedule-1');
+    assert.equal(a.isGameRunning('schedule-1'), true);
+    await Promise.all([first, a.runNow('schedule-1')]);
+
+    assert.equal(sessions.length, 1);
+    assert.equal(a.isGameRunning('schedule-1'), false);
+  });
+
+  it('records an occurrence as missed while a manual game is running', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+
+    const manual = a.runNow('schedule-1');
+    await a.runGame('schedule-1', occurrence('2026-11-06T02:35:00Z'));
+    await manual;
+
+    assert.equal(sessions.length, 1);
+    const missed = [...service.runs.values()].find(run => run.status === 'missed');
+    assert.equal(missed.reason, 'Previous game still running');
+  });
+
+  it('always runs manual triggers', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+
+    await a.runNow('schedule-1');
+
+    assert.equal(sessions.length, 1);
+    assert.equal(service.runs.size, 1);
+  });
+
+  it('records manual runs in the run history', async () => {
+    const service = createFakeScheduleService();
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+
+    await a.runNow('schedule-1');
+    await a.runNow('schedule-1');
+
+    const runs = [...service.runs.values()];
+    assert.equal(runs.length, 2);
+    assert.ok(runs.every(run => run.runType === 'manual' && run.status === 'completed' && run.claimedBy === 'a'));
+    assert.equal(runs[0].sessionId, 'session-a');
+  });
+
+  it('runs a manual trigger even when it cannot be recorded', async () => {
+    const service = createFakeScheduleService();
+    service.claimScheduleRun = async () => {
+      throw new Error('connection refused');
+    };
+    const sessions = [];
+    const a = createScheduler('a', service, weekly, sessions);
+
+    await a.runNow('schedule-1');
+
+    assert.equal(sessions.length, 1);
+  });
+});
+
+describe('GameScheduler.scheduleNext', () => {
+  it('keeps scheduling when the next run time cannot be recorded', async () => {
+    const service = createFakeScheduleService();
+    service.updateScheduleRunTimes = async () => {
+      throw new Error('connection refused');
+    };
+    const a = createScheduler('a', service, weekly, []);
+    const unhandled = [];
+    const onUnhandled = error => unhandled.push(error);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      a.scheduleNext('schedule-1');
+      await tick();
+      await tick();
+
+      assert.equal(a.timers.has('schedule-1'), true);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+      a.timers.forEach(timer => clearTimeout(timer));
+    }
+  });
+});
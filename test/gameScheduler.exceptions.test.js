@@ -0,0 +1,114 @@
+/**
+ * GameScheduler blackout date and override tests
+ * NFL-style schedule: Thursday, Sunday and Monday at 9:35pm Eastern.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameScheduler, scheduleExceptionFromRow } from '../src/scheduler/gameScheduler.js';
+
+const scheduler = new GameScheduler();
+
+function nfl(exceptions) {
+  return {
+    name: 'NFL',
+    gameUrl: 'https://www.crowd.live/NOEPT',
+    playerCount: 25,
+    schedule: [
+      { day: 4, hour: 21, minute: 35 },
+      { day: 0, hour: 21, minute: 35 },
+      { day: 1, hour: 21, minute: 35 },
+    ],
+    timezone: 'America/New_York',
+    exceptions,
+  };
+}
+
+// Monday 23 Nov 2026, before Thanksgiving week's Thursday game
+const from = new Date('2026-11-24T12:00:00Z');
+
+describe('GameScheduler.getNextOccurrence', () => {
+  it('skips a blackout date', () => {
+    const config = nfl([{ date: '2026-11-26', type: 'blackout', reason: 'Thanksgiving' }]);
+    const next = scheduler.getNextOccurrence(config, from);
+    assert.equal(next.status, 'scheduled');
+    assert.equal(next.runAt.toISOString(), '2026-11-30T02:35:00.000Z'); // Sunday 29 Nov
+  });
+
+  it('moves a single night to the override time, URL and player count', () => {
+    const config = nfl([{
+      date: '2026-11-26', type: 'override', time: '17:00', gameUrl: 'https://www.crowd.live/TGIVN', playerCount: 40, reason: 'Thanksgiving',
+    }]);
+    const next = scheduler.getNextOccurrence(config, from);
+    assert.equal(next.status, 'override');
+    assert.equal(next.scheduledFor.toISOString(), '2026-11-27T02:35:00.000Z');
+    assert.equal(next.runAt.toISOString(), '2026-11-26T22:00:00.000Z');
+    assert.equal(next.gameUrl, 'https://www.crowd.live/TGIVN');
+    assert.equal(next.playerCount, 40);
+  });
+
+  it('still finds a run moved later than its regular time', () => {
+    const config = nfl([{ date: '2026-11-26', type: 'override', time: '23:30' }]);
+    // 10pm Thursday: the regular 9:35pm slot has passed but the override has not
+    const next = scheduler.getNextOccurrence(config, new Date('2026-11-27T03:00:00Z'));
+    assert.equal(next.runAt.toISOString(), '2026-11-27T04:30:00.000Z');
+  });
+
+  it('drops a run moved earlier once it has passed', () => {
+    const config = nfl([{ date: '2026-11-26', type: 'override', time: '17:00' }]);
+    const next = scheduler.getNextOccurrence(config, new Date('2026-11-26T23:00:00Z'));
+    assert.equal(next.runAt.toISOString(), '2026-11-30T02:35:00.000Z');
+  });
+
+  it('returns null for a blacked-out one-time game', () => {
+    const config = {
+      name: 'Special',
+      scheduleType: 'one-time',
+      runAt: new Date('2026-12-01T01:00:00Z'),
+      timezone: 'America/New_York',
+      exceptions: [{ date: '2026-11-30', type: 'blackout' }],
+    };
+    assert.equal(scheduler.getNextOccurrence(config, from), null);
+  });
+});
+
+describe('GameScheduler.getUpcomingOccurrences', () => {
+  it('lists blackouts alongside adjusted runs', () => {
+    const config = nfl([
+      { date: '2026-11-26', type: 'blackout', reason: 'Thanksgiving' },
+      { date: '2026-11-30', type: 'override', playerCount: 10 },
+    ]);
+    const until = new Date('2026-12-02T00:00:00Z');
+    const occurrences = scheduler.getUpcomingOccurrences(config, { from, until });
+
+    assert.deepEqual(occurrences.map(o => [o.date, o.status]), [
+      ['2026-11-26', 'blackout'],
+      ['2026-11-29', 'scheduled'],
+      ['2026-11-30', 'override'],
+    ]);
+    assert.equal(occurrences[0].reason, 'Thanksgiving');
+    assert.equal(occurrences[2].playerCount, 10);
+    assert.equal(occurrences[2].runAt.toISOString(), '2026-12-01T02:35:00.000Z');
+  });
+});
+
+describe('scheduleExceptionFromRow', () => {
+  it('maps schedule_exceptions columns', () => {
+    const exception = scheduleExceptionFromRow({
+      exception_date: new Date(2026, 10, 26),
+      exception_type: 'override',
+      override_time: '17:00:00',
+      override_game_url: null,
+      override_player_count: 40,
+      reason: 'Thanksgiving',
+    });
+    assert.deepEqual(exception, {
+      date: '2026-11-26',
+      type: 'override',
+      time: '17:00',
+      gameUrl: null,
+      playerCount: 40,
+      reason: 'Thanksgiving',
+    });
+  });
+});
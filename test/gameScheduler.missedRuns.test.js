@@ -0,0 +1,71 @@
+/**
+ * GameScheduler missed-run detection tests
+ * Hockey-style schedule: Saturday 7:40pm Eastern (00:40Z Sunday in winter).
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameScheduler } from '../src/scheduler/gameScheduler.js';
+
+const scheduler = new GameScheduler();
+
+function hockey(extra = {}) {
+  return {
+    name: 'Hockey',
+    schedule: [{ day: 6, hour: 19, minute: 40 }],
+    timezone: 'America/New_York',
+    graceMinutes: 10,
+    ...extra,
+  };
+}
+
+// Saturday 5 Dec 2026, 7:40pm EST
+const gameTime = new Date('2026-12-06T00:40:00Z');
+const minutesAfter = minutes => new Date(gameTime.getTime() + minutes * 60000);
+
+describe('GameScheduler.findMissedOccurrences', () => {
+  it('catches up a run that is still within the grace window', () => {
+    const { catchUp, missed } = scheduler.findMissedOccurrences(hockey(), minutesAfter(5));
+    assert.equal(catchUp.runAt.toISOString(), gameTime.toISOString());
+    assert.equal(missed.length, 0);
+  });
+
+  it('reports a run outside the grace window as missed', () => {
+    const config = hockey({ nextRun: gameTime });
+    const { catchUp, missed } = scheduler.findMissedOccurrences(config, minutesAfter(30));
+    assert.equal(catchUp, null);
+    assert.equal(missed.length, 1);
+    assert.match(missed[0].reason, /30 min late exceeds 10 min grace window/);
+  });
+
+  it('reports every run since the last run', () => {
+    const config = hockey({
+      schedule: [{ day: 3, hour: 19, minute: 40 }, { day: 6, hour: 19, minute: 40 }],
+      lastRun: new Date('2026-11-29T00:45:00Z'),
+    });
+    const { catchUp, missed } = scheduler.findMissedOccurrences(config, minutesAfter(5));
+    assert.equal(catchUp.runAt.toISOString(), gameTime.toISOString());
+    assert.deepEqual(missed.map(m => m.occurrence.runAt.toISOString()), ['2026-12-03T00:40:00.000Z']); // Wednesday
+    assert.match(missed[0].reason, /Superseded by a later run/);
+  });
+
+  it('ignores runs that have already happened', () => {
+    const config = hockey({ lastRun: minutesAfter(0) });
+    const { catchUp, missed } = scheduler.findMissedOccurrences(config, minutesAfter(5));
+    assert.equal(catchUp, null);
+    assert.equal(missed.length, 0);
+  });
+
+  it('ignores blackout dates', () => {
+    const config = hockey({ exceptions: [{ date: '2026-12-05', type: 'blackout' }] });
+    const { catchUp, missed } = scheduler.findMissedOccurrences(config, minutesAfter(5));
+    assert.equal(catchUp, null);
+    assert.equal(missed.length, 0);
+  });
+
+  it('looks back at most a week', () => {
+    const config = hockey({ lastRun: new Date('2026-01-01T00:00:00Z') });
+    const { missed } = scheduler.findMissedOccurrences(config, minutesAfter(30));
+    assert.equal(missed.length, 1);
+  });
+});
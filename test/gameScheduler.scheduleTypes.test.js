@@ -0,0 +1,115 @@
+/**
+ * GameScheduler one-time and cron schedule tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameScheduler, scheduleConfigFromRow } from '../src/scheduler/gameScheduler.js';
+import { parseCron, isValidCron, getNextCronTime } from '../src/scheduler/cron.js';
+
+const scheduler = new GameScheduler();
+const TZ = 'America/New_York';
+
+function recurring(cron, extra = {}) {
+  return { name: 'Test', scheduleType: 'recurring', cron, timezone: TZ, ...extra };
+}
+
+describe('parseCron', () => {
+  it('accepts names, ranges, lists and steps', () => {
+    const parsed = parseCron('0-59/15 21 * JAN-MAR MON-FRI,7');
+    assert.deepEqual([...parsed.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...parsed.month], [1, 2, 3]);
+    assert.deepEqual([...parsed.dayOfWeek].sort(), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.equal(isValidCron('35 21 * *'), false);
+    assert.equal(isValidCron('60 21 * * *'), false);
+    assert.equal(isValidCron('35 21 * * FOO'), false);
+    assert.equal(isValidCron('35 21 5-1 * *'), false);
+    assert.equal(isValidCron('35 21 * * THU,SUN,MON'), true);
+  });
+});
+
+describe('getNextCronTime', () => {
+  it('evaluates wall-clock times in the given timezone', () => {
+    const from = new Date('2026-02-05T12:00:00Z'); // Thursday
+    const next = getNextCronTime('35 21 * * THU,SUN,MON', from, TZ);
+    assert.equal(next.toISOString(), '2026-02-06T02:35:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    const from = new Date('2026-02-02T12:00:00Z'); // Monday 2 Feb
+    const next = getNextCronTime('0 20 13 * FRI', from, TZ);
+    assert.equal(next.toISOString(), '2026-02-07T01:00:00.000Z'); // Fri 6 Feb, before the 13th
+  });
+
+  it('finds rare dates such as 29 February', () => {
+    const next = getNextCronTime('0 12 29 2 *', new Date('2026-03-01T00:00:00Z'), TZ);
+    assert.equal(next.toISOString(), '2028-02-29T17:00:00.000Z');
+  });
+});
+
+describe('GameScheduler.getNextRunTime for one-time schedules', () => {
+  const runAt = new Date('2027-01-17T01:15:00Z');
+  const config = { name: 'Playoff Special', scheduleType: 'one-time', runAt, timezone: TZ };
+
+  it('returns runAt while it is in the future', () => {
+    assert.equal(scheduler.getNextRunTime(config, new Date('2026-12-01T00:00:00Z')), runAt);
+  });
+
+  it('returns null once runAt has passed', () => {
+    assert.equal(scheduler.getNextRunTime(config, runAt), null);
+  });
+});
+
+describe('GameScheduler.getNextRunTime for recurring schedules', () => {
+  it('waits for start_date', () => {
+    const config = recurring('35 21 * * THU', { startDate: '2026-09-10' });
+    const next = scheduler.getNextRunTime(config, new Date('2026-08-01T00:00:00Z'));
+    assert.equal(next.toISOString(), '2026-09-11T01:35:00.000Z'); // Thu 10 Sep, 9:35pm EDT
+  });
+
+  it('includes runs on end_date and stops after it', () => {
+    const config = recurring('35 21 * * THU', { endDate: '2026-12-31' });
+    const last = scheduler.getNextRunTime(config, new Date('2026-12-30T00:00:00Z'));
+    assert.equal(last.toISOString(), '2027-01-01T02:35:00.000Z'); // Thu 31 Dec, 9:35pm EST
+    assert.equal(scheduler.getNextRunTime(config, last), null);
+  });
+
+  it('returns null without a cron expression', () => {
+    assert.equal(scheduler.getNextRunTime(recurring(null), new Date()), null);
+  });
+});
+
+describe('scheduleConfigFromRow', () => {
+  it('maps one-time and recurring columns', () => {
+    const config = scheduleConfigFromRow({
+      name: 'Season',
+      schedule_type: 'recurring',
+      cron_expression: '35 21 * * THU',
+      start_date: new Date(2026, 8, 10), // pg DATE values are local midnight
+      end_date: '2027-01-03',
+      run_at: '2027-01-17T01:15:00Z',
+    });
+    assert.equal(config.cron, '35 21 * * THU');
+    assert.equal(config.startDate, '2026-09-10');
+    assert.equal(config.endDate, '2027-01-03');
+    assert.equal(config.runAt.toISOString(), '2027-01-17T01:15:00.000Z');
+  });
+});
+
+describe('GameScheduler.getStatus', () => {
+  it('describes each schedule type', () => {
+    const statusScheduler = new GameScheduler();
+    statusScheduler.addSchedule('weekly', { name: 'Weekly', schedule: [{ day: 4, hour: 21, minute: 35 }], timezone: TZ });
+    statusScheduler.addSchedule('cron', recurring('35 21 * * THU', { endDate: '2027-01-03' }));
+    statusScheduler.addSchedule('once', { name: 'Once', scheduleType: 'one-time', runAt: new Date('2020-01-01T00:00:00Z'), timezone: TZ });
+
+    const [weekly, cron, once] = statusScheduler.getStatus().leagues;
+    assert.equal(weekly.scheduleType, 'weekly');
+    assert.equal(weekly.schedule, 'Thu 21:35');
+    assert.equal(cron.schedule, 'cron "35 21 * * THU" from now until 2027-01-03');
+    assert.equal(once.nextRun, null);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * GameScheduler timezone tests
+ * Pins the reference clock around the 2026 US DST changeovers
+ * (spring forward Sun 8 Mar, fall back Sun 1 Nov).
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameScheduler, SCHEDULES } from '../src/scheduler/gameScheduler.js';
+import { zonedTimeToUtc } from '../src/utils/timezone.js';
+
+const scheduler = new GameScheduler();
+const originalTz = process.env.TZ;
+
+function weekly(day, hour, minute, timezone = 'America/New_York') {
+  return { name: 'Test', schedule: [{ day, hour, minute }], timezone };
+}
+
+describe('GameScheduler.getNextRunTime', () => {
+  afterEach(() => {
+    process.env.TZ = originalTz;
+  });
+
+  it('runs NFL Thursday 9:35pm Eastern on a UTC host in winter (EST)', () => {
+    process.env.TZ = 'UTC';
+    const from = new Date('2026-02-05T12:00:00Z'); // Thursday morning
+    const next = scheduler.getNextRunTime(SCHEDULES.nfl, from);
+    assert.equal(next.toISOString(), '2026-02-06T02:35:00.000Z');
+  });
+
+  it('runs NFL Thursday 9:35pm Eastern on a UTC host in summer (EDT)', () => {
+    process.env.TZ = 'UTC';
+    const from = new Date('2026-07-02T12:00:00Z'); // Thursday morning
+    const next = scheduler.getNextRunTime(SCHEDULES.nfl, from);
+    assert.equal(next.toISOString(), '2026-07-03T01:35:00.000Z');
+  });
+
+  it('gives the same instant regardless of the host timezone', () => {
+    const from = new Date('2026-03-07T12:00:00Z');
+    const results = ['UTC', 'Asia/Tokyo', 'America/Los_Angeles', 'Europe/Kyiv'].map(tz => {
+      process.env.TZ = tz;
+      return scheduler.getNextRunTime(SCHEDULES.nfl, from).toISOString();
+    });
+    assert.equal(new Set(results).size, 1);
+  });
+
+  it('keeps 9:35pm local across the March changeover', () => {
+    process.env.TZ = 'UTC';
+    // Saturday before DST starts -> Sunday game is already on EDT
+    const from = new Date('2026-03-07T15:00:00Z');
+    const next = scheduler.getNextRunTime(weekly(0, 21, 35), from);
+    assert.equal(next.toISOString(), '2026-03-09T01:35:00.000Z');
+  });
+
+  it('keeps 9:35pm local across the November changeover', () => {
+    process.env.TZ = 'UTC';
+    // Saturday before DST ends -> Sunday game is back on EST
+    const from = new Date('2026-10-31T15:00:00Z');
+    const next = scheduler.getNextRunTime(weekly(0, 21, 35), from);
+    assert.equal(next.toISOString(), '2026-11-02T02:35:00.000Z');
+  });
+
+  it('uses the local weekday, not the UTC weekday', () => {
+    process.env.TZ = 'UTC';
+    // 01:00Z Friday is still Thursday 9pm in New York; the 9:35pm game is ahead
+    const from = new Date('2026-02-06T02:00:00Z');
+    const next = scheduler.getNextRunTime(weekly(4, 21, 35), from);
+    assert.equal(next.toISOString(), '2026-02-06T02:35:00.000Z');
+  });
+
+  it('moves to the following week once the slot has passed', () => {
+    process.env.TZ = 'UTC';
+    const from = new Date('2026-02-06T02:35:00Z'); // exactly at game time
+    const next = scheduler.getNextRunTime(weekly(4, 21, 35), from);
+    assert.equal(next.toISOString(), '2026-02-13T02:35:00.000Z');
+  });
+
+  it('honours other schedule timezones', () => {
+    process.env.TZ = 'UTC';
+    const from = new Date('2026-11-01T03:00:00Z'); // Saturday 8pm PDT, after the game
+    const next = scheduler.getNextRunTime(weekly(6, 19, 40, 'America/Los_Angeles'), from);
+    assert.equal(next.toISOString(), '2026-11-08T03:40:00.000Z');
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('moves a time inside the spring-forward gap forward by the gap', () => {
+    const utc = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York');
+    assert.equal(utc.toISOString(), '2026-03-08T07:30:00.000Z'); // 03:30 EDT
+  });
+
+  it('resolves a repeated fall-back time to its first occurrence', () => {
+    const utc = zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York');
+    assert.equal(utc.toISOString(), '2026-11-01T05:30:00.000Z'); // 01:30 EDT
+  });
+
+  it('converts ordinary times on changeover days', () => {
+    const march = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 21, minute: 35 }, 'America/New_York');
+    const november = zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 21, minute: 35 }, 'America/New_York');
+    assert.equal(march.toISOString(), '2026-03-09T01:35:00.000Z');
+    assert.equal(november.toISOString(), '2026-11-02T02:35:00.000Z');
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * GameSession tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSession } from '../src/orchestrator/gameSession.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A pool whose game ends as soon as stopAll() starts tearing bots down
+function createFakePool() {
+  let finish;
+  const game = new Promise(resolve => { finish = resolve; });
+  return {
+    startAll: () => game,
+    getStats: () => ({}),
+    async stopAll() {
+      finish({ total: 1 });
+      await tick();
+      await tick();
+    },
+  };
+}
+
+describe('GameSession.stop', () => {
+  it('keeps a stopped session stopped when the game ends during teardown', async () => {
+    const session = new GameSession({ gameUrl: 'https://example.test/game', players: [{ nickname: 'Ann42' }], saveResults: false });
+    session.pool = createFakePool();
+
+    const statuses = [];
+    session.events.on('status', status => statuses.push(status.status));
+
+    const started = session.start();
+    await tick();
+    await session.stop();
+    const results = await started;
+
+    assert.equal(session.status, 'stopped');
+    assert.equal(results.status, 'stopped');
+    assert.ok(!statuses.includes('completed'));
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Migration listing tests
+ * Uses temporary migration directories (no database needed).
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { listMigrations, compareMigrations, createMigration, MIGRATIONS_DIR } from '../db/migrator.js';
+
+describe('listMigrations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'migrations-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function touch(file) {
+    writeFileSync(join(dir, file), '-- sql\n');
+  }
+
+  it('pairs up/down files and sorts by version', () => {
+    touch('0010_add_teams.up.sql');
+    touch('0010_add_teams.down.sql');
+    touch('0002_add_traits.up.sql');
+    touch('0002_add_traits.down.sql');
+    touch('README.md');
+
+    const migrations = listMigrations(dir);
+    assert.deepEqual(migrations.map(m => `${m.version}_${m.name}`), ['2_add_traits', '10_add_teams']);
+  });
+
+  it('requires a down file for every up file', () => {
+    touch('0002_add_traits.up.sql');
+    assert.throws(() => listMigrations(dir), /needs both/);
+  });
+
+  it('rejects two migrations with the same version', () => {
+    touch('0002_add_traits.up.sql');
+    touch('0002_add_traits.down.sql');
+    touch('0002_add_teams.up.sql');
+    assert.throws(() => listMigrations(dir), /different names/);
+  });
+
+  it('creates the next migration pair', () => {
+    touch('0001_baseline.up.sql');
+    touch('0001_baseline.down.sql');
+
+    const migration = createMigration('add_traits', dir);
+    assert.equal(migration.version, 2);
+    assert.deepEqual(readdirSync(dir).sort(), [
+      '0001_baseline.down.sql',
+      '0001_baseline.up.sql',
+      '0002_add_traits.down.sql',
+      '0002_add_traits.up.sql',
+    ]);
+  });
+
+  it('lists the repository migrations starting with the baseline', () => {
+    const [first] = listMigrations(MIGRATIONS_DIR);
+    assert.equal(first.version, 1);
+    assert.equal(first.name, 'baseline');
+  });
+});
+
+describe('compareMigrations', () => {
+  const migrations = [
+    { version: 1, name: 'baseline' },
+    { version: 2, name: 'add_traits' },
+  ];
+
+  it('splits applied and pending migrations', () => {
+    const status = compareMigrations(migrations, [{ version: 1, name: 'baseline', applied_at: '2026-01-01' }]);
+    assert.deepEqual(status.applied.map(m => m.version), [1]);
+    assert.deepEqual(status.pending.map(m => m.version), [2]);
+    assert.deepEqual(status.unknown, []);
+  });
+
+  it('reports applied migrations that are missing on disk', () => {
+    const status = compareMigrations(migrations, [
+      { version: 1, name: 'baseline' },
+      { version: 2, name: 'add_traits' },
+      { version: 3, name: 'add_teams' },
+    ]);
+    assert.deepEqual(status.pending, []);
+    assert.deepEqual(status.unknown.map(row => row.version), [3]);
+  });
+});
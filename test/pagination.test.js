@@ -0,0 +1,103 @@
+/**
+ * Pagination tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor, parsePagination, buildPageQuery, toPage } from '../utils/pagination.js';
+
+const SORTS = { created_at: 'created_at', nickname: 'nickname' };
+const options = { sortFields: SORTS, defaultSort: 'created_at', defaultOrder: 'desc' };
+
+describe('cursors', () => {
+  it('round-trips a position', () => {
+    const position = { sort: 'created_at', order: 'desc', value: '2026-03-01 10:00:00.123456', id: 'abc' };
+    assert.deepEqual(decodeCursor(encodeCursor(position)), position);
+  });
+
+  it('rejects malformed cursors with 400', () => {
+    for (const cursor of ['not-a-cursor', Buffer.from('{"s":"x"}').toString('base64url')]) {
+      assert.throws(() => decodeCursor(cursor), { message: 'Invalid cursor', status: 400 });
+    }
+  });
+});
+
+describe('parsePagination', () => {
+  it('applies the endpoint defaults', () => {
+    assert.deepEqual(parsePagination({}, options), {
+      page: 1, pageSize: 50, sort: 'created_at', order: 'desc', column: 'created_at', cursor: null,
+    });
+  });
+
+  it('sorts other fields ascending unless told otherwise', () => {
+    const pagination = parsePagination({ sort: 'nickname', page: '3', pageSize: '20' }, options);
+    assert.equal(pagination.order, 'asc');
+    assert.equal(pagination.page, 3);
+    assert.equal(pagination.pageSize, 20);
+  });
+
+  it('takes sort and order from the cursor', () => {
+    const cursor = encodeCursor({ sort: 'nickname', order: 'desc', value: 'Q', id: '1' });
+    const pagination = parsePagination({ cursor, page: '4' }, options);
+    assert.equal(pagination.sort, 'nickname');
+    assert.equal(pagination.order, 'desc');
+    assert.equal(pagination.page, null);
+  });
+
+  it('rejects a cursor issued for another sort', () => {
+    const cursor = encodeCursor({ sort: 'nickname', order: 'asc', value: 'Q', id: '1' });
+    assert.throws(() => parsePagination({ cursor, sort: 'created_at' }, options), { status: 400 });
+  });
+
+  it('rejects unknown sort fields', () => {
+    const cursor = encodeCursor({ sort: 'password', order: 'asc', value: 'x', id: '1' });
+    assert.throws(() => parsePagination({ cursor }, options), /sort must be one of: created_at, nickname/);
+  });
+});
+
+describe('buildPageQuery', () => {
+  const base = 'SELECT * FROM players WHERE league_id = $1';
+
+  it('pages by offset and fetches one extra row', () => {
+    const { sql, params, countSql, countParams } = buildPageQuery(base, ['L1'], parsePagination({ page: '2', pageSize: '10' }, options));
+    assert.match(sql, /ORDER BY t\."created_at" DESC NULLS LAST, t\.id DESC\s+LIMIT \$2 OFFSET \$3/);
+    assert.deepEqual(params, ['L1', 11, 10]);
+    assert.equal(countSql, `SELECT COUNT(*) AS total FROM (${base}) t`);
+    assert.deepEqual(countParams, ['L1']);
+  });
+
+  it('continues after the cursor row', () => {
+    const cursor = encodeCursor({ sort: 'created_at', order: 'desc', value: '2026-03-01 10:00:00', id: 'p9' });
+    const { sql, params } = buildPageQuery(base, ['L1'], parsePagination({ cursor, pageSize: '10' }, options));
+    assert.match(sql, /t\."created_at" < \$3/);
+    assert.match(sql, /t\."created_at" = \$3 AND t\.id < \$2/);
+    assert.match(sql, /OR t\."created_at" IS NULL/);
+    assert.deepEqual(params, ['L1', 'p9', '2026-03-01 10:00:00', 11, 0]);
+  });
+
+  it('stays among NULL sort values once it reaches them', () => {
+    const cursor = encodeCursor({ sort: 'nickname', order: 'asc', value: null, id: 'p9' });
+    const { sql, params } = buildPageQuery(base, ['L1'], parsePagination({ cursor }, options));
+    assert.match(sql, /WHERE t\."nickname" IS NULL AND t\.id > \$2/);
+    assert.deepEqual(params, ['L1', 'p9', 51, 0]);
+  });
+});
+
+describe('toPage', () => {
+  const pagination = { page: 1, pageSize: 2, sort: 'nickname', order: 'asc' };
+  const row = (id, nickname) => ({ id, nickname, __sort_value: nickname });
+
+  it('returns a cursor for the last row when there are more rows', () => {
+    const page = toPage([row('1', 'A'), row('2', 'B'), row('3', 'C')], 5, pagination);
+    assert.deepEqual(page.data, [{ id: '1', nickname: 'A' }, { id: '2', nickname: 'B' }]);
+    assert.equal(page.total, 5);
+    assert.equal(page.totalPages, 3);
+    assert.deepEqual(decodeCursor(page.nextCursor), { sort: 'nickname', order: 'asc', value: 'B', id: '2' });
+  });
+
+  it('has no cursor on the last page', () => {
+    const page = toPage([row('1', 'A')], 1, pagination);
+    assert.equal(page.nextCursor, null);
+    assert.equal(page.totalPages, 1);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Player history tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeHistory, weekStart } from '../services/playerHistoryService.js';
+
+function result(overrides) {
+  return {
+    id: 'r',
+    accuracy: '80.00',
+    final_rank: 3,
+    status: 'completed',
+    league_id: 'nhl',
+    league_name: 'NHL',
+    played_at: '2026-03-05T01:35:00Z',
+    ...overrides,
+  };
+}
+
+describe('weekStart', () => {
+  it('returns the Monday of the week', () => {
+    assert.equal(weekStart(new Date('2026-03-05T01:35:00Z')), '2026-03-02');
+    assert.equal(weekStart(new Date('2026-03-08T23:00:00Z')), '2026-03-02');
+    assert.equal(weekStart(new Date('2026-03-09T00:00:00Z')), '2026-03-09');
+  });
+});
+
+describe('summarizeHistory', () => {
+  const rows = [
+    result({ id: 'r1', accuracy: '70.00', final_rank: 5, played_at: '2026-03-02T20:00:00Z' }),
+    result({ id: 'r2', accuracy: '90.00', final_rank: 1, played_at: '2026-03-05T20:00:00Z' }),
+    result({ id: 'r3', accuracy: null, final_rank: null, status: 'failed', played_at: '2026-03-06T20:00:00Z' }),
+    result({ id: 'r4', accuracy: '50.00', final_rank: 8, league_id: 'nfl', league_name: 'NFL', played_at: '2026-03-10T20:00:00Z' }),
+  ];
+
+  it('summarizes completed games', () => {
+    const { summary } = summarizeHistory(rows);
+    assert.deepEqual(summary, { games: 3, average_accuracy: 70, average_rank: 4.67, best_finish: 1, wins: 1 });
+  });
+
+  it('computes rolling accuracy over the window', () => {
+    const { results } = summarizeHistory(rows, { window: 2 });
+    assert.deepEqual(results.map(r => r.rolling_accuracy), [70, 80, 80, 70]);
+  });
+
+  it('groups games by league, most played first', () => {
+    const { leagues } = summarizeHistory(rows);
+    assert.deepEqual(leagues.map(l => [l.league_name, l.games, l.best_finish]), [['NHL', 2, 1], ['NFL', 1, 8]]);
+  });
+
+  it('builds a weekly trend', () => {
+    const { trend } = summarizeHistory(rows);
+    assert.deepEqual(trend, [
+      { week: '2026-03-02', games: 2, average_accuracy: 80, average_rank: 3, best_finish: 1, rolling_accuracy: 80 },
+      { week: '2026-03-09', games: 1, average_accuracy: 50, average_rank: 8, best_finish: 8, rolling_accuracy: 70 },
+    ]);
+  });
+
+  it('handles a player without results', () => {
+    assert.deepEqual(summarizeHistory([]), {
+      summary: { games: 0, average_accuracy: null, average_rank: null, best_finish: null, wins: 0 },
+      leagues: [],
+      trend: [],
+      results: [],
+    });
+  });
+});
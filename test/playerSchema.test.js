@@ -0,0 +1,92 @@
+/**
+ * Player profile tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProfile, profileFromDatabaseRow, profileToDatabaseColumns, validateProfile } from '../src/players/playerSchema.js';
+
+function dbRow(overrides) {
+  return {
+    id: 'db-1',
+    participant_id: 'P-1',
+    nickname: 'Ann42',
+    name: 'Ann Lee',
+    email: 'ann@example.com',
+    accuracy: '82.00',
+    personality: 'fast',
+    reaction_time: { min: 1800, max: 6200, average: 3400 },
+    knowledge_areas: { hockey: 0.9 },
+    consistency: '0.65',
+    streak_behavior: false,
+    late_join_chance: '0.050',
+    no_show_chance: '0.012',
+    early_leave_chance: '0.000',
+    backstory: 'Never misses a Thursday',
+    rivalries: ['Bo17'],
+    sponsors: [],
+    ...overrides,
+  };
+}
+
+describe('profileFromDatabaseRow', () => {
+  it('reads the stored behavior profile', () => {
+    const profile = profileFromDatabaseRow(dbRow());
+    assert.equal(profile.accuracy, 0.82);
+    assert.deepEqual(profile.reactionTime, { min: 1800, max: 6200, average: 3400 });
+    assert.equal(profile.knowledgeAreas.hockey, 0.9);
+    assert.equal(profile.knowledgeAreas.general, 0.7);
+    assert.equal(profile.consistency, 0.65);
+    assert.equal(profile.streakBehavior, false);
+    assert.equal(profile.noShowChance, 0.012);
+    assert.equal(profile.earlyLeaveChance, 0);
+    assert.deepEqual(profile.rivalries, ['Bo17']);
+    assert.deepEqual(validateProfile(profile), { valid: true, errors: [] });
+  });
+
+  it('falls back to the defaults for rows without a stored profile', () => {
+    const profile = profileFromDatabaseRow({ id: 'db-1', nickname: 'Ann42' });
+    assert.deepEqual(profile.reactionTime, { min: 2000, max: 10000, average: 5000 });
+    assert.equal(profile.lateJoinChance, 0.1);
+    assert.equal(profile.streakBehavior, true);
+    assert.deepEqual(profile.sponsors, []);
+  });
+
+  it('round-trips through the database columns', () => {
+    const columns = profileToDatabaseColumns(profileFromDatabaseRow(dbRow()));
+    assert.deepEqual(profileToDatabaseColumns(profileFromDatabaseRow(dbRow(columns))), columns);
+  });
+});
+
+describe('validateProfile', () => {
+  const valid = () => createProfile({ id: 'p', nickname: 'Ann42', email: 'ann@example.com' });
+
+  it('accepts the default profile', () => {
+    assert.equal(validateProfile(valid()).valid, true);
+  });
+
+  it('checks reaction times', () => {
+    const check = reactionTime => validateProfile({ ...valid(), reactionTime }).errors;
+    assert.deepEqual(check({ min: 5000, max: 4000, average: 4500 }), ['Reaction time min must be less than max']);
+    assert.deepEqual(check({ min: 2000, max: 4000, average: 4500 }), ['Reaction time average must be between min and max']);
+    assert.deepEqual(check({ min: -1, max: 4000, average: 3000 }), ['Reaction time min, max and average must be positive numbers']);
+  });
+
+  it('checks the behavior fields', () => {
+    const { errors } = validateProfile({
+      ...valid(),
+      knowledgeAreas: { hockey: 1.5 },
+      noShowChance: -0.1,
+      consistency: '0.5',
+      streakBehavior: 'yes',
+      rivalries: 'Bo17',
+    });
+    assert.deepEqual(errors, [
+      'Knowledge area hockey must be between 0 and 1',
+      'Consistency must be between 0 and 1',
+      'No-show chance must be between 0 and 1',
+      'Streak behavior must be true or false',
+      'Rivalries must be a list of names',
+    ]);
+  });
+});
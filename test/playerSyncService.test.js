@@ -0,0 +1,198 @@
+/**
+ * Player sync diff tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySync, diffPlayers, parsePlayerFile, toPlayerRow } from '../services/playerSyncService.js';
+
+function dbPlayer(overrides) {
+  return {
+    id: 'db-1',
+    participant_id: 'P-1',
+    active: true,
+    nickname: 'Ann42',
+    name: 'Ann Lee',
+    email: 'ann@example.com',
+    phone: '+14155551000',
+    accuracy: '82.00',
+    team: 'Red',
+    ...overrides,
+  };
+}
+
+function sheetRow(overrides) {
+  return {
+    participant_id: 'P-1',
+    nickname: 'Ann42',
+    name: 'Ann Lee',
+    email: 'ann@example.com',
+    phone: '+14155551000',
+    accuracy: 82,
+    personality: 'fast',
+    team: 'Red',
+    ...overrides,
+  };
+}
+
+describe('diffPlayers', () => {
+  it('sorts rows into new, changed and unchanged', () => {
+    const diff = diffPlayers(
+      [sheetRow(), sheetRow({ participant_id: 'P-2', email: 'bo@example.com', accuracy: 75, team: 'Blue' }), sheetRow({ participant_id: 'P-3', email: 'cy@example.com' })],
+      [dbPlayer(), dbPlayer({ id: 'db-2', participant_id: 'P-2', email: 'bo@example.com', team: 'Red' })]
+    );
+
+    assert.deepEqual(diff.summary, { rows: 3, new: 1, changed: 1, unchanged: 1, missing: 0, duplicates: 0 });
+    assert.equal(diff.unchanged[0].id, 'db-1');
+    assert.deepEqual(diff.changed[0].fields, ['accuracy', 'team']);
+    assert.deepEqual(diff.changed[0].changes, { accuracy: { from: 82, to: 75 }, team: { from: 'Red', to: 'Blue' } });
+    assert.equal(diff.new[0].participant_id, 'P-3');
+  });
+
+  it('reactivates players that were missing and are back in the sheet', () => {
+    const since = '2026-02-01T00:00:00.000Z';
+    const diff = diffPlayers([sheetRow()], [dbPlayer({ active: false, missing_since: since })]);
+    assert.deepEqual(diff.changed[0].changes, {
+      missing_since: { from: since, to: null },
+      active: { from: false, to: true },
+    });
+  });
+
+  it('treats another spelling of the same team as unchanged', () => {
+    const diff = diffPlayers([sheetRow({ team: ' red. ' })], [dbPlayer()]);
+    assert.equal(diff.summary.unchanged, 1);
+  });
+
+  it('falls back to a case-insensitive email match', () => {
+    const diff = diffPlayers([sheetRow({ participant_id: 'NEW-ID', email: 'ANN@example.com' })], [dbPlayer()]);
+    assert.equal(diff.summary.new, 0);
+    assert.deepEqual(diff.changed[0].fields, ['email']);
+  });
+
+  it('skips rows repeating a participant_id or matching the same player', () => {
+    const diff = diffPlayers([
+      sheetRow({ participant_id: 'P-9', email: 'new@example.com' }),
+      sheetRow({ participant_id: 'P-9', email: 'other@example.com' }),
+      sheetRow(),
+      sheetRow({ participant_id: null }),
+    ], [dbPlayer()]);
+    assert.equal(diff.summary.new, 1);
+    assert.equal(diff.summary.unchanged, 1);
+    assert.equal(diff.summary.duplicates, 2);
+  });
+
+  it('lists active players the sheet no longer has as missing', () => {
+    const diff = diffPlayers([sheetRow()], [
+      dbPlayer(),
+      dbPlayer({ id: 'db-2', participant_id: 'P-2', email: 'bo@example.com' }),
+      dbPlayer({ id: 'db-3', participant_id: 'P-3', email: 'cy@example.com', active: false }),
+    ]);
+    assert.deepEqual(diff.missing.map(player => player.id), ['db-2']);
+  });
+});
+
+describe('applySync', () => {
+  function fakeTransaction() {
+    const statements = [];
+    return {
+      statements,
+      query: async (text, params) => {
+        statements.push({ text, params });
+        if (text.includes('WITH upserted')) return { rows: [{ created: String(JSON.parse(params[0]).length), updated: '0' }] };
+        if (text.includes('FROM players old')) {
+          const rows = params[0].map(id => ({
+            id, participant_id: 'X', nickname: 'Di55', before_active: true, before_missing_since: null,
+            active: !text.includes('active = false'), missing_since: '2026-03-05T00:00:00Z',
+          }));
+          return { rows, rowCount: rows.length };
+        }
+        return { rows: [], rowCount: Array.isArray(params?.[0]) ? params[0].length : 0 };
+      },
+    };
+  }
+
+  it('applies any number of rows with one statement per step', async () => {
+    const rows = Array.from({ length: 5000 }, (_, i) => sheetRow({ participant_id: `P-${i}`, email: `p${i}@example.com` }));
+    const diff = diffPlayers(rows, [dbPlayer({ id: 'db-0', participant_id: 'P-0', email: 'p0@example.com', team: 'Blue' }), dbPlayer({ id: 'gone', participant_id: 'X' })]);
+    const tx = fakeTransaction();
+
+    const counts = await applySync(diff, { missingPolicy: 'deactivate', tx });
+
+    assert.equal(tx.statements.length, 5); // lock, create teams, upsert new, update changed, deactivate missing
+    assert.match(tx.statements[0].text, /pg_advisory_xact_lock/);
+    assert.match(tx.statements[1].text, /INSERT INTO teams/);
+    // New rows find their league by participant_id, changed rows by player id
+    const teamRows = JSON.parse(tx.statements[1].params[0]);
+    assert.deepEqual(teamRows[0], { participant_id: 'P-1', team: rows[1].team });
+    assert.deepEqual(teamRows.at(-1), { id: 'db-0', team: rows[0].team });
+    assert.match(tx.statements[2].text, /jsonb_to_recordset/);
+    assert.equal(JSON.parse(tx.statements[3].params[0])[0].id, 'db-0');
+    assert.deepEqual(tx.statements[4].params[0], ['gone']);
+    assert.equal(counts.created, 4999);
+    assert.equal(counts.deactivated, 1);
+    assert.ok(counts.durationMs >= 0);
+  });
+
+  it('skips empty steps and leaves missing players alone by default', async () => {
+    const diff = diffPlayers([sheetRow()], [dbPlayer(), dbPlayer({ id: 'gone', participant_id: 'X', email: null })]);
+    const tx = fakeTransaction();
+    const counts = await applySync(diff, { tx });
+    assert.equal(tx.statements.length, 1);
+    assert.deepEqual({ ...counts, durationMs: 0 }, { created: 0, updated: 0, deactivated: 0, flagged: 0, missingChanges: [], durationMs: 0 });
+  });
+
+  it('reports each deactivated or flagged player with its before and after state', async () => {
+    const diff = diffPlayers([sheetRow()], [dbPlayer(), dbPlayer({ id: 'gone', participant_id: 'X', email: null })]);
+
+    const deactivated = await applySync(diff, { missingPolicy: 'deactivate', tx: fakeTransaction() });
+    assert.deepEqual(deactivated.missingChanges, [{
+      id: 'gone',
+      participant_id: 'X',
+      nickname: 'Di55',
+      action: 'deactivate',
+      before: { active: true, missing_since: null },
+      after: { active: false, missing_since: '2026-03-05T00:00:00Z' },
+    }]);
+
+    const flagged = await applySync(diff, { missingPolicy: 'flag', tx: fakeTransaction() });
+    assert.equal(flagged.missingChanges[0].action, 'flag_missing');
+    assert.deepEqual(flagged.missingChanges[0].after, { active: true, missing_since: '2026-03-05T00:00:00Z' });
+  });
+});
+
+describe('toPlayerRow', () => {
+  it('stores accuracy as a percentage', () => {
+    const row = toPlayerRow({ participantId: 'P-1', nickname: 'Ann42', name: 'Ann Lee', accuracy: 0.8234, team: null });
+    assert.equal(row.accuracy, 82.34);
+    assert.equal(row.personality, 'normal');
+    assert.equal(row.team, null);
+  });
+
+  it('keeps an accuracy of 0 and leaves a missing one unknown', () => {
+    assert.equal(toPlayerRow({ participantId: 'P-1', nickname: 'Ann42', accuracy: 0 }).accuracy, 0);
+    assert.equal(toPlayerRow({ participantId: 'P-1', nickname: 'Ann42' }).accuracy, null);
+  });
+
+  it('carries the behavior profile for new players', () => {
+    const row = toPlayerRow({ participantId: 'P-1', nickname: 'Ann42', reactionTime: { min: 1800 }, noShowChance: 0.01234 });
+    assert.deepEqual(row.reaction_time, { min: 1800, max: 10000, average: 5000 });
+    assert.equal(row.no_show_chance, 0.012);
+    assert.equal(row.streak_behavior, true);
+    assert.deepEqual(row.rivalries, []);
+  });
+});
+
+describe('parsePlayerFile', () => {
+  it('reads players from a CSV upload', () => {
+    const csv = 'Participant ID,Participant Name,Email,Percent Correct,Team\nP-1,Ann Lee,ann@example.com,82,Red\n';
+    const [player] = parsePlayerFile(Buffer.from(csv), 'players.csv');
+    assert.equal(player.participantId, 'P-1');
+    assert.equal(player.email, 'ann@example.com');
+    assert.equal(player.team, 'Red');
+    assert.equal(player.accuracy, 0.82);
+  });
+
+  it('rejects files without players with 400', () => {
+    assert.throws(() => parsePlayerFile(Buffer.from('Color\nred\n'), 'colors.csv'), { status: 400 });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Schedule service tests
+ * For player loading, a stand-in client plays the players table, honoring the league filter.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { exceptionFields, loadScheduledPlayers } from '../services/scheduleService.js';
+import { GameScheduler } from '../src/scheduler/gameScheduler.js';
+
+const PLAYERS = [
+  { id: 'p1', nickname: 'Ann42', league_id: 'nfl', active: true, accuracy: '80.00' },
+  { id: 'p2', nickname: 'Bo17', league_id: 'nhl', active: true, accuracy: '70.00' },
+  { id: 'p3', nickname: 'Cy88', league_id: 'nfl', active: true, accuracy: '75.00' },
+];
+
+function fakePlayersTable() {
+  const statements = [];
+  return {
+    statements,
+    async query(text, params) {
+      statements.push({ text, params });
+      const league = text.includes('league_id = $1') ? params[0] : null;
+      return { rows: PLAYERS.filter(player => !league || player.league_id === league) };
+    },
+  };
+}
+
+describe('loadScheduledPlayers', () => {
+  it("only loads the schedule league's players", async () => {
+    const tx = fakePlayersTable();
+
+    const players = await loadScheduledPlayers(25, { leagueId: 'nfl', tx });
+
+    assert.deepEqual(players.map(player => player.nickname), ['Ann42', 'Cy88']);
+    assert.match(tx.statements[0].text, /active = true AND league_id = \$1/);
+    assert.deepEqual(tx.statements[0].params, ['nfl', 25]);
+  });
+
+  it('picks a random set rather than the first players by nickname', async () => {
+    const tx = fakePlayersTable();
+    await loadScheduledPlayers(2, { tx });
+    assert.match(tx.statements[0].text, /ORDER BY random\(\)/);
+  });
+
+  it('loads players from any league for a schedule without one', async () => {
+    const tx = fakePlayersTable();
+    const players = await loadScheduledPlayers(25, { tx });
+    assert.equal(players.length, 3);
+    assert.doesNotMatch(tx.statements[0].text, /league_id/);
+  });
+});
+
+describe('GameScheduler.runGame player loading', () => {
+  it("passes the schedule's league to the player loader", async () => {
+    const loads = [];
+    const scheduler = new GameScheduler({
+      instanceId: 'a',
+      reloadInterval: 0,
+      scheduleService: {
+        async claimScheduleRun() { return null; },
+        async updateScheduleRun() {},
+        async updateScheduleRunTimes() {},
+        async loadScheduledPlayers(playerCount, options) {
+          loads.push({ playerCount, ...options });
+          return [{ nickname: 'Ann42' }];
+        },
+      },
+    });
+    const sessions = [];
+    scheduler.createSession = options => {
+      const session = {
+        sessionId: 'session-1',
+        options,
+        async start() { return { status: 'completed', duration: 1, completed: 1, totalPlayers: 1 }; },
+        async cleanup() {},
+      };
+      sessions.push(session);
+      return session;
+    };
+    scheduler.addSchedule('schedule-1', {
+      name: 'NFL',
+      source: 'database',
+      leagueDbId: 'nfl',
+      gameUrl: 'https://www.crowd.live/NOEPT',
+      schedule: [{ day: 4, hour: 21, minute: 35 }],
+      timezone: 'America/New_York',
+      playerCount: 25,
+      maxConcurrent: 1,
+    });
+
+    await scheduler.runNow('schedule-1');
+
+    assert.deepEqual(loads, [{ playerCount: 25, leagueId: 'nfl' }]);
+    assert.equal(sessions[0].options.leagueId, 'nfl');
+  });
+});
+
+describe('exceptionFields', () => {
+  const override = {
+    exception_type: 'override',
+    override_time: '20:00',
+    override_game_url: 'https://www.crowd.live/LATE',
+    override_player_count: 40,
+  };
+
+  it('clears the overrides when an override becomes a blackout', () => {
+    const fields = exceptionFields({ exception_type: 'blackout', reason: 'Holiday' }, override);
+
+    assert.deepEqual(fields, {
+      exception_date: undefined,
+      exception_type: 'blackout',
+      override_time: null,
+      override_game_url: null,
+      override_player_count: null,
+      reason: 'Holiday',
+    });
+  });
+
+  it('ignores override values sent for a blackout', () => {
+    const fields = exceptionFields({ exception_date: '2026-12-25', exception_type: 'blackout', override_time: '19:00' });
+    assert.equal(fields.override_time, null);
+    assert.equal(fields.override_player_count, null);
+  });
+
+  it('leaves fields that are not sent unchanged on an override', () => {
+    const fields = exceptionFields({ override_time: '21:00' }, override);
+    assert.equal(fields.override_time, '21:00');
+    assert.equal(fields.override_game_url, undefined);
+    assert.equal(fields.exception_type, undefined);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Scheduler host tests
+ * Uses the hosted scheduler with an in-memory schedule service and sessions.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameScheduler } from '../src/scheduler/gameScheduler.js';
+import { runScheduleNow } from '../services/schedulerHost.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('runScheduleNow', () => {
+  const sessions = [];
+  const original = {
+    scheduleService: gameScheduler.scheduleService,
+    createSession: gameScheduler.createSession,
+  };
+
+  gameScheduler.scheduleService = {
+    async loadEnabledSchedules() { return []; },
+    async loadUpcomingExceptions() { return []; },
+    async recordScheduleRun() { return null; },
+    async updateScheduleRun() {},
+    async updateScheduleRunTimes() {},
+    async loadScheduledPlayers() { return [{ nickname: 'Ann42' }]; },
+  };
+  gameScheduler.createSession = options => {
+    const session = {
+      sessionId: `session-${sessions.length + 1}`,
+      options,
+      async start() {
+        await tick();
+        return { status: 'completed', duration: 1, completed: 1, totalPlayers: 1 };
+      },
+      async cleanup() {},
+    };
+    sessions.push(session);
+    return session;
+  };
+  gameScheduler.addSchedule('host-schedule', {
+    name: 'NFL',
+    gameUrl: 'https://www.crowd.live/NOEPT',
+    schedule: [{ day: 4, hour: 21, minute: 35 }],
+    timezone: 'America/New_York',
+    playerCount: 1,
+    maxConcurrent: 1,
+  });
+
+  after(() => {
+    gameScheduler.removeSchedule('host-schedule');
+    Object.assign(gameScheduler, original);
+  });
+
+  it('refuses a second run of a schedule that is still starting', async () => {
+    const outcomes = await Promise.allSettled([runScheduleNow('host-schedule'), runScheduleNow('host-schedule')]);
+
+    assert.deepEqual(outcomes.map(outcome => outcome.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(outcomes.find(outcome => outcome.status === 'rejected').reason.status, 409);
+
+    while (gameScheduler.isGameRunning('host-schedule')) await tick();
+    assert.equal(sessions.length, 1);
+  });
+
+  it('responds 404 for an unknown schedule', async () => {
+    await assert.rejects(runScheduleNow('missing-schedule'), { status: 404 });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Session runner player loading tests
+ * A stand-in client records the query instead of the database.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLaunchPlayers } from '../services/sessionRunner.js';
+
+function fakeClient() {
+  const statements = [];
+  return {
+    statements,
+    async query(text, params) {
+      statements.push({ text, params });
+      return { rows: [] };
+    },
+  };
+}
+
+describe('loadLaunchPlayers', () => {
+  it('matches the team in any spelling through the teams table', async () => {
+    const tx = fakeClient();
+
+    await loadLaunchPlayers({ team: 'st louis blues', player_count: 10 }, { tx });
+
+    assert.match(tx.statements[0].text, /team_id IN \(SELECT id FROM teams WHERE name_key = team_key\(\$1\)\)/);
+    assert.doesNotMatch(tx.statements[0].text, /AND team = /);
+    assert.deepEqual(tx.statements[0].params, ['st louis blues', 10]);
+  });
+
+  it('combines the team with picked players and the league', async () => {
+    const tx = fakeClient();
+
+    await loadLaunchPlayers({ player_ids: ['p1'], team: 'Red', league_id: 'nfl' }, { tx });
+
+    assert.match(tx.statements[0].text, /id = ANY\(\$1::uuid\[\]\) AND team_id IN .*team_key\(\$2\)\) AND league_id = \$3/);
+    assert.deepEqual(tx.statements[0].params, [['p1'], 'Red', 'nfl']);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * League standings tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { asOfCutoff, computeStandings, resolvePointsConfig, scoreResult } from '../services/standingsService.js';
+
+function result(player, session, final_rank, accuracy = '75.00') {
+  return { player_id: player, nickname: player, team: null, session_id: session, final_rank, accuracy };
+}
+
+describe('scoreResult', () => {
+  const config = resolvePointsConfig({
+    rank_points: [5, 3],
+    participation_points: 1,
+    accuracy_bonuses: [{ min_accuracy: 80, points: 1 }, { min_accuracy: 90, points: 2 }],
+  });
+
+  it('scores rank, the best accuracy tier and participation', () => {
+    assert.deepEqual(scoreResult({ final_rank: 1, accuracy: '92.50' }, config), { rank_points: 5, accuracy_bonus: 2, participation_points: 1 });
+    assert.deepEqual(scoreResult({ final_rank: 2, accuracy: '85.00' }, config), { rank_points: 3, accuracy_bonus: 1, participation_points: 1 });
+  });
+
+  it('gives no rank points beyond the table or without a rank', () => {
+    assert.equal(scoreResult({ final_rank: 3, accuracy: null }, config).rank_points, 0);
+    assert.equal(scoreResult({ final_rank: null, accuracy: null }, config).rank_points, 0);
+  });
+});
+
+describe('computeStandings', () => {
+  it('orders by points with the default rules', () => {
+    const standings = computeStandings([
+      result('ann', 's1', 1), result('bo', 's1', 2),
+      result('ann', 's2', 3), result('bo', 's2', 1),
+      result('cy', 's2', 2),
+    ], resolvePointsConfig(null));
+
+    assert.deepEqual(standings.map(p => [p.position, p.player_id, p.points]), [[1, 'bo', 20], [2, 'ann', 18], [3, 'cy', 9]]);
+    assert.equal(standings[0].wins, 1);
+    assert.equal(standings[0].average_rank, 1.5);
+  });
+
+  it('applies tie-breakers in order', () => {
+    const rows = [result('ann', 's1', 1, '70.00'), result('bo', 's1', 1, '90.00')];
+    const byAccuracy = computeStandings(rows, resolvePointsConfig({ tie_breakers: ['average_accuracy'] }));
+    assert.deepEqual(byAccuracy.map(p => [p.position, p.player_id]), [[1, 'bo'], [2, 'ann']]);
+  });
+
+  it('shares a position when still level', () => {
+    const standings = computeStandings([result('bo', 's1', 1), result('ann', 's2', 1)], resolvePointsConfig(null));
+    assert.deepEqual(standings.map(p => [p.position, p.player_id]), [[1, 'ann'], [1, 'bo']]);
+  });
+
+  it('adds the attendance bonus once a player reaches the games', () => {
+    const config = resolvePointsConfig({ rank_points: [], participation_points: 0, attendance_bonus: { min_games: 2, points: 5 } });
+    const standings = computeStandings([result('ann', 's1', 4), result('ann', 's2', 4), result('bo', 's1', 5)], config);
+    assert.deepEqual(standings.map(p => [p.player_id, p.attendance_bonus, p.points]), [['ann', 5, 5], ['bo', 0, 0]]);
+  });
+});
+
+describe('asOfCutoff', () => {
+  it('includes the whole day for a bare date', () => {
+    assert.equal(asOfCutoff('2026-03-05').toISOString(), '2026-03-05T23:59:59.999Z');
+    assert.equal(asOfCutoff('2026-03-05T20:00:00Z').toISOString(), '2026-03-05T20:00:00.000Z');
+    assert.equal(asOfCutoff(null), null);
+  });
+});
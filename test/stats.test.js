@@ -0,0 +1,25 @@
+/**
+ * Result statistics helper tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { average, round } from '../utils/stats.js';
+
+describe('average', () => {
+  it('skips missing values and does not round', () => {
+    assert.equal(average([1, null, 2, undefined, 2]), 5 / 3);
+  });
+
+  it('is null without values', () => {
+    assert.equal(average([]), null);
+    assert.equal(average([null]), null);
+  });
+});
+
+describe('round', () => {
+  it('rounds to two decimals and keeps null', () => {
+    assert.equal(round(5 / 3), 1.67);
+    assert.equal(round(null), null);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * System log transport tests
+ * Uses a fake query function in place of the database.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import winston from 'winston';
+import { SystemLogTransport, serializeContext, toSystemLogRecord } from '../utils/systemLogTransport.js';
+
+function createLogger(transportOptions) {
+  const calls = [];
+  const transport = new SystemLogTransport({
+    flushInterval: 10,
+    ...transportOptions,
+    query: async (text, params) => {
+      calls.push({ text, params });
+      return { rowCount: params.length / 3 };
+    },
+  });
+  const logger = winston.createLogger({ level: 'info', transports: [transport] });
+  return { logger, transport, calls };
+}
+
+describe('SystemLogTransport', () => {
+  it('stores only warn and error records', async () => {
+    const { logger, transport, calls } = createLogger({ source: 'bots' });
+    logger.info('joined game');
+    logger.warn('slow answer');
+    logger.error('lost connection');
+    await new Promise(resolve => setImmediate(resolve));
+    await transport.flush();
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].params.filter((_, i) => i % 3 === 0), ['warn', 'error']);
+  });
+
+  it('batches records into one insert per batch', async () => {
+    const { logger, transport, calls } = createLogger({ batchSize: 2 });
+    for (let i = 0; i < 5; i++) {
+      logger.error(`failure ${i}`);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    await transport.flush();
+
+    assert.equal(calls.length, 3);
+    assert.equal(calls.flatMap(call => call.params).filter((_, i) => i % 3 === 1).length, 5);
+  });
+
+  it('keeps player and session context from child loggers', async () => {
+    const { logger, transport, calls } = createLogger({ source: 'bots' });
+    logger.child({ playerId: 'p1', sessionId: 'session-1' }).error('answer failed');
+    await new Promise(resolve => setImmediate(resolve));
+    await transport.flush();
+
+    assert.deepEqual(JSON.parse(calls[0].params[2]), { source: 'bots', playerId: 'p1', sessionId: 'session-1' });
+  });
+
+  it('writes a circular or BigInt context instead of failing the batch', async () => {
+    const { logger, transport, calls } = createLogger({});
+    const request = { url: '/api/sessions' };
+    request.self = request;
+    logger.error('request failed', { request, bytes: 10n });
+    logger.error('next failure');
+    await new Promise(resolve => setImmediate(resolve));
+    await transport.flush();
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(JSON.parse(calls[0].params[2]), {
+      source: 'admin-backend',
+      request: { url: '/api/sessions', self: '[Circular]' },
+      bytes: '10',
+    });
+    assert.equal(calls[0].params[4], 'next failure');
+  });
+
+  it('drops a batch that fails to write', async () => {
+    const transport = new SystemLogTransport({
+      query: async () => {
+        throw new Error('connection refused');
+      },
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      transport.log({ level: 'error', message: 'boom' }, () => {});
+      await transport.flush();
+    } finally {
+      console.error = originalError;
+    }
+    assert.equal(transport.queue.length, 0);
+  });
+});
+
+describe('serializeContext', () => {
+  it('keeps an object that appears twice but is not circular', () => {
+    const player = { id: 'p1' };
+    assert.deepEqual(JSON.parse(serializeContext({ a: player, b: player, n: 1n })), { a: { id: 'p1' }, b: { id: 'p1' }, n: '1' });
+  });
+});
+
+describe('toSystemLogRecord', () => {
+  it('moves metadata into context', () => {
+    const record = toSystemLogRecord({ level: 'warn', message: 'retrying', timestamp: 'now', attempt: 2 }, 'admin-backend');
+    assert.deepEqual(record, { level: 'warn', message: 'retrying', context: { source: 'admin-backend', attempt: 2 } });
+  });
+});
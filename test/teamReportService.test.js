@@ -0,0 +1,130 @@
+/**
+ * Team report tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { dateRange, rankTeamsBySession, computeTeamStandings, computeHeadToHead } from '../services/teamReportService.js';
+
+function result(session, team, player, finalRank, accuracy = '80.00') {
+  return {
+    session_id: session,
+    played_at: `2026-03-0${session.slice(1)}T01:00:00Z`,
+    team_id: team,
+    team: team.toUpperCase(),
+    player_id: player,
+    final_rank: finalRank,
+    accuracy,
+  };
+}
+
+// s1: red averages 2, blue 3.5 -> red wins; s2: blue 1.5, red 3 -> blue wins; s3: red and green level -> both win
+const rows = [
+  result('s1', 'red', 'ann', 1, '90.00'),
+  result('s1', 'red', 'bo', 3, '70.00'),
+  result('s1', 'blue', 'cy', 2),
+  result('s1', 'blue', 'di', 5),
+  result('s2', 'blue', 'cy', 1),
+  result('s2', 'blue', 'di', 2),
+  result('s2', 'red', 'ann', 3, '60.00'),
+  result('s3', 'red', 'ann', 2, '70.00'),
+  result('s3', 'green', 'ed', 2),
+];
+
+describe('dateRange', () => {
+  it('covers whole days for bare dates', () => {
+    const { start, end } = dateRange({ from: '2026-03-01', to: '2026-03-31' });
+    assert.equal(start.toISOString(), '2026-03-01T00:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-03-31T23:59:59.999Z');
+  });
+
+  it('leaves open ends null', () => {
+    assert.deepEqual(dateRange({}), { start: null, end: null });
+  });
+
+  it('rejects from after to', () => {
+    assert.throws(() => dateRange({ from: '2026-04-01', to: '2026-03-31' }), { status: 400 });
+  });
+});
+
+describe('rankTeamsBySession', () => {
+  it('ranks teams by average player rank, then best rank', () => {
+    const s1 = rankTeamsBySession(rows).filter(entry => entry.session_id === 's1');
+    assert.deepEqual(s1.map(entry => [entry.team_id, entry.team_rank, entry.average_rank, entry.best_rank]), [
+      ['red', 1, 2, 1],
+      ['blue', 2, 3.5, 2],
+    ]);
+    assert.equal(s1[0].average_accuracy, 80);
+    assert.equal(s1[0].players, 2);
+  });
+
+  it('breaks a tied average with the best player', () => {
+    const entries = rankTeamsBySession([
+      result('s1', 'red', 'ann', 1),
+      result('s1', 'red', 'bo', 5),
+      result('s1', 'blue', 'cy', 3),
+    ]);
+    assert.deepEqual(entries.map(entry => [entry.team_id, entry.team_rank]), [['red', 1], ['blue', 2]]);
+  });
+
+  it('shares a rank when teams are level', () => {
+    const s3 = rankTeamsBySession(rows).filter(entry => entry.session_id === 's3');
+    assert.deepEqual(s3.map(entry => entry.team_rank), [1, 1]);
+  });
+
+  it('leaves teams without ranked players unplaced', () => {
+    const entries = rankTeamsBySession([
+      result('s1', 'red', 'ann', null),
+      result('s1', 'blue', 'cy', 4),
+    ]);
+    assert.deepEqual(entries.map(entry => [entry.team_id, entry.team_rank]), [['blue', 1], ['red', null]]);
+  });
+});
+
+describe('computeTeamStandings', () => {
+  it('orders teams by wins, then average team rank', () => {
+    const standings = computeTeamStandings(rows);
+    assert.deepEqual(standings.map(team => [team.position, team.team_id, team.wins]), [
+      [1, 'red', 2],
+      [2, 'green', 1],
+      [3, 'blue', 1],
+    ]);
+    const red = standings[0];
+    assert.equal(red.sessions, 3);
+    assert.equal(red.players, 2);
+    assert.equal(red.average_team_rank, 1.33);
+    assert.equal(red.average_rank, 2.25);
+    assert.equal(red.average_accuracy, 72.5);
+    assert.equal(red.best_finish, 1);
+  });
+
+  it('is empty without results', () => {
+    assert.deepEqual(computeTeamStandings([]), []);
+  });
+});
+
+describe('computeHeadToHead', () => {
+  it('counts meetings only in sessions both teams played', () => {
+    const { team_a, team_b, head_to_head } = computeHeadToHead(rows, 'red', 'blue');
+    assert.equal(team_a.wins, 2);
+    assert.equal(team_b.wins, 1);
+    assert.equal(head_to_head.meetings, 2);
+    assert.equal(head_to_head.team_a_wins, 1);
+    assert.equal(head_to_head.team_b_wins, 1);
+    assert.equal(head_to_head.draws, 0);
+    assert.deepEqual(head_to_head.sessions.map(meeting => meeting.winner), ['a', 'b']);
+    assert.deepEqual(head_to_head.sessions[1].team_b, { players: 2, team_rank: 1, average_rank: 1.5, average_accuracy: 80 });
+  });
+
+  it('records a draw when teams share a rank', () => {
+    const { head_to_head } = computeHeadToHead(rows, 'red', 'green');
+    assert.equal(head_to_head.meetings, 1);
+    assert.equal(head_to_head.draws, 1);
+  });
+
+  it('returns null for a team without results', () => {
+    const { team_b, head_to_head } = computeHeadToHead(rows, 'red', 'gold');
+    assert.equal(team_b, null);
+    assert.equal(head_to_head.meetings, 0);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Team service tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { teamKey, resolveTeam } from '../services/teamService.js';
+
+describe('teamKey', () => {
+  it('ignores case, punctuation and spacing', () => {
+    assert.equal(teamKey('St. Louis Blues'), 'st louis blues');
+    assert.equal(teamKey('st louis blues'), 'st louis blues');
+    assert.equal(teamKey('  St Louis  Blues '), 'st louis blues');
+    assert.equal(teamKey('ST-LOUIS_BLUES'), 'st louis blues');
+  });
+
+  it('keeps letters outside ASCII and digits', () => {
+    assert.equal(teamKey('Montréal Canadiens'), 'montréal canadiens');
+    assert.equal(teamKey('Team 42'), 'team 42');
+  });
+
+  it('is empty for names without letters or digits', () => {
+    assert.equal(teamKey(''), '');
+    assert.equal(teamKey(' -- '), '');
+    assert.equal(teamKey(null), '');
+    assert.equal(teamKey(undefined), '');
+  });
+});
+
+describe('resolveTeam', () => {
+  function fakeTx() {
+    const calls = [];
+    return {
+      calls,
+      query: async (sql, params) => {
+        calls.push({ sql, params });
+        return { rows: [{ id: 'team-1', name: params[0], league_id: params[1] }] };
+      },
+    };
+  }
+
+  it('matches names within the given league', async () => {
+    const tx = fakeTx();
+    const team = await resolveTeam(' Red ', { leagueId: 'league-1', tx });
+
+    assert.deepEqual(tx.calls[0].params, ['Red', 'league-1']);
+    assert.match(tx.calls[0].sql, /ON CONFLICT \(league_id, name_key\)/);
+    assert.equal(team.league_id, 'league-1');
+  });
+
+  it('matches names among teams without a league when none is given', async () => {
+    const tx = fakeTx();
+    await resolveTeam('Red', { tx });
+
+    assert.deepEqual(tx.calls[0].params, ['Red', null]);
+    assert.match(tx.calls[0].sql, /ON CONFLICT \(name_key\) WHERE league_id IS NULL/);
+  });
+
+  it('returns null without a query for an empty name', async () => {
+    const tx = fakeTx();
+    assert.equal(await resolveTeam(' -- ', { tx }), null);
+    assert.equal(tx.calls.length, 0);
+  });
+});
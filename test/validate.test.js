@@ -0,0 +1,155 @@
+/**
+ * Request validation and OpenAPI tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { validate, validateRequest, uuid } from '../middleware/validate.js';
+import { requireRole } from '../middleware/auth.js';
+import { buildOpenApiDocument } from '../utils/openApi.js';
+
+const PLAYER_ID = '0b6f0a4e-8d1c-4f7e-9a53-2f1d7c6b9e10';
+
+const resultSchemas = {
+  params: { id: uuid },
+  query: {
+    limit: { type: 'integer', minimum: 1 },
+    active: { type: 'boolean' },
+  },
+  body: {
+    type: 'object',
+    required: ['player_id'],
+    properties: {
+      player_id: uuid,
+      final_rank: { type: 'integer', minimum: 1, nullable: true },
+      status: { type: 'string', enum: ['completed', 'failed'] },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+  },
+};
+
+function check({ params = { id: PLAYER_ID }, query = {}, body = { player_id: PLAYER_ID } } = {}) {
+  return validateRequest({ params, query, body }, resultSchemas);
+}
+
+describe('validateRequest', () => {
+  it('accepts a valid request', () => {
+    assert.deepEqual(check({ query: { limit: '25', active: 'true' }, body: { player_id: PLAYER_ID, final_rank: null } }), []);
+  });
+
+  it('reports bad UUIDs in params and body', () => {
+    const details = check({ params: { id: 'abc' }, body: { player_id: 'not-a-uuid' } });
+    assert.deepEqual(details, [
+      { location: 'params', field: 'id', message: 'must be a UUID' },
+      { location: 'body', field: 'player_id', message: 'must be a UUID' },
+    ]);
+  });
+
+  it('checks query strings as the declared type', () => {
+    const details = check({ query: { limit: 'ten', active: 'yes' } });
+    assert.deepEqual(details.map(d => `${d.field}: ${d.message}`), ['limit: must be an integer', 'active: must be a boolean']);
+    assert.deepEqual(check({ query: { limit: '0' } }).map(d => d.message), ['must be at least 1']);
+  });
+
+  it('reports missing required fields and wrong types', () => {
+    const details = check({ body: { final_rank: '1', status: 'won', tags: ['a', 2] } });
+    assert.deepEqual(details.map(d => `${d.field}: ${d.message}`), [
+      'player_id: is required',
+      'final_rank: must be an integer',
+      'status: must be one of: completed, failed',
+      'tags[1]: must be a string',
+    ]);
+  });
+
+  it('treats a missing body as empty', () => {
+    const details = validateRequest({ params: { id: PLAYER_ID }, query: {} }, resultSchemas);
+    assert.deepEqual(details, [{ location: 'body', field: 'player_id', message: 'is required' }]);
+  });
+
+  it('accepts any option of oneOf', () => {
+    const schemas = { body: { type: 'object', properties: { participant_id: { oneOf: [{ type: 'string' }, { type: 'integer' }] } } } };
+    assert.deepEqual(validateRequest({ body: { participant_id: 42 } }, schemas), []);
+    assert.deepEqual(validateRequest({ body: { participant_id: 'P-42' } }, schemas), []);
+    assert.equal(validateRequest({ body: { participant_id: true } }, schemas).length, 1);
+  });
+
+  it('checks date, time and URL formats', () => {
+    const schemas = {
+      body: {
+        type: 'object',
+        properties: {
+          day: { type: 'string', format: 'date' },
+          at: { type: 'string', format: 'time' },
+          url: { type: 'string', format: 'uri' },
+        },
+      },
+    };
+    assert.deepEqual(validateRequest({ body: { day: '2026-02-28', at: '21:35', url: 'https://www.crowd.live/NOEPT' } }, schemas), []);
+    assert.deepEqual(
+      validateRequest({ body: { day: '2026-02-30', at: '25:00', url: 'crowd.live' } }, schemas).map(d => d.field),
+      ['day', 'at', 'url']
+    );
+  });
+
+  it('requires declared upload files', () => {
+    const schemas = { files: { file: { required: true } } };
+    assert.deepEqual(validateRequest({ file: { fieldname: 'file' } }, schemas), []);
+    assert.deepEqual(validateRequest({}, schemas), [{ location: 'files', field: 'file', message: 'is required' }]);
+  });
+});
+
+describe('validate middleware', () => {
+  it('responds 400 with field-level details', () => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      },
+    };
+    let nextCalled = false;
+    validate(resultSchemas)({ params: { id: 'abc' }, query: {}, body: { player_id: PLAYER_ID } }, res, () => {
+      nextCalled = true;
+    });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      error: 'Validation failed',
+      details: [{ location: 'params', field: 'id', message: 'must be a UUID' }],
+    });
+  });
+});
+
+describe('buildOpenApiDocument', () => {
+  const router = express.Router();
+  router.post('/:id/results', requireRole('operator', 'results:write'), validate({ summary: 'Add a result', ...resultSchemas }), () => {});
+  router.get('/', () => {});
+  router.post('/upload', validate({ files: { file: { required: true } } }), () => {});
+
+  const doc = buildOpenApiDocument({ '/api/sessions': router });
+
+  it('describes params, query and body from the route schemas', () => {
+    const operation = doc.paths['/api/sessions/{id}/results'].post;
+    assert.equal(operation.summary, 'Add a result');
+    assert.deepEqual(operation.parameters.map(p => `${p.in}:${p.name}`), ['path:id', 'query:limit', 'query:active']);
+    assert.equal(operation.requestBody.content['application/json'].schema.required[0], 'player_id');
+    assert.equal(operation['x-required-role'], 'operator');
+    assert.deepEqual(operation['x-service-scopes'], ['results:write']);
+    assert.ok(operation.responses[400]);
+  });
+
+  it('describes file uploads as multipart/form-data', () => {
+    const schema = doc.paths['/api/sessions/upload'].post.requestBody.content['multipart/form-data'].schema;
+    assert.deepEqual(schema.properties.file, { type: 'string', format: 'binary' });
+    assert.deepEqual(schema.required, ['file']);
+  });
+
+  it('includes routes without schemas', () => {
+    assert.ok(doc.paths['/api/sessions'].get);
+    assert.equal(doc.paths['/api/sessions'].get.responses[400], undefined);
+  });
+});
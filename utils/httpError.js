@@ -0,0 +1,12 @@
+/**
+ * Errors carrying an HTTP status for the server's error handler
+ */
+
+/**
+ * @param {string} message - Error message sent as { error }
+ * @param {number} status - HTTP status code
+ * @returns {Error}
+ */
+export function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
@@ -7,6 +7,7 @@ import winston from 'winston';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { mkdirSync } from 'fs';
+import { SystemLogTransport, isSystemLogEnabled } from './systemLogTransport.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -46,5 +47,10 @@ export const logger = winston.createLogger({
   ],
 });
 
+// Warnings and errors are also stored in system_logs (GET /api/system-logs)
+if (isSystemLogEnabled()) {
+  logger.add(new SystemLogTransport({ source: 'admin-backend' }));
+}
+
 export default logger;
 
@@ -0,0 +1,165 @@
+/**
+ * OpenAPI Document
+ * Builds an OpenAPI 3.0 description of the API from the mounted routers,
+ * using the schemas routes pass to validate() and the roles from requireRole()
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const VALIDATION_ERROR = {
+  type: 'object',
+  properties: {
+    error: { type: 'string', example: 'Validation failed' },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          location: { type: 'string', enum: ['params', 'query', 'body', 'files'] },
+          field: { type: 'string' },
+          message: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const ERROR = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+  },
+};
+
+/**
+ * Convert an Express path (/players/:id) to an OpenAPI path (/players/{id})
+ */
+function toOpenApiPath(mountPath, routePath) {
+  const path = routePath === '/' ? mountPath : `${mountPath}${routePath}`;
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Build a parameter object, moving `required` from the schema to the parameter
+ */
+function toParameter(name, location, schema = { type: 'string' }) {
+  const { required, description, ...rest } = schema;
+  return {
+    name,
+    in: location,
+    required: location === 'path' ? true : Boolean(required),
+    ...(description ? { description } : {}),
+    schema: rest,
+  };
+}
+
+/**
+ * Describe a request body: JSON, or multipart/form-data when the route takes files
+ */
+function buildRequestBody(schemas) {
+  if (schemas.files) {
+    const properties = { ...(schemas.body?.properties || {}) };
+    const required = [...(schemas.body?.required || [])];
+    for (const [name, { required: isRequired, ...schema }] of Object.entries(schemas.files)) {
+      properties[name] = { type: 'string', format: 'binary', ...schema };
+      if (isRequired) required.push(name);
+    }
+    return {
+      required: required.length > 0,
+      content: { 'multipart/form-data': { schema: { type: 'object', properties, ...(required.length ? { required } : {}) } } },
+    };
+  }
+
+  return {
+    required: Boolean(schemas.body.required?.length),
+    content: { 'application/json': { schema: schemas.body } },
+  };
+}
+
+/**
+ * Describe one route method
+ */
+function buildOperation(route, method, tag) {
+  const handlers = route.stack.map(layer => layer.handle);
+  const schemas = handlers.find(handler => handler.schemas)?.schemas || {};
+  const access = handlers.find(handler => handler.requiredRole)?.requiredRole;
+
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const parameters = [
+    ...pathParams.map(name => toParameter(name, 'path', schemas.params?.[name])),
+    ...Object.entries(schemas.query || {}).map(([name, schema]) => toParameter(name, 'query', schema)),
+  ];
+
+  const responses = {
+    '2XX': { description: 'Success' },
+    401: { description: 'Missing or invalid API key', content: { 'application/json': { schema: ERROR } } },
+  };
+  if (schemas.params || schemas.query || schemas.body || schemas.files) {
+    responses[400] = {
+      description: 'Invalid request',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+    };
+  }
+  if (access) {
+    responses[403] = { description: 'Role or scope not allowed', content: { 'application/json': { schema: ERROR } } };
+  }
+
+  return {
+    tags: [tag],
+    summary: schemas.summary || `${method.toUpperCase()} ${route.path}`,
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(schemas.body || schemas.files ? { requestBody: buildRequestBody(schemas) } : {}),
+    responses,
+    ...(access ? { 'x-required-role': access.role, 'x-service-scopes': access.scopes } : {}),
+  };
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {object} mounts - Mount path -> Express router (e.g. { '/api/players': playersRoutes })
+ * @param {object} info - OpenAPI info (title, version)
+ * @returns {object} OpenAPI 3.0 document
+ */
+export function buildOpenApiDocument(mounts, info = {}) {
+  const paths = {};
+
+  for (const [mountPath, router] of Object.entries(mounts)) {
+    const tag = mountPath.split('/').filter(Boolean).pop();
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        continue;
+      }
+
+      const path = toOpenApiPath(mountPath, layer.route.path);
+      paths[path] = paths[path] || {};
+
+      for (const method of METHODS) {
+        if (layer.route.methods[method]) {
+          paths[path][method] = buildOperation(layer.route, method, tag);
+        }
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Trivia Bots Admin API',
+      version: '1.0.0',
+      ...info,
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      schemas: {
+        ValidationError: VALIDATION_ERROR,
+      },
+    },
+  };
+}
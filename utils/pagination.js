@@ -0,0 +1,184 @@
+/**
+ * Pagination utility
+ * Shared page/pageSize/sort/order/cursor contract for list endpoints
+ *
+ * Every list endpoint responds with:
+ *   { data, total, page, pageSize, totalPages, sort, order, nextCursor }
+ *
+ * Pages are addressed either by number (?page=3) or by keyset cursor
+ * (?cursor=<nextCursor from the previous page>). Cursors stay correct while
+ * rows are being added and do not get slower deeper into the history.
+ * Sorting always ends on id so rows with equal sort values have a stable order.
+ */
+
+import { query } from '../db/index.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+// Internal column carrying the exact (text) sort value for cursors
+const SORT_VALUE_COLUMN = '__sort_value';
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Query parameter schemas for validate()
+ * @param {array} sortFields - Sortable field names
+ * @param {object} defaults - { sort, order, pageSize }
+ * @returns {object} name -> schema
+ */
+export function paginationQuery(sortFields, defaults = {}) {
+  return {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    pageSize: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: defaults.pageSize || DEFAULT_PAGE_SIZE },
+    sort: { type: 'string', enum: sortFields, ...(defaults.sort ? { default: defaults.sort } : {}) },
+    order: { type: 'string', enum: ['asc', 'desc'], ...(defaults.order ? { default: defaults.order } : {}) },
+    cursor: { type: 'string', description: 'nextCursor from the previous page (page is ignored)' },
+  };
+}
+
+/**
+ * Encode a keyset cursor
+ * @param {object} position - { sort, order, value, id } of the last row on a page
+ * @returns {string} Opaque base64url cursor
+ */
+export function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+}
+
+/**
+ * Decode a keyset cursor
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @returns {object} { sort, order, value, id }
+ * @throws {Error} status 400 if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || !['asc', 'desc'].includes(o) || id == null) {
+      throw new Error('incomplete');
+    }
+    return { sort: s, order: o, value: v ?? null, id };
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+/**
+ * Read pagination options from a request query
+ * @param {object} reqQuery - req.query (already checked by validate())
+ * @param {object} options
+ * @param {object} options.sortFields - Sort name -> column of the list query
+ * @param {string} options.defaultSort - Sort name used when none is given
+ * @param {string} options.defaultOrder - 'asc' or 'desc'
+ * @param {number} options.defaultPageSize
+ * @returns {object} { page, pageSize, sort, order, column, cursor }
+ */
+export function parsePagination(reqQuery, { sortFields, defaultSort, defaultOrder = 'asc', defaultPageSize = DEFAULT_PAGE_SIZE }) {
+  const pageSize = Math.min(parseInt(reqQuery.pageSize) || defaultPageSize, MAX_PAGE_SIZE);
+  let page = Math.max(parseInt(reqQuery.page) || 1, 1);
+  let sort = reqQuery.sort || defaultSort;
+  let order = reqQuery.order || (sort === defaultSort ? defaultOrder : 'asc');
+  let cursor = null;
+
+  if (reqQuery.cursor) {
+    cursor = decodeCursor(reqQuery.cursor);
+    if ((reqQuery.sort && reqQuery.sort !== cursor.sort) || (reqQuery.order && reqQuery.order !== cursor.order)) {
+      throw badRequest('cursor was issued for a different sort or order');
+    }
+    ({ sort, order } = cursor);
+    page = null;
+  }
+
+  if (!sortFields[sort]) {
+    throw badRequest(`sort must be one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  return { page, pageSize, sort, order, column: sortFields[sort], cursor };
+}
+
+/**
+ * Build the page and count queries around a list query
+ * The list query must select an `id` column and any sort columns, without ORDER BY or LIMIT.
+ * @param {string} baseSql - Filtered list query
+ * @param {array} baseParams - Its parameters
+ * @param {object} pagination - From parsePagination()
+ * @returns {object} { sql, params, countSql, countParams }
+ */
+export function buildPageQuery(baseSql, baseParams, pagination) {
+  const { pageSize, page, order, column, cursor } = pagination;
+  const params = [...baseParams];
+  const sortColumn = `t."${column}"`;
+  const comparison = order === 'desc' ? '<' : '>';
+  let where = '';
+
+  if (cursor) {
+    // Rows after the cursor; NULL sort values come last in either order
+    params.push(cursor.id);
+    const idParam = `$${params.length}`;
+    if (cursor.value === null) {
+      where = `WHERE ${sortColumn} IS NULL AND t.id ${comparison} ${idParam}`;
+    } else {
+      params.push(cursor.value);
+      const valueParam = `$${params.length}`;
+      where = `WHERE (${sortColumn} ${comparison} ${valueParam}
+        OR (${sortColumn} = ${valueParam} AND t.id ${comparison} ${idParam})
+        OR ${sortColumn} IS NULL)`;
+    }
+  }
+
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  params.push(pageSize + 1, cursor ? 0 : (page - 1) * pageSize);
+
+  return {
+    sql: `SELECT t.*, ${sortColumn}::text AS ${SORT_VALUE_COLUMN}
+      FROM (${baseSql}) t
+      ${where}
+      ORDER BY ${sortColumn} ${direction} NULLS LAST, t.id ${direction}
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params,
+    countSql: `SELECT COUNT(*) AS total FROM (${baseSql}) t`,
+    countParams: baseParams,
+  };
+}
+
+/**
+ * Run a list query one page at a time
+ * @param {string} baseSql - Filtered list query (see buildPageQuery)
+ * @param {array} baseParams - Its parameters
+ * @param {object} pagination - From parsePagination()
+ * @returns {Promise<object>} { data, total, page, pageSize, totalPages, sort, order, nextCursor }
+ */
+export async function paginate(baseSql, baseParams, pagination) {
+  const { sql, params, countSql, countParams } = buildPageQuery(baseSql, baseParams, pagination);
+  const [pageResult, countResult] = await Promise.all([
+    query(sql, params),
+    query(countSql, countParams),
+  ]);
+
+  return toPage(pageResult.rows, parseInt(countResult.rows[0].total), pagination);
+}
+
+/**
+ * Shape fetched rows (pageSize + 1 of them) into the response envelope
+ */
+export function toPage(rows, total, { page, pageSize, sort, order }) {
+  const hasMore = rows.length > pageSize;
+  const pageRows = rows.slice(0, pageSize);
+  const last = pageRows[pageRows.length - 1];
+
+  const data = pageRows.map(({ [SORT_VALUE_COLUMN]: _sortValue, ...row }) => row);
+
+  return {
+    data,
+    total,
+    page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize),
+    sort,
+    order,
+    nextCursor: hasMore ? encodeCursor({ sort, order, value: last[SORT_VALUE_COLUMN], id: last.id }) : null,
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * Result statistics helpers
+ * Shared by the player history, standings and team report services
+ */
+
+/**
+ * When a result's game was played: session start, else when the session or
+ * the result was created. Expects game_sessions as s and player_results as r.
+ */
+export const PLAYED_AT = 'COALESCE(s.start_time, s.created_at, r.created_at)';
+
+/**
+ * Round to two decimals
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+export function round(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Mean of the values present (null and undefined are skipped), unrounded
+ * @param {array} values - Numbers
+ * @returns {number|null} null when no values are present
+ */
+export function average(values) {
+  const present = values.filter(value => value != null);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
@@ -0,0 +1,194 @@
+/**
+ * System Log Transport
+ * Winston transport that writes log records into the system_logs table
+ *
+ * Records are queued and inserted in batches so logging never waits on the
+ * database. If a batch fails to write it is dropped (and reported on the
+ * console) rather than retried, so a database outage cannot back up the bots.
+ */
+
+import Transport from 'winston-transport';
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_FLUSH_INTERVAL = 2000;
+const DEFAULT_MAX_QUEUE = 1000;
+
+// Fields winston adds that are stored in their own columns (or not at all)
+const RESERVED_FIELDS = ['level', 'message', 'timestamp', 'splat'];
+
+let queryPromise = null;
+
+/**
+ * Check if logs should be written to the database
+ * Needs a configured database (DB_NAME or DB_HOST); LOG_TO_DB=false turns it off.
+ */
+export function isSystemLogEnabled() {
+  if (process.env.LOG_TO_DB === 'false') {
+    return false;
+  }
+  return Boolean(process.env.DB_NAME || process.env.DB_HOST);
+}
+
+/**
+ * Lazy-load the database query function
+ * Only imported on first write so loggers can be used without a database.
+ */
+function loadQuery() {
+  if (!queryPromise) {
+    queryPromise = import('../db/index.js').then(db => db.query);
+  }
+  return queryPromise;
+}
+
+/**
+ * Build a system_logs row from a winston info object
+ * @param {object} info - Winston log record
+ * @param {string} source - Which process wrote the log (admin-backend, bots)
+ * @returns {object} { level, message, context }
+ */
+export function toSystemLogRecord(info, source) {
+  const context = { source };
+  for (const [key, value] of Object.entries(info)) {
+    if (!RESERVED_FIELDS.includes(key)) {
+      context[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+    }
+  }
+
+  return {
+    level: info.level,
+    message: String(info.message),
+    context,
+  };
+}
+
+/**
+ * JSON for a record's context
+ * Circular references and BigInts, which JSON.stringify rejects, are written as
+ * '[Circular]' and strings so one odd context cannot lose the whole batch.
+ * @param {object} context - Record context
+ * @returns {string} JSON text
+ */
+export function serializeContext(context) {
+  try {
+    return JSON.stringify(context);
+  } catch {
+    const ancestors = [];
+    return JSON.stringify(context, function (key, value) {
+      if (typeof value === 'bigint') {
+        return value.toString();
+      }
+      if (value === null || typeof value !== 'object') {
+        return value;
+      }
+      // `this` is the object holding value; drop ancestors that are no longer on the path
+      while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+        ancestors.pop();
+      }
+      if (ancestors.includes(value)) {
+        return '[Circular]';
+      }
+      ancestors.push(value);
+      return value;
+    });
+  }
+}
+
+// Not through winston: that would queue another record for the same failing write
+function reportWriteError(count, error) {
+  console.error(`Failed to write ${count} log record(s) to system_logs: ${error.message}`);
+}
+
+// flush() is not awaited by winston, so a rejection would crash the process
+function reportFlushError(error) {
+  console.error(`Failed to flush log records to system_logs: ${error.message}`);
+}
+
+export class SystemLogTransport extends Transport {
+  /**
+   * @param {object} options
+   * @param {string} options.source - Stored as context.source
+   * @param {string} options.level - Minimum level to store (default: warn)
+   * @param {number} options.batchSize - Records per INSERT
+   * @param {number} options.flushInterval - Max ms a record waits in the queue
+   * @param {number} options.maxQueue - Oldest records are dropped beyond this
+   * @param {function} options.query - Query function (defaults to db/index.js)
+   */
+  constructor(options = {}) {
+    super({ level: 'warn', ...options });
+    this.source = options.source || 'admin-backend';
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.flushInterval = options.flushInterval ?? DEFAULT_FLUSH_INTERVAL;
+    this.maxQueue = options.maxQueue || DEFAULT_MAX_QUEUE;
+    this.query = options.query || null;
+    this.queue = [];
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    this.queue.push(toSystemLogRecord(info, this.source));
+    if (this.queue.length > this.maxQueue) {
+      this.queue.splice(0, this.queue.length - this.maxQueue);
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush().catch(reportFlushError);
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush().catch(reportFlushError), this.flushInterval);
+      this.timer.unref?.();
+    }
+
+    callback();
+  }
+
+  /**
+   * Write queued records to system_logs
+   * @returns {Promise<void>} Resolves when every queued record is written or dropped
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // One write at a time; records queued meanwhile are picked up by the running loop
+    if (!this.flushing) {
+      this.flushing = (async () => {
+        while (this.queue.length > 0) {
+          await this.writeBatch(this.queue.splice(0, this.batchSize));
+        }
+      })().finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  async writeBatch(batch) {
+    try {
+      const values = [];
+      const params = [];
+      batch.forEach((record, index) => {
+        values.push(`($${index * 3 + 1}, $${index * 3 + 2}, $${index * 3 + 3})`);
+        params.push(record.level, record.message, serializeContext(record.context));
+      });
+
+      const query = this.query || await loadQuery();
+      await query(
+        `INSERT INTO system_logs (level, message, context) VALUES ${values.join(', ')}`,
+        params
+      );
+    } catch (error) {
+      reportWriteError(batch.length, error);
+    }
+  }
+
+  close() {
+    this.flush().catch(reportFlushError);
+  }
+}
+
+export default SystemLogTransport;